@@ -429,6 +429,211 @@ describe('Filter Tests', () => {
       });
     });
 
+    it('filters by strings', async () => {
+      const query = `
+        query($filter: _UserHandleFilter) {
+          viewer {
+            allUsers(handle: $filter, orderBy: HANDLE_ASC) {
+              nodes {
+                handle
+              }
+            }
+          }
+        }
+      `;
+      const handles = async (filter) => {
+        const result = await runQuery(query, { filter });
+        assert.isUndefined(result.errors);
+        return result.data.viewer.allUsers.nodes.map((user) => user.handle);
+      };
+
+      assert.deepEqual(await handles({ contains: 'er-1' }), ['user-1']);
+      assert.deepEqual(await handles({ contains: '.' }), []);
+      assert.deepEqual(await handles({ startsWith: 'user-' }), [
+        'user-0', 'user-1', 'user-2', 'user-3', 'user-4', 'user-5',
+      ]);
+      assert.deepEqual(await handles({ endsWith: '-3' }), ['user-3']);
+      assert.deepEqual(await handles({ eqIgnoreCase: 'USER-2' }), ['user-2']);
+      assert.deepEqual(await handles({ matches: '^user-[0-2]$' }), [
+        'user-0', 'user-1', 'user-2',
+      ]);
+
+      const result = await runQuery(query, {
+        filter: { matches: '^(u+)+$' },
+      }, {
+        printErrors: false,
+      });
+      assert.deepEqual(result.errors, [
+        { message: 'handle.matches: Nested quantifiers are not supported.' },
+      ]);
+    });
+
+    it('filters by set membership', async () => {
+      const result = await runQuery(`
+        query($ids: [ID]) {
+          viewer {
+            byHandle: allUsers(handle: {
+              in: ["user-1", "user-3", "user-9"]
+            }, orderBy: HANDLE_ASC) {
+              nodes {
+                handle
+              }
+            }
+            byNotHandle: allUsers(handle: {
+              notIn: ["user-0", "user-1", "user-2"]
+            }, orderBy: HANDLE_ASC) {
+              nodes {
+                handle
+              }
+            }
+            byAuthor: allMicroposts(author: {
+              in: $ids
+            }, orderBy: CREATED_AT_ASC) {
+              nodes {
+                text
+              }
+            }
+          }
+        }
+      `, {
+        ids: [fixtures.User[2].id, fixtures.User[4].id],
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          viewer: {
+            byHandle: {
+              nodes: [
+                { handle: 'user-1' },
+                { handle: 'user-3' },
+              ],
+            },
+            byNotHandle: {
+              nodes: [
+                { handle: 'user-3' },
+                { handle: 'user-4' },
+                { handle: 'user-5' },
+              ],
+            },
+            byAuthor: {
+              nodes: chain(fixtures.Micropost)
+                .filter((micropost) => micropost.author && [
+                  fixtures.User[2].id,
+                  fixtures.User[4].id,
+                ].includes(micropost.author.id))
+                .sortBy((micropost) => micropost.createdAt)
+                .map((micropost) => ({ text: micropost.text }))
+                .value(),
+            },
+          },
+        },
+      });
+    });
+
+    it('combines filters with and, or and not', async () => {
+      const result = await runQuery(`
+        query($author: ID!) {
+          viewer {
+            allMicroposts(where: {
+              or: [
+                { author: { eq: $author } },
+                {
+                  mainCategory__name: { eq: "category-0" },
+                  not: { createdAt: { gte: "2014-03-01" } },
+                },
+              ],
+              not: { tags: { includes: "tag-4" } },
+            }, orderBy: CREATED_AT_ASC) {
+              nodes {
+                text
+              }
+            }
+          }
+        }
+      `, {
+        author: fixtures.User[3].id,
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          viewer: {
+            allMicroposts: {
+              nodes: chain(fixtures.Micropost)
+                .filter((micropost) => (
+                  (
+                    (
+                      micropost.author &&
+                      micropost.author.id === fixtures.User[3].id
+                    ) || (
+                      micropost.mainCategory &&
+                      micropost.mainCategory.name === 'category-0' &&
+                      new Date(micropost.createdAt) < new Date('2014-03-01')
+                    )
+                  ) &&
+                  !(micropost.tags || []).includes('tag-4')
+                ))
+                .sortBy((micropost) => micropost.createdAt)
+                .map((micropost) => ({ text: micropost.text }))
+                .value(),
+            },
+          },
+        },
+      });
+    });
+
+    it('aggregates filtered connections', async () => {
+      const result = await runQuery(`
+        {
+          viewer {
+            allMicroposts(createdAt: { lt: "2014-03-01" }, first: 1) {
+              aggregate {
+                count
+                min {
+                  createdAt
+                }
+                max {
+                  createdAt
+                }
+                groupBy(field: AUTHOR) {
+                  key
+                  count
+                }
+              }
+            }
+          }
+        }
+      `);
+
+      const filtered = fixtures.Micropost.filter((micropost) => (
+        new Date(micropost.createdAt) < new Date('2014-03-01')
+      ));
+      const createdAts = filtered
+        .map((micropost) => micropost.createdAt)
+        .sort();
+      assert.deepEqual(result, {
+        data: {
+          viewer: {
+            allMicroposts: {
+              aggregate: {
+                count: filtered.length,
+                min: {
+                  createdAt: createdAts[0],
+                },
+                max: {
+                  createdAt: createdAts[createdAts.length - 1],
+                },
+                groupBy: [
+                  { key: fixtures.User[0].id, count: 5 },
+                  { key: fixtures.User[1].id, count: 5 },
+                  { key: null, count: 1 },
+                ],
+              },
+            },
+          },
+        },
+      });
+    });
+
     it('filters by lists', async () => {
       assert.deepEqual(await runQuery(`
         {
@@ -639,6 +844,122 @@ describe('Filter Tests', () => {
       }, 'connection filtering not includes');
     });
 
+    describe('full-text search', () => {
+      before(async () => {
+        await migrate(runQuery, augmentSchema(
+          TEST_SCHEMA,
+          [
+            {
+              kind: 'OBJECT',
+              name: 'Article',
+              interfaces: ['Node'],
+              fields: [
+                {
+                  name: 'id',
+                  type: 'ID',
+                  nonNull: true,
+                  unique: true,
+                },
+                {
+                  name: 'title',
+                  type: 'String',
+                  orderable: true,
+                  searchable: true,
+                },
+                {
+                  name: 'body',
+                  type: 'String',
+                  orderable: true,
+                  searchable: true,
+                },
+              ],
+            },
+          ],
+        ), true);
+
+        for (const [title, body] of [
+          ['Cooking', 'Pasta and sauce'],
+          ['Search', 'Search engines search for words'],
+          ['Indexes', 'Text indexes make search fast'],
+        ]) {
+          await createFixture(runQuery, 'Article', { title, body }, 'id');
+        }
+      });
+
+      after(async () => {
+        await migrate(runQuery, TEST_SCHEMA, true);
+      });
+
+      it('searches by relevance unless ordered', async () => {
+        const query = `
+          query($search: String, $orderBy: _ArticleOrdering) {
+            viewer {
+              allArticles(search: $search, orderBy: $orderBy) {
+                nodes {
+                  title
+                }
+              }
+            }
+          }
+        `;
+        const titles = async (variables) => {
+          const result = await runQuery(query, variables);
+          assert.isUndefined(result.errors);
+          return result.data.viewer.allArticles.nodes.map((node) =>
+            node.title
+          );
+        };
+
+        assert.deepEqual(await titles({ search: 'search' }), [
+          'Search',
+          'Indexes',
+        ]);
+        assert.deepEqual(await titles({
+          search: 'search',
+          orderBy: 'TITLE_ASC',
+        }), [
+          'Indexes',
+          'Search',
+        ]);
+        assert.deepEqual(await titles({ search: 'pasta' }), ['Cooking']);
+        assert.deepEqual(await titles({ search: 'nothing' }), []);
+      });
+
+      it('orders by a list of fields', async () => {
+        const query = `
+          query($orderBy: _ArticleOrdering, $fields: [_ArticleOrdering!]) {
+            viewer {
+              allArticles(orderBy: $orderBy, orderByFields: $fields) {
+                nodes {
+                  title
+                }
+              }
+            }
+          }
+        `;
+        let result = await runQuery(query, {
+          fields: ['BODY_DESC', 'TITLE_ASC'],
+        });
+        assert.isUndefined(result.errors);
+        assert.deepEqual(
+          result.data.viewer.allArticles.nodes.map((node) => node.title),
+          ['Indexes', 'Search', 'Cooking'],
+        );
+
+        result = await runQuery(query, {
+          orderBy: 'TITLE_ASC',
+          fields: ['TITLE_DESC'],
+        }, {
+          printErrors: false,
+        });
+        assert.deepEqual(result.errors, [
+          {
+            message: 'Only one of `orderBy` and `orderByFields` can be given.',
+          },
+        ]);
+      });
+    });
+
     describe('conflicting filter names', () => {
       let testFixture;
       before(async () => {
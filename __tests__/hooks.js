@@ -7,6 +7,7 @@ import Boom from 'boom';
 import createApp from '../apps/createApp';
 import deleteApp from '../apps/deleteApp';
 import getDB from '../db/getDB';
+import Config from '../server/Config';
 import { getTypesByName, makeRunQuery } from '../test/testAppUtils';
 import assert from '../test/assert';
 
@@ -211,6 +212,112 @@ describe('Hooks', () => {
       id,
     });
   });
+
+  it('retries failed deliveries and dead-letters them', async () => {
+    Config.set('hooks.retryBaseDelay', 0);
+    try {
+      const result = await runQuery(`
+        mutation createHook($input: _CreateReindexHookInput!) {
+          createReindexHook(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: {
+          type: typesByName.User,
+          trigger: 'afterCreate',
+          url: 'http://localhost:8888',
+          fragment: '{ id }',
+          logLevel: 'error',
+          maxAttempts: 2,
+        },
+      });
+      const id = get(result, ['data', 'createReindexHook', 'id']);
+
+      const user = await runQuery(`
+        mutation User($input: _CreateUserInput!) {
+          createUser(input: $input) {
+            id,
+          }
+        }
+      `, {
+        input: {},
+      });
+      const userId = get(user, ['data', 'createUser', 'id']);
+
+      await delay(1000);
+
+      const log = await runQuery(`
+        query getLog($id: ID!) {
+          reindexHookById(id: $id) {
+            log(orderBy: CREATED_AT_ASC) {
+              nodes {
+                type
+                attempt
+                payload
+                response {
+                  status
+                }
+              }
+            }
+          }
+        }
+      `, {
+        id,
+      });
+
+      assert.deepEqual(log, {
+        data: {
+          reindexHookById: {
+            log: {
+              nodes: [
+                {
+                  type: 'error',
+                  attempt: 1,
+                  payload: null,
+                  response: {
+                    status: 400,
+                  },
+                },
+                {
+                  type: 'deadLetter',
+                  attempt: 2,
+                  payload: JSON.stringify({
+                    data: {
+                      hook: {
+                        id: userId,
+                      },
+                    },
+                  }),
+                  response: {
+                    status: 400,
+                  },
+                },
+              ],
+            },
+          },
+        },
+      });
+
+      assert.equal(await db.getHookQueueSize(), 0,
+        'dead-lettered delivery is removed from the queue');
+
+      await runQuery(`
+        mutation deleteHook($id: ID!) {
+          deleteReindexHook(input: { id: $id }) {
+            id,
+          }
+        }
+      `, {
+        id,
+      });
+    } finally {
+      Config.set(
+        'hooks.retryBaseDelay',
+        Config.default('hooks.retryBaseDelay'),
+      );
+    }
+  });
 });
 
 function createTestServer(requestStore) {
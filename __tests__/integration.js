@@ -6,12 +6,16 @@ import getDB from '../db/getDB';
 import DatabaseTypes from '../db/DatabaseTypes';
 import { fromReindexID, toReindexID } from '../graphQL/builtins/ReindexID';
 import { toCursor } from '../graphQL/builtins/Cursor';
+import { hashQuery } from '../graphQL/persistedQueries';
 import {
   makeRunQuery,
   createTestApp,
   createFixture,
   deleteFixture,
+  migrate,
+  augmentSchema,
 } from '../test/testAppUtils';
+import { TEST_SCHEMA } from '../test/fixtures';
 import assert from '../test/assert';
 
 describe('Integration Tests', () => {
@@ -97,6 +101,23 @@ describe('Integration Tests', () => {
     await deleteApp(hostname);
   });
 
+  it('changes the metadata version with the metadata', async () => {
+    const version = await db.getMetadataVersion();
+    assert.isString(version);
+
+    await migrate(runQuery, TEST_SCHEMA, true);
+    const migratedVersion = await db.getMetadataVersion();
+    assert.notEqual(migratedVersion, version);
+
+    const hook = await createFixture(runQuery, 'ReindexHook', {
+      trigger: 'afterCreate',
+      url: 'http://example.com/hook',
+      fragment: '{ id }',
+    }, 'id');
+    assert.notEqual(await db.getMetadataVersion(), migratedVersion);
+    await deleteFixture(runQuery, 'ReindexHook', hook.id);
+  });
+
   it('gets type introspection', async function() {
     const result = await runQuery(`
       {
@@ -380,6 +401,13 @@ describe('Integration Tests', () => {
     const microposts = values(fixtures.Micropost);
     const cursors = microposts.map((post) => toCursor({
       value: fromReindexID(post.id).value,
+      orderBy: [
+        {
+          field: 'createdAt',
+          order: 'ASC',
+          value: new Date(post.createdAt),
+        },
+      ],
     }));
     const userId = user.id;
 
@@ -1150,214 +1178,1153 @@ describe('Integration Tests', () => {
     );
   });
 
-  it('handles null nodes and inlines', async function() {
-    let result = await runQuery(`
-      mutation createMicropost($input: _CreateMicropostInput!) {
-        createMicropost(input: $input) {
-          changedMicropost {
-            id,
-            text,
-            author {
-              id
-            },
-            categories {
-              name
-            },
-            mainCategory {
-              name
-            },
+  it('registers persisted queries', async function() {
+    const mutation = `
+      mutation register($input: _RegisterPersistedQueryInput!) {
+        registerPersistedQuery(input: $input) {
+          changedReindexPersistedQuery {
+            id
+            hash
+            query
           }
         }
-      }`,
+      }
+    `;
+    const query = '{ viewer { allUsers { count } } }';
+    const result = await runQuery(mutation, { input: { query } });
+    const persistedQuery =
+      result.data.registerPersistedQuery.changedReindexPersistedQuery;
+    assert.deepEqual(persistedQuery, {
+      id: persistedQuery.id,
+      hash: hashQuery(query),
+      query,
+    });
+
+    assert.deepEqual(
+      await runQuery(mutation, { input: { query } }),
+      result,
+      'registering again returns the existing query'
+    );
+
+    assert.deepEqual(
+      await runQuery(mutation, { input: { query: '{ nope }' } }, {
+        printErrors: false,
+      }),
       {
-        input: {
-          text: 'Test',
+        data: {
+          registerPersistedQuery: null,
         },
-      }
+        errors: [
+          {
+            message:
+              'input.query: Cannot query field "nope" on type ' +
+              '"ReindexQueryRoot".',
+          },
+        ],
+      },
+      'invalid queries are rejected'
     );
 
-    const id = get(result, [
-      'data', 'createMicropost', 'changedMicropost', 'id',
-    ]);
+    await deleteFixture(runQuery, 'ReindexPersistedQuery', persistedQuery.id);
+  });
+
+  it('does batch mutations with per-item errors', async function() {
+    const user = values(fixtures.User)[0];
+    const nonExistentId = toReindexID({
+      ...fromReindexID(user.id),
+      type: 'Micropost',
+    });
+    let result = await runQuery(`
+      mutation createMany($input: _CreateManyMicropostInput!) {
+        createManyMicropost(input: $input) {
+          clientMutationId,
+          results {
+            changedMicropost {
+              id,
+              text,
+              author {
+                id
+              }
+            }
+          },
+          errors {
+            index,
+            message
+          }
+        }
+      }
+    `, {
+      input: {
+        clientMutationId: 'createMany',
+        inputs: [
+          { text: 'Batch 1', author: user.id },
+          { text: 'Batch 2', author: nonExistentId },
+          { text: 'Batch 3' },
+        ],
+      },
+    });
 
+    const created = result.data.createManyMicropost.results;
+    const [first, , third] = created.map((item) =>
+      item && item.changedMicropost.id
+    );
     assert.deepEqual(result, {
       data: {
-        createMicropost: {
-          changedMicropost: {
-            id,
-            text: 'Test',
-            author: null,
-            categories: null,
-            mainCategory: null,
-          },
+        createManyMicropost: {
+          clientMutationId: 'createMany',
+          results: [
+            {
+              changedMicropost: {
+                id: first,
+                text: 'Batch 1',
+                author: {
+                  id: user.id,
+                },
+              },
+            },
+            null,
+            {
+              changedMicropost: {
+                id: third,
+                text: 'Batch 3',
+                author: null,
+              },
+            },
+          ],
+          errors: [
+            {
+              index: 1,
+              message: 'Micropost.author: Invalid ID for type User: ' +
+                nonExistentId,
+            },
+          ],
         },
       },
     });
 
-    assert.isDefined(id, 'created with proper id');
-
     result = await runQuery(`
-      query micropostById($id: ID!) {
-        micropostById(id: $id) {
-          id,
-          text,
-          author {
-            id,
-          },
-          categories {
-            name,
-          },
-          mainCategory {
-            name,
+      mutation updateMany($input: _UpdateManyMicropostInput!) {
+        updateManyMicropost(input: $input) {
+          results {
+            changedMicropost {
+              id,
+              text
+            }
           },
-        },
+          errors {
+            index,
+            message
+          }
+        }
       }
     `, {
-      id,
+      input: {
+        inputs: [
+          { id: first, text: 'Batch 1 updated' },
+          { id: nonExistentId, text: 'Missing' },
+          { id: third, text: 'Batch 3 updated' },
+        ],
+      },
     });
 
     assert.deepEqual(result, {
       data: {
-        micropostById: {
-          id,
-          text: 'Test',
-          author: null,
-          categories: null,
-          mainCategory: null,
+        updateManyMicropost: {
+          results: [
+            { changedMicropost: { id: first, text: 'Batch 1 updated' } },
+            null,
+            { changedMicropost: { id: third, text: 'Batch 3 updated' } },
+          ],
+          errors: [
+            {
+              index: 1,
+              message: 'input.id: Can not find Micropost object with ' +
+                `given ID: ${nonExistentId}`,
+            },
+          ],
         },
       },
     });
 
+    // The third object is deleted concurrently after it is checked
+    const { deleteMany } = db;
+    db.deleteMany = async (...args) => {
+      db.deleteMany = deleteMany;
+      await db.deleteQuery('Micropost', fromReindexID(third));
+      return db.deleteMany(...args);
+    };
     result = await runQuery(`
-      mutation deleteMicropost($input: _DeleteMicropostInput!) {
-        deleteMicropost(input: $input) {
-          id,
+      mutation deleteMany($input: _DeleteManyMicropostInput!) {
+        deleteManyMicropost(input: $input) {
+          results {
+            id
+          },
+          errors {
+            index,
+            message
+          }
         }
-      }`,
-      {
-        input: {
-          id,
-        },
       }
-    );
+    `, {
+      input: {
+        inputs: [{ id: first }, { id: third }],
+      },
+    });
 
     assert.deepEqual(result, {
       data: {
-        deleteMicropost: {
-          id,
+        deleteManyMicropost: {
+          results: [{ id: first }, null],
+          errors: [
+            {
+              index: 1,
+              message: 'input.id: Can not find Micropost object with ' +
+                `given ID: ${third}`,
+            },
+          ],
         },
       },
     });
-  });
 
-  if (!process.env.DATABASE_TYPE ||
-      process.env.DATABASE_TYPE === DatabaseTypes.MongoDB) {
-    it('handles many-to-many connections', async () => {
-      const user1 = values(fixtures.User)[0];
-      const user2 = values(fixtures.User)[1];
-      const micropost = values(fixtures.Micropost)[0];
+    result = await runQuery(`
+      query($first: ID!, $third: ID!) {
+        first: micropostById(id: $first) { id }
+        third: micropostById(id: $third) { id }
+      }
+    `, { first, third });
 
-      const fragment = `
-        changedUser {
-          id,
-          favorites {
-            count,
-            nodes {
-              id,
-            }
-          }
-        },
-        changedMicropost {
-          id,
-          favoritedBy {
-            count,
-            nodes {
-              id,
+    assert.deepEqual(result, {
+      data: {
+        first: null,
+        third: null,
+      },
+    });
+  });
+
+  it('rejects repeated unique values within a batch', async function() {
+    const handles = async (mutation, inputs) => {
+      const result = await runQuery(`
+        mutation($input: _${mutation}UserInput!) {
+          ${mutation.replace(/^./, (c) => c.toLowerCase())}User(
+            input: $input
+          ) {
+            results {
+              changedUser {
+                id,
+                handle
+              }
+            },
+            errors {
+              index,
+              message
             }
           }
         }
-      `;
-      const query = `
-        mutation favorite($input: _MicropostUserFavoritesConnectionInput!) {
-          addMicropostToUserFavorites(input: $input) {
-            ${fragment}
-          }
-        }
-      `;
-
-      let result = await runQuery(query, {
-        input: {
-          micropostId: micropost.id,
-          userId: user1.id,
-        },
-      });
-
-      const sampleResult = {
-        data: {
-          addMicropostToUserFavorites: {
-            changedUser: {
-              id: user1.id,
-              favorites: {
-                count: 1,
-                nodes: [
-                  {
-                    id: micropost.id,
-                  },
-                ],
-              },
-            },
-            changedMicropost: {
-              id: micropost.id,
-              favoritedBy: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user1.id,
-                  },
-                ],
-              },
-            },
-          },
-        },
-      };
+      `, { input: { inputs } });
+      assert.isUndefined(result.errors);
+      return values(result.data)[0];
+    };
 
-      assert.deepEqual(result, sampleResult, 'Adding works');
+    const created = await handles('CreateMany', [
+      { handle: 'batch-unique-1' },
+      { handle: 'batch-unique-1' },
+      { handle: 'batch-unique-2' },
+    ]);
+    assert.deepEqual(created.errors, [
+      {
+        index: 1,
+        message: 'User.handle: value must be unique, got "batch-unique-1"',
+      },
+    ]);
+    assert.isNull(created.results[1]);
+    const [first, , third] = created.results.map((item) =>
+      item && item.changedUser.id
+    );
 
-      result = await runQuery(query, {
-        input: {
-          micropostId: micropost.id,
-          userId: user1.id,
+    const updated = await handles('UpdateMany', [
+      { id: first, handle: 'batch-unique-3' },
+      { id: third, handle: 'batch-unique-3' },
+    ]);
+    assert.deepEqual(updated, {
+      results: [
+        { changedUser: { id: first, handle: 'batch-unique-3' } },
+        null,
+      ],
+      errors: [
+        {
+          index: 1,
+          message: 'User.handle: value must be unique, got "batch-unique-3"',
         },
-      });
-
-      assert.deepEqual(result, sampleResult, 'Repeated adding is noop');
+      ],
+    });
 
-      result = await runQuery(query, {
-        input: {
-          micropostId: micropost.id,
-          userId: user1.id,
-        },
-      });
+    await deleteFixture(runQuery, 'User', first);
+    await deleteFixture(runQuery, 'User', third);
+  });
 
-      let micropostFetchResult = await runQuery(`
-        query micropostById($id: ID!){
-          micropostById(id: $id) {
+  it('upserts by unique field', async function() {
+    const query = `
+      mutation upsert($input: _UpsertUserInput!) {
+        upsertUser(input: $input) {
+          changedUser {
             id,
-            favoritedBy {
-              count,
-              nodes {
-                id,
-              }
-            }
+            handle,
+            email
           }
         }
-      `, {
-        id: micropost.id,
-      });
+      }
+    `;
 
-      assert.deepEqual(micropostFetchResult, {
-        data: {
-          micropostById: {
+    let result = await runQuery(query, {
+      input: {
+        by: 'handle',
+        handle: 'upserted-user',
+        email: 'first@example.com',
+      },
+    });
+    const id = get(result, ['data', 'upsertUser', 'changedUser', 'id']);
+    assert.deepEqual(result, {
+      data: {
+        upsertUser: {
+          changedUser: {
+            id,
+            handle: 'upserted-user',
+            email: 'first@example.com',
+          },
+        },
+      },
+    });
+
+    result = await runQuery(query, {
+      input: {
+        by: 'handle',
+        handle: 'upserted-user',
+        email: 'second@example.com',
+      },
+    });
+    assert.deepEqual(result, {
+      data: {
+        upsertUser: {
+          changedUser: {
+            id,
+            handle: 'upserted-user',
+            email: 'second@example.com',
+          },
+        },
+      },
+    });
+
+    result = await runQuery(query, {
+      input: {
+        by: 'handle',
+        email: 'third@example.com',
+      },
+    }, {
+      printErrors: false,
+    });
+    assert.deepEqual(result, {
+      data: {
+        upsertUser: null,
+      },
+      errors: [
+        {
+          message: 'input.handle: Value is required to upsert by it.',
+        },
+      ],
+    });
+
+    // The object is changed after it is read
+    const { getByField } = db;
+    db.getByField = async (...args) => {
+      db.getByField = getByField;
+      const existing = await db.getByField(...args);
+      await db.update('User', existing.id, { email: 'other@example.com' });
+      return existing;
+    };
+    result = await runQuery(query, {
+      input: {
+        by: 'handle',
+        handle: 'upserted-user',
+        email: 'third@example.com',
+      },
+    });
+    assert.equal(
+      get(result, ['data', 'upsertUser', 'changedUser', 'email']),
+      'third@example.com',
+      'upsert is retried when the object changes'
+    );
+
+    // The object is created after it is read
+    db.getByField = () => {
+      db.getByField = getByField;
+      return Promise.resolve(null);
+    };
+    result = await runQuery(query, {
+      input: {
+        by: 'handle',
+        handle: 'upserted-user',
+        email: 'fourth@example.com',
+      },
+    });
+    assert.deepEqual(get(result, ['data', 'upsertUser', 'changedUser']), {
+      id,
+      handle: 'upserted-user',
+      email: 'fourth@example.com',
+    }, 'existing object is updated instead of creating a duplicate');
+
+    result = await runQuery(`
+      mutation($input: _DeleteUserInput!) {
+        deleteUser(input: $input) { id }
+      }
+    `, { input: { id } });
+    assert.deepEqual(result, { data: { deleteUser: { id } } });
+  });
+
+  it('creates one object for concurrent upserts', async function() {
+    const results = await Promise.all([1, 2, 3].map((index) =>
+      runQuery(`
+        mutation upsert($input: _UpsertUserInput!) {
+          upsertUser(input: $input) {
+            changedUser {
+              id
+            }
+          }
+        }
+      `, {
+        input: {
+          by: 'handle',
+          handle: 'concurrently-upserted-user',
+          email: `${index}@example.com`,
+        },
+      })
+    ));
+    const ids = results.map((result) =>
+      get(result, ['data', 'upsertUser', 'changedUser', 'id'])
+    );
+    assert.isString(ids[0]);
+    assert.deepEqual(ids, [ids[0], ids[0], ids[0]]);
+
+    const result = await runQuery(`
+      {
+        viewer {
+          allUsers(handle: { eq: "concurrently-upserted-user" }) {
+            count
+          }
+        }
+      }
+    `);
+    assert.deepEqual(result, {
+      data: { viewer: { allUsers: { count: 1 } } },
+    });
+
+    await deleteFixture(runQuery, 'User', ids[0]);
+  });
+
+  it('performs transactions all or nothing', async function() {
+    const query = `
+      mutation transaction($input: ReindexTransactionInput!) {
+        transaction(input: $input) {
+          results {
+            ref,
+            node {
+              id,
+              ... on User {
+                handle
+              },
+              ... on Micropost {
+                text,
+                author {
+                  handle
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    let result = await runQuery(query, {
+      input: {
+        operations: [
+          {
+            ref: 'author',
+            createUser: { handle: 'transaction-author' },
+          },
+          {
+            createMicropost: { text: 'In transaction', author: '@ref:author' },
+          },
+        ],
+      },
+    });
+
+    const [user, micropost] = result.data.transaction.results.map(
+      (item) => item.node.id
+    );
+    assert.deepEqual(result, {
+      data: {
+        transaction: {
+          results: [
+            {
+              ref: 'author',
+              node: {
+                id: user,
+                handle: 'transaction-author',
+              },
+            },
+            {
+              ref: null,
+              node: {
+                id: micropost,
+                text: 'In transaction',
+                author: {
+                  handle: 'transaction-author',
+                },
+              },
+            },
+          ],
+        },
+      },
+    });
+
+    result = await runQuery(query, {
+      input: {
+        operations: [
+          {
+            updateUser: { id: user, handle: 'transaction-renamed' },
+          },
+          {
+            deleteMicropost: { id: micropost },
+          },
+          {
+            createUser: { handle: 'transaction-author' },
+          },
+          {
+            createUser: { handle: 'transaction-renamed' },
+          },
+        ],
+      },
+    }, {
+      printErrors: false,
+    });
+
+    assert.deepEqual(result, {
+      data: {
+        transaction: null,
+      },
+      errors: [
+        {
+          message: 'User.handle: value must be unique, got ' +
+            '"transaction-renamed"',
+        },
+      ],
+    });
+
+    result = await runQuery(`
+      query($user: ID!, $micropost: ID!) {
+        user: userById(id: $user) { handle }
+        micropost: micropostById(id: $micropost) { text }
+        userByHandle(handle: "transaction-author") { id }
+      }
+    `, { user, micropost });
+
+    assert.deepEqual(result, {
+      data: {
+        user: {
+          handle: 'transaction-author',
+        },
+        micropost: {
+          text: 'In transaction',
+        },
+        userByHandle: {
+          id: user,
+        },
+      },
+    }, 'earlier operations are reverted');
+
+    result = await runQuery(query, {
+      input: {
+        operations: [
+          { deleteMicropost: { id: micropost } },
+          { deleteUser: { id: user } },
+        ],
+      },
+    });
+    assert.deepEqual(
+      result.data.transaction.results.map((item) => item.node.id),
+      [micropost, user],
+    );
+  });
+
+  it('reports transaction operations that could not be reverted',
+    async function() {
+      let result = await runQuery(`
+        mutation($input: _CreateUserInput!) {
+          createUser(input: $input) { id }
+        }
+      `, { input: { handle: 'rollback-user' } });
+      const id = result.data.createUser.id;
+
+      // The object is changed before the transaction is rolled back
+      const { replace } = db;
+      db.replace = async (...args) => {
+        db.replace = replace;
+        await db.update('User', id, { email: 'concurrent@example.com' });
+        return db.replace(...args);
+      };
+      result = await runQuery(`
+        mutation($input: ReindexTransactionInput!) {
+          transaction(input: $input) { results { ref } }
+        }
+      `, {
+        input: {
+          operations: [
+            { createUser: { handle: 'rollback-created' } },
+            { updateUser: { id, handle: 'rollback-renamed' } },
+            { createUser: { handle: 'rollback-renamed' } },
+          ],
+        },
+      }, {
+        printErrors: false,
+      });
+      db.replace = replace;
+
+      assert.deepEqual(result, {
+        data: {
+          transaction: null,
+        },
+        errors: [
+          {
+            message: 'User.handle: value must be unique, got ' +
+              '"rollback-renamed" Rollback was incomplete, the changes of ' +
+              'the operations input.operations[1] were not reverted, ' +
+              'because their objects were changed by concurrent mutations ' +
+              'or could not be restored.',
+          },
+        ],
+      });
+
+      result = await runQuery(`
+        query($id: ID!) {
+          userById(id: $id) { handle, email }
+          userByHandle(handle: "rollback-created") { id }
+        }
+      `, { id });
+      assert.deepEqual(result, {
+        data: {
+          userById: {
+            handle: 'rollback-renamed',
+            email: 'concurrent@example.com',
+          },
+          userByHandle: null,
+        },
+      }, 'concurrent changes are not overwritten');
+
+      result = await runQuery(`
+        mutation($input: _DeleteUserInput!) {
+          deleteUser(input: $input) { id }
+        }
+      `, { input: { id } });
+      assert.deepEqual(result, { data: { deleteUser: { id } } });
+    });
+
+  it('fails transaction updates of concurrently changed objects',
+    async function() {
+      let result = await runQuery(`
+        mutation($input: _CreateUserInput!) {
+          createUser(input: $input) { id }
+        }
+      `, { input: { handle: 'transaction-concurrent-user' } });
+      const id = result.data.createUser.id;
+
+      // The object is changed after the transaction has read it
+      const { update } = db;
+      db.update = async (...args) => {
+        db.update = update;
+        await db.update('User', fromReindexID(id), {
+          email: 'concurrent@example.com',
+        });
+        return db.update(...args);
+      };
+      result = await runQuery(`
+        mutation($input: ReindexTransactionInput!) {
+          transaction(input: $input) { results { ref } }
+        }
+      `, {
+        input: {
+          operations: [
+            { updateUser: { id, email: 'transaction@example.com' } },
+          ],
+        },
+      }, {
+        printErrors: false,
+      });
+      db.update = update;
+
+      assert.deepEqual(result, {
+        data: {
+          transaction: null,
+        },
+        errors: [
+          {
+            message: `input.id: User object ${id} was changed by a ` +
+              'concurrent mutation.',
+          },
+        ],
+      });
+
+      result = await runQuery(`
+        query($id: ID!) {
+          userById(id: $id) { email }
+        }
+      `, { id });
+      assert.deepEqual(result, {
+        data: {
+          userById: {
+            email: 'concurrent@example.com',
+          },
+        },
+      });
+
+      await deleteFixture(runQuery, 'User', id);
+    });
+
+  it('updates with atomic operators', async function() {
+    const createResult = await runQuery(`
+      mutation($input: _CreateUserInput!) {
+        createUser(input: $input) { id }
+      }
+    `, {
+      input: {
+        handle: 'operator-user',
+        length: 1,
+      },
+    });
+    const id = createResult.data.createUser.id;
+    const query = `
+      mutation($input: _UpdateUserInput!) {
+        updateUser(input: $input) {
+          changedUser {
+            length
+          }
+        }
+      }
+    `;
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => runQuery(query, {
+      input: {
+        id,
+        operators: {
+          length: { increment: 2 },
+        },
+      },
+    })));
+
+    let result = await runQuery(query, {
+      input: {
+        id,
+        operators: {
+          length: { multiply: 10 },
+        },
+      },
+    });
+    assert.deepEqual(result, {
+      data: {
+        updateUser: {
+          changedUser: {
+            length: 110,
+          },
+        },
+      },
+    }, 'concurrent increments are not lost');
+
+    result = await runQuery(query, {
+      input: {
+        id,
+        length: 1,
+        operators: {
+          length: { increment: 1 },
+        },
+      },
+    }, {
+      printErrors: false,
+    });
+    assert.deepEqual(result, {
+      data: {
+        updateUser: null,
+      },
+      errors: [
+        {
+          message: 'input.operators.length: Can not both set the field and ' +
+            'update it with an operator.',
+        },
+      ],
+    });
+
+    const micropostResult = await runQuery(`
+      mutation($input: _CreateMicropostInput!) {
+        createMicropost(input: $input) { id }
+      }
+    `, {
+      input: {
+        text: 'Operators',
+        tags: ['a', 'b'],
+      },
+    });
+    const micropostId = micropostResult.data.createMicropost.id;
+    const micropostQuery = `
+      mutation($input: _UpdateMicropostInput!) {
+        updateMicropost(input: $input) {
+          changedMicropost {
+            tags
+          }
+        }
+      }
+    `;
+
+    for (const [operators, tags] of [
+      [{ tags: { push: ['c', 'a'] } }, ['a', 'b', 'c', 'a']],
+      [{ tags: { pull: ['a'] } }, ['b', 'c']],
+      [{ tags: { addToSet: ['c', 'd', 'd'] } }, ['b', 'c', 'd']],
+    ]) {
+      result = await runQuery(micropostQuery, {
+        input: {
+          id: micropostId,
+          operators,
+        },
+      });
+      assert.deepEqual(result, {
+        data: {
+          updateMicropost: {
+            changedMicropost: {
+              tags,
+            },
+          },
+        },
+      });
+    }
+
+    await runQuery(`
+      mutation($user: _DeleteUserInput!, $micropost: _DeleteMicropostInput!) {
+        deleteUser(input: $user) { id }
+        deleteMicropost(input: $micropost) { id }
+      }
+    `, {
+      user: { id },
+      micropost: { id: micropostId },
+    });
+  });
+
+  it('checks expected versions', async function() {
+    let result = await runQuery(`
+      mutation($input: _CreateMicropostInput!) {
+        createMicropost(input: $input) {
+          changedMicropost { id, _version }
+        }
+      }
+    `, {
+      input: {
+        text: 'Versioned',
+      },
+    });
+    const { id, _version: version } =
+      result.data.createMicropost.changedMicropost;
+    assert.equal(version, 1);
+
+    const updateQuery = `
+      mutation($input: _UpdateMicropostInput!) {
+        updateMicropost(input: $input) {
+          changedMicropost { text, _version }
+        }
+      }
+    `;
+    result = await runQuery(updateQuery, {
+      input: {
+        id,
+        text: 'First edit',
+        expectedVersion: 1,
+      },
+    });
+    assert.deepEqual(result, {
+      data: {
+        updateMicropost: {
+          changedMicropost: {
+            text: 'First edit',
+            _version: 2,
+          },
+        },
+      },
+    });
+
+    const conflict = {
+      message: 'input.expectedVersion: Version conflict, Micropost object ' +
+        `${id} has changed since version 1.`,
+    };
+    result = await runQuery(updateQuery, {
+      input: {
+        id,
+        text: 'Concurrent edit',
+        expectedVersion: 1,
+      },
+    }, {
+      printErrors: false,
+    });
+    assert.deepEqual(result, {
+      data: {
+        updateMicropost: null,
+      },
+      errors: [conflict],
+    });
+
+    result = await runQuery(`
+      mutation(
+        $replace: _ReplaceMicropostInput!,
+        $delete: _DeleteMicropostInput!
+      ) {
+        replaceMicropost(input: $replace) { id }
+        deleteMicropost(input: $delete) { id }
+      }
+    `, {
+      replace: {
+        id,
+        text: 'Replaced',
+        expectedVersion: 1,
+      },
+      delete: {
+        id,
+        expectedVersion: 1,
+      },
+    }, {
+      printErrors: false,
+    });
+    assert.deepEqual(result, {
+      data: {
+        replaceMicropost: null,
+        deleteMicropost: null,
+      },
+      errors: [conflict, conflict],
+    });
+
+    result = await runQuery(`
+      mutation($input: _DeleteMicropostInput!) {
+        deleteMicropost(input: $input) { id }
+      }
+    `, {
+      input: {
+        id,
+        expectedVersion: 2,
+      },
+    });
+    assert.deepEqual(result, { data: { deleteMicropost: { id } } });
+  });
+
+  it('handles null nodes and inlines', async function() {
+    let result = await runQuery(`
+      mutation createMicropost($input: _CreateMicropostInput!) {
+        createMicropost(input: $input) {
+          changedMicropost {
+            id,
+            text,
+            author {
+              id
+            },
+            categories {
+              name
+            },
+            mainCategory {
+              name
+            },
+          }
+        }
+      }`,
+      {
+        input: {
+          text: 'Test',
+        },
+      }
+    );
+
+    const id = get(result, [
+      'data', 'createMicropost', 'changedMicropost', 'id',
+    ]);
+
+    assert.deepEqual(result, {
+      data: {
+        createMicropost: {
+          changedMicropost: {
+            id,
+            text: 'Test',
+            author: null,
+            categories: null,
+            mainCategory: null,
+          },
+        },
+      },
+    });
+
+    assert.isDefined(id, 'created with proper id');
+
+    result = await runQuery(`
+      query micropostById($id: ID!) {
+        micropostById(id: $id) {
+          id,
+          text,
+          author {
+            id,
+          },
+          categories {
+            name,
+          },
+          mainCategory {
+            name,
+          },
+        },
+      }
+    `, {
+      id,
+    });
+
+    assert.deepEqual(result, {
+      data: {
+        micropostById: {
+          id,
+          text: 'Test',
+          author: null,
+          categories: null,
+          mainCategory: null,
+        },
+      },
+    });
+
+    result = await runQuery(`
+      mutation deleteMicropost($input: _DeleteMicropostInput!) {
+        deleteMicropost(input: $input) {
+          id,
+        }
+      }`,
+      {
+        input: {
+          id,
+        },
+      }
+    );
+
+    assert.deepEqual(result, {
+      data: {
+        deleteMicropost: {
+          id,
+        },
+      },
+    });
+  });
+
+  if (!process.env.DATABASE_TYPE ||
+      process.env.DATABASE_TYPE === DatabaseTypes.MongoDB) {
+    it('handles many-to-many connections', async () => {
+      const user1 = values(fixtures.User)[0];
+      const user2 = values(fixtures.User)[1];
+      const micropost = values(fixtures.Micropost)[0];
+
+      const fragment = `
+        changedUser {
+          id,
+          favorites {
+            count,
+            nodes {
+              id,
+            }
+          }
+        },
+        changedMicropost {
+          id,
+          favoritedBy {
+            count,
+            nodes {
+              id,
+            }
+          }
+        }
+      `;
+      const query = `
+        mutation favorite($input: _MicropostUserFavoritesConnectionInput!) {
+          addMicropostToUserFavorites(input: $input) {
+            ${fragment}
+          }
+        }
+      `;
+
+      let result = await runQuery(query, {
+        input: {
+          micropostId: micropost.id,
+          userId: user1.id,
+        },
+      });
+
+      const sampleResult = {
+        data: {
+          addMicropostToUserFavorites: {
+            changedUser: {
+              id: user1.id,
+              favorites: {
+                count: 1,
+                nodes: [
+                  {
+                    id: micropost.id,
+                  },
+                ],
+              },
+            },
+            changedMicropost: {
+              id: micropost.id,
+              favoritedBy: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user1.id,
+                  },
+                ],
+              },
+            },
+          },
+        },
+      };
+
+      assert.deepEqual(result, sampleResult, 'Adding works');
+
+      result = await runQuery(query, {
+        input: {
+          micropostId: micropost.id,
+          userId: user1.id,
+        },
+      });
+
+      assert.deepEqual(result, sampleResult, 'Repeated adding is noop');
+
+      result = await runQuery(query, {
+        input: {
+          micropostId: micropost.id,
+          userId: user1.id,
+        },
+      });
+
+      let micropostFetchResult = await runQuery(`
+        query micropostById($id: ID!){
+          micropostById(id: $id) {
+            id,
+            favoritedBy {
+              count,
+              nodes {
+                id,
+              }
+            }
+          }
+        }
+      `, {
+        id: micropost.id,
+      });
+
+      assert.deepEqual(micropostFetchResult, {
+        data: {
+          micropostById: {
             id: micropost.id,
             favoritedBy: {
               count: 1,
@@ -1491,120 +2458,311 @@ describe('Integration Tests', () => {
             },
           },
         },
-      }, 'replacing does not affect related');
+      }, 'replacing does not affect related');
+
+      result = await runQuery(query, {
+        input: {
+          micropostId: micropost.id,
+          userId: user2.id,
+        },
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          addMicropostToUserFavorites: {
+            changedUser: {
+              id: user2.id,
+              favorites: {
+                count: 1,
+                nodes: [
+                  {
+                    id: micropost.id,
+                  },
+                ],
+              },
+            },
+            changedMicropost: {
+              id: micropost.id,
+              favoritedBy: {
+                count: 2,
+                nodes: [
+                  {
+                    id: user1.id,
+                  },
+                  {
+                    id: user2.id,
+                  },
+                ],
+              },
+            },
+          },
+        },
+      }, 'added second');
+
+      const removeQuery = `
+        mutation unfavorite($input: _MicropostUserFavoritesConnectionInput!) {
+          removeMicropostFromUserFavorites(input: $input) {
+            ${fragment}
+          }
+        }
+      `;
+
+      const removeSampleResult = {
+        data: {
+          removeMicropostFromUserFavorites: {
+            changedUser: {
+              id: user2.id,
+              favorites: {
+                count: 0,
+                nodes: [],
+              },
+            },
+            changedMicropost: {
+              id: micropost.id,
+              favoritedBy: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user1.id,
+                  },
+                ],
+              },
+            },
+          },
+        },
+      };
+
+
+      result = await runQuery(removeQuery, {
+        input: {
+          micropostId: micropost.id,
+          userId: user2.id,
+        },
+      });
+
+      assert.deepEqual(result, removeSampleResult, 'Removing works');
+
+      result = await runQuery(removeQuery, {
+        input: {
+          micropostId: micropost.id,
+          userId: user2.id,
+        },
+      });
+
+      assert.deepEqual(result, removeSampleResult,
+        'Removing second time does nothing works');
+
+      result = await runQuery(removeQuery, {
+        input: {
+          micropostId: micropost.id,
+          userId: user1.id,
+        },
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          removeMicropostFromUserFavorites: {
+            changedUser: {
+              id: user1.id,
+              favorites: {
+                count: 0,
+                nodes: [],
+              },
+            },
+            changedMicropost: {
+              id: micropost.id,
+              favoritedBy: {
+                count: 0,
+                nodes: [],
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('handles many-to-many connections to itself', async () => {
+      const user1 = values(fixtures.User)[0];
+      const user2 = values(fixtures.User)[1];
+
+      const fragment = `
+        changedFollowersUser {
+          id
+          followers {
+            count
+            nodes {
+              id
+            }
+          }
+          following {
+            count
+            nodes {
+              id
+            }
+          }
+        }
+        changedFollowingUser {
+          id,
+          followers {
+            count
+            nodes {
+              id
+            }
+          }
+          following {
+            count
+            nodes {
+              id
+            }
+          }
+        }
+      `;
+      const query = `
+        mutation follow($input: _UserFollowingConnectionInput!) {
+          addUserToUserFollowing(input: $input) {
+            ${fragment}
+          }
+        }
+      `;
+      const removeQuery = `
+        mutation follow($input: _UserFollowingConnectionInput!) {
+          removeUserFromUserFollowing(input: $input) {
+            ${fragment}
+          }
+        }
+      `;
+
+      let result = await runQuery(query, {
+        input: {
+          followingId: user1.id,
+          followersId: user2.id,
+        },
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          addUserToUserFollowing: {
+            changedFollowingUser: {
+              id: user1.id,
+              followers: {
+                count: 0,
+                nodes: [],
+              },
+              following: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user2.id,
+                  },
+                ],
+              },
+            },
+            changedFollowersUser: {
+              id: user2.id,
+              followers: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user1.id,
+                  },
+                ],
+              },
+              following: {
+                count: 0,
+                nodes: [],
+              },
+            },
+          },
+        },
+      });
 
       result = await runQuery(query, {
         input: {
-          micropostId: micropost.id,
-          userId: user2.id,
+          followingId: user2.id,
+          followersId: user1.id,
         },
       });
 
       assert.deepEqual(result, {
         data: {
-          addMicropostToUserFavorites: {
-            changedUser: {
+          addUserToUserFollowing: {
+            changedFollowingUser: {
               id: user2.id,
-              favorites: {
+              followers: {
                 count: 1,
                 nodes: [
                   {
-                    id: micropost.id,
+                    id: user1.id,
                   },
                 ],
               },
-            },
-            changedMicropost: {
-              id: micropost.id,
-              favoritedBy: {
-                count: 2,
+              following: {
+                count: 1,
                 nodes: [
                   {
                     id: user1.id,
                   },
+                ],
+              },
+            },
+            changedFollowersUser: {
+              id: user1.id,
+              followers: {
+                count: 1,
+                nodes: [
                   {
                     id: user2.id,
                   },
                 ],
               },
-            },
-          },
-        },
-      }, 'added second');
-
-      const removeQuery = `
-        mutation unfavorite($input: _MicropostUserFavoritesConnectionInput!) {
-          removeMicropostFromUserFavorites(input: $input) {
-            ${fragment}
-          }
-        }
-      `;
-
-      const removeSampleResult = {
-        data: {
-          removeMicropostFromUserFavorites: {
-            changedUser: {
-              id: user2.id,
-              favorites: {
-                count: 0,
-                nodes: [],
-              },
-            },
-            changedMicropost: {
-              id: micropost.id,
-              favoritedBy: {
+              following: {
                 count: 1,
                 nodes: [
                   {
-                    id: user1.id,
+                    id: user2.id,
                   },
                 ],
               },
             },
           },
         },
-      };
-
-
-      result = await runQuery(removeQuery, {
-        input: {
-          micropostId: micropost.id,
-          userId: user2.id,
-        },
       });
 
-      assert.deepEqual(result, removeSampleResult, 'Removing works');
-
-      result = await runQuery(removeQuery, {
+      await runQuery(removeQuery, {
         input: {
-          micropostId: micropost.id,
-          userId: user2.id,
+          followingId: user2.id,
+          followersId: user1.id,
         },
       });
 
-      assert.deepEqual(result, removeSampleResult,
-        'Removing second time does nothing works');
-
       result = await runQuery(removeQuery, {
         input: {
-          micropostId: micropost.id,
-          userId: user1.id,
+          followingId: user1.id,
+          followersId: user2.id,
         },
       });
 
       assert.deepEqual(result, {
         data: {
-          removeMicropostFromUserFavorites: {
-            changedUser: {
+          removeUserFromUserFollowing: {
+            changedFollowingUser: {
               id: user1.id,
-              favorites: {
+              followers: {
+                count: 0,
+                nodes: [],
+              },
+              following: {
                 count: 0,
                 nodes: [],
               },
             },
-            changedMicropost: {
-              id: micropost.id,
-              favoritedBy: {
+            changedFollowersUser: {
+              id: user2.id,
+              followers: {
+                count: 0,
+                nodes: [],
+              },
+              following: {
                 count: 0,
                 nodes: [],
               },
@@ -1614,35 +2772,23 @@ describe('Integration Tests', () => {
       });
     });
 
-    it('handles many-to-many connections to itself', async () => {
+    it('handles symmetrical many-to-many connections to itself', async () => {
       const user1 = values(fixtures.User)[0];
       const user2 = values(fixtures.User)[1];
 
       const fragment = `
-        changedFollowersUser {
+        changedUser1 {
           id
-          followers {
-            count
-            nodes {
-              id
-            }
-          }
-          following {
+          friends {
             count
             nodes {
               id
             }
           }
         }
-        changedFollowingUser {
-          id,
-          followers {
-            count
-            nodes {
-              id
-            }
-          }
-          following {
+        changedUser2 {
+          id
+          friends {
             count
             nodes {
               id
@@ -1651,15 +2797,15 @@ describe('Integration Tests', () => {
         }
       `;
       const query = `
-        mutation follow($input: _UserFollowingConnectionInput!) {
-          addUserToUserFollowing(input: $input) {
+        mutation friend($input: _UserFriendsConnectionInput!) {
+          addUserToUserFriends(input: $input) {
             ${fragment}
           }
         }
       `;
       const removeQuery = `
-        mutation follow($input: _UserFollowingConnectionInput!) {
-          removeUserFromUserFollowing(input: $input) {
+        mutation unfriend($input: _UserFriendsConnectionInput!) {
+          removeUserFromUserFriends(input: $input) {
             ${fragment}
           }
         }
@@ -1667,357 +2813,851 @@ describe('Integration Tests', () => {
 
       let result = await runQuery(query, {
         input: {
-          followingId: user1.id,
-          followersId: user2.id,
+          user1Id: user1.id,
+          user2Id: user2.id,
         },
       });
 
       assert.deepEqual(result, {
         data: {
-          addUserToUserFollowing: {
-            changedFollowingUser: {
+          addUserToUserFriends: {
+            changedUser1: {
               id: user1.id,
-              followers: {
+              friends: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user2.id,
+                  },
+                ],
+              },
+            },
+            changedUser2: {
+              id: user2.id,
+              friends: {
+                count: 1,
+                nodes: [
+                  {
+                    id: user1.id,
+                  },
+                ],
+              },
+            },
+          },
+        },
+      });
+
+      result = await runQuery(removeQuery, {
+        input: {
+          user1Id: user2.id,
+          user2Id: user1.id,
+        },
+      });
+
+      assert.deepEqual(result, {
+        data: {
+          removeUserFromUserFriends: {
+            changedUser1: {
+              id: user2.id,
+              friends: {
+                count: 0,
+                nodes: [],
+              },
+            },
+            changedUser2: {
+              id: user1.id,
+              friends: {
+                count: 0,
+                nodes: [],
+              },
+            },
+          },
+        },
+      });
+    });
+
+    describe('related object cascading', () => {
+      let user;
+      let micropost;
+      before(async () => {
+        user = await createFixture(runQuery, 'User', {
+          handle: 'user-cascade',
+        }, 'id, handle');
+        micropost = await createFixture(runQuery, 'Micropost', {
+          author: user.id,
+        }, `id`);
+        await runQuery(`
+          mutation favorite($input: _MicropostUserFavoritesConnectionInput!) {
+            addMicropostToUserFavorites(input: $input) {
+              clientMutationId
+            }
+          }
+        `, {
+          input: {
+            userId: user.id,
+            micropostId: micropost.id,
+          },
+        });
+      });
+
+      after(async () => {
+        await deleteFixture(runQuery, 'Micropost', micropost.id);
+      });
+
+      it('updates related objects on delete', async () => {
+        await runQuery(`
+          mutation($input: _DeleteUserInput!) {
+            deleteUser(input: $input) {
+              id
+            }
+          }
+        `, {
+          input: {
+            id: user.id,
+          },
+        });
+
+        assert.deepEqual(await runQuery(`
+          query($id: ID!) {
+            micropostById(id: $id) {
+              author {
+                id
+              }
+              favoritedBy {
+                count
+                nodes {
+                  id
+                }
+              }
+            }
+          }
+        `, {
+          id: micropost.id,
+        }), {
+          data: {
+            micropostById: {
+              author: null,
+              favoritedBy: {
                 count: 0,
                 nodes: [],
               },
-              following: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user2.id,
-                  },
-                ],
-              },
             },
-            changedFollowersUser: {
-              id: user2.id,
-              followers: {
-                count: 1,
+          },
+        });
+
+        assert.deepEqual(await runQuery(`
+          query {
+            viewer {
+              allMicroposts(author: { isNull: true }) {
+                nodes {
+                  id
+                  author {
+                    id
+                  }
+                  favoritedBy {
+                    count
+                    nodes {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `, {
+          id: micropost.id,
+        }), {
+          data: {
+            viewer: {
+              allMicroposts: {
                 nodes: [
                   {
-                    id: user1.id,
+                    id: micropost.id,
+                    author: null,
+                    favoritedBy: {
+                      count: 0,
+                      nodes: [],
+                    },
                   },
                 ],
               },
-              following: {
-                count: 0,
-                nodes: [],
-              },
             },
           },
-        },
+        });
       });
+    });
+  }
 
-      result = await runQuery(query, {
+  describe('onDelete', () => {
+    before(async () => {
+      await migrate(runQuery, augmentSchema(TEST_SCHEMA, [
+        {
+          name: 'User',
+          permissions: [
+            {
+              grantee: 'USER',
+              userPath: ['id'],
+              delete: true,
+            },
+          ],
+          fields: [
+            {
+              name: 'microposts',
+              type: 'Connection',
+              ofType: 'Micropost',
+              reverseName: 'author',
+              onDelete: 'CASCADE',
+            },
+            {
+              name: 'notes',
+              type: 'Connection',
+              ofType: 'Note',
+              reverseName: 'author',
+              onDelete: 'RESTRICT',
+            },
+          ],
+        },
+        {
+          kind: 'OBJECT',
+          name: 'Note',
+          interfaces: ['Node'],
+          fields: [
+            {
+              name: 'id',
+              type: 'ID',
+              nonNull: true,
+              unique: true,
+            },
+            {
+              name: 'author',
+              type: 'User',
+              reverseName: 'notes',
+            },
+          ],
+        },
+      ]), true);
+    });
+
+    after(async () => {
+      await migrate(runQuery, TEST_SCHEMA, true);
+    });
+
+    it('cascades and restricts deletes', async () => {
+      const user = await createFixture(runQuery, 'User', {
+        handle: 'user-on-delete',
+      }, 'id');
+      const micropost = await createFixture(runQuery, 'Micropost', {
+        author: user.id,
+      }, 'id');
+      const note = await createFixture(runQuery, 'Note', {
+        author: user.id,
+      }, 'id');
+
+      const deleteQuery = `
+        mutation($input: _DeleteUserInput!) {
+          deleteUser(input: $input) {
+            id
+          }
+        }
+      `;
+      let result = await runQuery(deleteQuery, {
         input: {
-          followingId: user2.id,
-          followersId: user1.id,
+          id: user.id,
         },
+      }, {
+        printErrors: false,
       });
-
       assert.deepEqual(result, {
         data: {
-          addUserToUserFollowing: {
-            changedFollowingUser: {
-              id: user2.id,
-              followers: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user1.id,
-                  },
-                ],
-              },
-              following: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user1.id,
-                  },
-                ],
-              },
-            },
-            changedFollowersUser: {
-              id: user1.id,
-              followers: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user2.id,
-                  },
-                ],
-              },
-              following: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user2.id,
-                  },
-                ],
-              },
-            },
-          },
+          deleteUser: null,
         },
+        errors: [
+          {
+            message: `input.id: Can not delete User object ${user.id}, it ` +
+              'has related Note objects in `notes`.',
+          },
+        ],
       });
 
-      await runQuery(removeQuery, {
+      await deleteFixture(runQuery, 'Note', note.id);
+
+      result = await runQuery(deleteQuery, {
         input: {
-          followingId: user2.id,
-          followersId: user1.id,
+          id: user.id,
         },
       });
-
-      result = await runQuery(removeQuery, {
-        input: {
-          followingId: user1.id,
-          followersId: user2.id,
+      assert.deepEqual(result, {
+        data: {
+          deleteUser: {
+            id: user.id,
+          },
         },
       });
 
+      result = await runQuery(`
+        query($id: ID!) {
+          micropostById(id: $id) {
+            id
+          }
+        }
+      `, {
+        id: micropost.id,
+      });
       assert.deepEqual(result, {
         data: {
-          removeUserFromUserFollowing: {
-            changedFollowingUser: {
-              id: user1.id,
-              followers: {
-                count: 0,
-                nodes: [],
-              },
-              following: {
-                count: 0,
-                nodes: [],
-              },
-            },
-            changedFollowersUser: {
-              id: user2.id,
-              followers: {
-                count: 0,
-                nodes: [],
-              },
-              following: {
-                count: 0,
-                nodes: [],
-              },
-            },
-          },
+          micropostById: null,
         },
       });
     });
 
-    it('handles symmetrical many-to-many connections to itself', async () => {
-      const user1 = values(fixtures.User)[0];
-      const user2 = values(fixtures.User)[1];
+    it('checks permissions of objects deleted by cascading deletes',
+      async () => {
+        const user = await createFixture(runQuery, 'User', {
+          handle: 'user-on-delete-permissions',
+        }, 'id');
+        const micropost = await createFixture(runQuery, 'Micropost', {
+          author: user.id,
+        }, 'id');
+        const credentials = {
+          isAdmin: false,
+          userID: fromReindexID(user.id),
+        };
 
-      const fragment = `
-        changedUser1 {
-          id
-          friends {
-            count
-            nodes {
+        let result = await runQuery(`
+          mutation($input: _DeleteUserInput!) {
+            deleteUser(input: $input) {
               id
             }
           }
-        }
-        changedUser2 {
-          id
-          friends {
-            count
-            nodes {
+        `, {
+          input: {
+            id: user.id,
+          },
+        }, {
+          credentials,
+          printErrors: false,
+        });
+        assert.deepEqual(result, {
+          data: {
+            deleteUser: null,
+          },
+          errors: [
+            {
+              message: 'User lacks permissions to delete nodes of type ' +
+                '`Micropost`.',
+            },
+          ],
+        });
+
+        result = await runQuery(`
+          query($user: ID!, $micropost: ID!) {
+            userById(id: $user) {
+              id
+            }
+            micropostById(id: $micropost) {
               id
             }
           }
-        }
-      `;
-      const query = `
-        mutation friend($input: _UserFriendsConnectionInput!) {
-          addUserToUserFriends(input: $input) {
-            ${fragment}
+        `, {
+          user: user.id,
+          micropost: micropost.id,
+        });
+        assert.deepEqual(result, {
+          data: {
+            userById: {
+              id: user.id,
+            },
+            micropostById: {
+              id: micropost.id,
+            },
+          },
+        }, 'nothing is deleted');
+
+        await deleteFixture(runQuery, 'User', user.id);
+      });
+  });
+
+  describe('soft delete', () => {
+    before(async () => {
+      await migrate(runQuery, augmentSchema(TEST_SCHEMA, [
+        {
+          kind: 'OBJECT',
+          name: 'Draft',
+          interfaces: ['Node'],
+          softDelete: true,
+          fields: [
+            {
+              name: 'id',
+              type: 'ID',
+              nonNull: true,
+              unique: true,
+            },
+            {
+              name: 'text',
+              type: 'String',
+            },
+            {
+              name: 'notebook',
+              type: 'Notebook',
+              reverseName: 'drafts',
+            },
+          ],
+        },
+        {
+          kind: 'OBJECT',
+          name: 'Notebook',
+          interfaces: ['Node'],
+          softDelete: true,
+          fields: [
+            {
+              name: 'id',
+              type: 'ID',
+              nonNull: true,
+              unique: true,
+            },
+            {
+              name: 'drafts',
+              type: 'Connection',
+              ofType: 'Draft',
+              reverseName: 'notebook',
+              onDelete: 'CASCADE',
+            },
+          ],
+        },
+      ]), true);
+    });
+
+    after(async () => {
+      await migrate(runQuery, TEST_SCHEMA, true);
+    });
+
+    it('moves deleted objects to the trash', async () => {
+      const draft = await createFixture(runQuery, 'Draft', {
+        text: 'Draft',
+      }, 'id');
+
+      const mutation = (name) => `
+        mutation($input: _${name}DraftInput!) {
+          ${name.toLowerCase()}Draft(input: $input) {
+            id
           }
         }
       `;
-      const removeQuery = `
-        mutation unfriend($input: _UserFriendsConnectionInput!) {
-          removeUserFromUserFriends(input: $input) {
-            ${fragment}
+      const getQuery = `
+        query($id: ID!) {
+          draftById(id: $id) {
+            id
+          }
+          trashed: draftById(id: $id, includeDeleted: true) {
+            id
+            deletedAt
+          }
+          viewer {
+            allDrafts {
+              count
+            }
           }
         }
       `;
 
-      let result = await runQuery(query, {
-        input: {
-          user1Id: user1.id,
-          user2Id: user2.id,
-        },
+      let result = await runQuery(mutation('Delete'), {
+        input: { id: draft.id },
+      });
+      assert.deepEqual(result, { data: { deleteDraft: { id: draft.id } } });
+
+      result = await runQuery(getQuery, { id: draft.id });
+      assert.equal(result.data.draftById, null);
+      assert.equal(result.data.trashed.id, draft.id);
+      assert.isString(result.data.trashed.deletedAt);
+      assert.equal(result.data.viewer.allDrafts.count, 0);
+
+      result = await runQuery(mutation('Restore'), {
+        input: { id: draft.id },
       });
+      assert.deepEqual(result, { data: { restoreDraft: { id: draft.id } } });
 
+      result = await runQuery(getQuery, { id: draft.id });
       assert.deepEqual(result, {
         data: {
-          addUserToUserFriends: {
-            changedUser1: {
-              id: user1.id,
-              friends: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user2.id,
-                  },
-                ],
-              },
-            },
-            changedUser2: {
-              id: user2.id,
-              friends: {
-                count: 1,
-                nodes: [
-                  {
-                    id: user1.id,
-                  },
-                ],
-              },
+          draftById: {
+            id: draft.id,
+          },
+          trashed: {
+            id: draft.id,
+            deletedAt: null,
+          },
+          viewer: {
+            allDrafts: {
+              count: 1,
             },
           },
         },
       });
 
-      result = await runQuery(removeQuery, {
-        input: {
-          user1Id: user2.id,
-          user2Id: user1.id,
-        },
+      result = await runQuery(mutation('Purge'), {
+        input: { id: draft.id },
+      }, {
+        printErrors: false,
       });
-
       assert.deepEqual(result, {
         data: {
-          removeUserFromUserFriends: {
-            changedUser1: {
-              id: user2.id,
-              friends: {
-                count: 0,
-                nodes: [],
-              },
-            },
-            changedUser2: {
-              id: user1.id,
-              friends: {
-                count: 0,
-                nodes: [],
-              },
-            },
-          },
+          purgeDraft: null,
         },
+        errors: [
+          {
+            message: 'input.id: Can not find Draft object in the trash with ' +
+              `given ID: ${draft.id}`,
+          },
+        ],
       });
+
+      await runQuery(mutation('Delete'), { input: { id: draft.id } });
+      result = await runQuery(mutation('Purge'), {
+        input: { id: draft.id },
+      });
+      assert.deepEqual(result, { data: { purgeDraft: { id: draft.id } } });
+
+      result = await runQuery(getQuery, { id: draft.id });
+      assert.equal(result.data.trashed, null);
     });
 
-    describe('related object cascading', () => {
-      let user;
-      let micropost;
-      before(async () => {
-        user = await createFixture(runQuery, 'User', {
-          handle: 'user-cascade',
-        }, 'id, handle');
-        micropost = await createFixture(runQuery, 'Micropost', {
-          author: user.id,
-        }, `id`);
-        await runQuery(`
-          mutation favorite($input: _MicropostUserFavoritesConnectionInput!) {
-            addMicropostToUserFavorites(input: $input) {
-              clientMutationId
-            }
+    it('cascades to the trash, restore and purge', async () => {
+      const notebook = await createFixture(runQuery, 'Notebook', {}, 'id');
+      const draft = await createFixture(runQuery, 'Draft', {
+        notebook: notebook.id,
+      }, 'id');
+      const trashedDraft = await createFixture(runQuery, 'Draft', {
+        notebook: notebook.id,
+      }, 'id');
+      await deleteFixture(runQuery, 'Draft', trashedDraft.id);
+
+      const mutation = (name) => `
+        mutation($input: _${name}NotebookInput!) {
+          ${name.toLowerCase()}Notebook(input: $input) {
+            id
           }
-        `, {
-          input: {
-            userId: user.id,
-            micropostId: micropost.id,
-          },
-        });
+        }
+      `;
+      const getQuery = `
+        query($notebook: ID!, $draft: ID!, $trashedDraft: ID!) {
+          notebook: notebookById(id: $notebook, includeDeleted: true) {
+            deletedAt
+          }
+          draft: draftById(id: $draft, includeDeleted: true) {
+            deletedAt
+          }
+          trashedDraft: draftById(id: $trashedDraft, includeDeleted: true) {
+            deletedAt
+          }
+        }
+      `;
+      const ids = {
+        notebook: notebook.id,
+        draft: draft.id,
+        trashedDraft: trashedDraft.id,
+      };
+
+      let result = await runQuery(getQuery, ids);
+      const trashedAt = result.data.trashedDraft.deletedAt;
+
+      result = await runQuery(mutation('Delete'), {
+        input: { id: notebook.id },
+      });
+      assert.deepEqual(result, {
+        data: { deleteNotebook: { id: notebook.id } },
       });
 
-      after(async () => {
-        await deleteFixture(runQuery, 'Micropost', micropost.id);
+      result = await runQuery(getQuery, ids);
+      assert.isString(result.data.notebook.deletedAt);
+      assert.deepEqual(result.data, {
+        notebook: { deletedAt: result.data.notebook.deletedAt },
+        draft: { deletedAt: result.data.notebook.deletedAt },
+        trashedDraft: { deletedAt: trashedAt },
+      }, 'related objects are moved to the trash with the object');
+
+      result = await runQuery(mutation('Restore'), {
+        input: { id: notebook.id },
+      });
+      assert.deepEqual(result, {
+        data: { restoreNotebook: { id: notebook.id } },
       });
 
-      it('updates related objects on delete', async () => {
-        await runQuery(`
-          mutation($input: _DeleteUserInput!) {
-            deleteUser(input: $input) {
-              id
-            }
+      result = await runQuery(getQuery, ids);
+      assert.deepEqual(result.data, {
+        notebook: { deletedAt: null },
+        draft: { deletedAt: null },
+        trashedDraft: { deletedAt: trashedAt },
+      }, 'only objects trashed with the object are restored');
+
+      await runQuery(mutation('Delete'), { input: { id: notebook.id } });
+      result = await runQuery(mutation('Purge'), {
+        input: { id: notebook.id },
+      });
+      assert.deepEqual(result, {
+        data: { purgeNotebook: { id: notebook.id } },
+      });
+
+      result = await runQuery(getQuery, ids);
+      assert.deepEqual(result.data, {
+        notebook: null,
+        draft: null,
+        trashedDraft: null,
+      }, 'related objects in the trash are purged');
+    });
+  });
+
+  describe('history', () => {
+    before(async () => {
+      await migrate(runQuery, augmentSchema(TEST_SCHEMA, [
+        {
+          kind: 'OBJECT',
+          name: 'Page',
+          interfaces: ['Node'],
+          history: true,
+          fields: [
+            {
+              name: 'id',
+              type: 'ID',
+              nonNull: true,
+              unique: true,
+            },
+            {
+              name: 'text',
+              type: 'String',
+            },
+          ],
+        },
+      ]), true);
+    });
+
+    after(async () => {
+      await migrate(runQuery, TEST_SCHEMA, true);
+    });
+
+    it('records revisions of mutations', async () => {
+      const user = values(fixtures.User)[0];
+      const credentials = { isAdmin: false, userID: fromReindexID(user.id) };
+      const page = await createFixture(runQuery, 'Page', {
+        text: 'First',
+      }, 'id', { credentials });
+
+      await runQuery(`
+        mutation($input: _UpdatePageInput!) {
+          updatePage(input: $input) {
+            id
           }
-        `, {
-          input: {
-            id: user.id,
-          },
-        });
+        }
+      `, {
+        input: { id: page.id, text: 'Second' },
+      });
 
-        assert.deepEqual(await runQuery(`
-          query($id: ID!) {
-            micropostById(id: $id) {
-              author {
-                id
-              }
-              favoritedBy {
-                count
-                nodes {
+      const query = `
+        query($id: ID!) {
+          pageById(id: $id) {
+            revisions {
+              nodes {
+                nodeID
+                operation
+                user {
                   id
                 }
+                changes {
+                  field
+                  oldValue
+                  newValue
+                }
               }
             }
           }
-        `, {
-          id: micropost.id,
-        }), {
-          data: {
-            micropostById: {
-              author: null,
-              favoritedBy: {
-                count: 0,
-                nodes: [],
-              },
+        }
+      `;
+
+      let result = await runQuery(query, { id: page.id });
+      assert.deepEqual(
+        sortBy(result.data.pageById.revisions.nodes, 'operation'),
+        [
+          {
+            nodeID: page.id,
+            operation: 'create',
+            user: {
+              id: user.id,
             },
+            changes: [
+              {
+                field: 'text',
+                oldValue: null,
+                newValue: '"First"',
+              },
+            ],
           },
-        });
+          {
+            nodeID: page.id,
+            operation: 'update',
+            user: null,
+            changes: [
+              {
+                field: 'text',
+                oldValue: '"First"',
+                newValue: '"Second"',
+              },
+            ],
+          },
+        ],
+      );
 
-        assert.deepEqual(await runQuery(`
-          query {
-            viewer {
-              allMicroposts(author: { isNull: true }) {
-                nodes {
+      result = await runQuery(query, { id: page.id }, {
+        credentials,
+        printErrors: false,
+      });
+      assert.deepEqual(result.errors, [
+        {
+          message: 'User lacks permissions to read nodes of type ' +
+            '`ReindexRevision`.',
+        },
+      ]);
+
+      await deleteFixture(runQuery, 'Page', page.id);
+      result = await runQuery(`
+        {
+          viewer {
+            allReindexRevisions {
+              nodes {
+                nodeID
+                node {
                   id
-                  author {
-                    id
-                  }
-                  favoritedBy {
-                    count
-                    nodes {
-                      id
-                    }
-                  }
+                }
+                operation
+                changes {
+                  field
+                  oldValue
+                  newValue
                 }
               }
             }
           }
-        `, {
-          id: micropost.id,
-        }), {
-          data: {
-            viewer: {
-              allMicroposts: {
-                nodes: [
-                  {
-                    id: micropost.id,
-                    author: null,
-                    favoritedBy: {
-                      count: 0,
-                      nodes: [],
-                    },
-                  },
-                ],
+        }
+      `);
+      assert.deepEqual(
+        result.data.viewer.allReindexRevisions.nodes.filter((revision) =>
+          revision.nodeID === page.id && revision.operation === 'delete'
+        ),
+        [
+          {
+            nodeID: page.id,
+            node: null,
+            operation: 'delete',
+            changes: [
+              {
+                field: 'text',
+                oldValue: '"Second"',
+                newValue: null,
               },
-            },
+            ],
           },
-        });
+        ],
+      );
+    });
+  });
+
+  describe('timestamps', () => {
+    before(async () => {
+      await migrate(runQuery, augmentSchema(TEST_SCHEMA, [
+        {
+          kind: 'OBJECT',
+          name: 'Event',
+          interfaces: ['Node'],
+          timestamps: true,
+          fields: [
+            {
+              name: 'id',
+              type: 'ID',
+              nonNull: true,
+              unique: true,
+            },
+            {
+              name: 'name',
+              type: 'String',
+            },
+          ],
+        },
+      ]), true);
+    });
+
+    after(async () => {
+      await migrate(runQuery, TEST_SCHEMA, true);
+    });
+
+    it('sets createdAt and updatedAt', async () => {
+      const fragment = 'id, name, createdAt, updatedAt';
+      const event = await createFixture(runQuery, 'Event', {
+        name: 'Launch',
+      }, fragment);
+      assert.isString(event.createdAt);
+      assert.equal(event.updatedAt, event.createdAt);
+
+      let result = await runQuery(`
+        mutation($input: _UpdateEventInput!) {
+          updateEvent(input: $input) {
+            changedEvent {
+              ${fragment}
+            }
+          }
+        }
+      `, {
+        input: { id: event.id, name: 'Release' },
+      });
+      const updated = result.data.updateEvent.changedEvent;
+      assert.equal(updated.createdAt, event.createdAt);
+      assert.isAtLeast(
+        new Date(updated.updatedAt).getTime(),
+        new Date(event.createdAt).getTime(),
+      );
+
+      result = await runQuery(`
+        mutation($input: _ReplaceEventInput!) {
+          replaceEvent(input: $input) {
+            changedEvent {
+              ${fragment}
+            }
+          }
+        }
+      `, {
+        input: { id: event.id, name: 'Replaced' },
+      });
+      const replaced = result.data.replaceEvent.changedEvent;
+      assert.equal(replaced.name, 'Replaced');
+      assert.equal(replaced.createdAt, event.createdAt);
+      assert.isString(replaced.updatedAt);
+
+      result = await runQuery(`
+        mutation($input: _CreateEventInput!) {
+          createEvent(input: $input) {
+            id
+          }
+        }
+      `, {
+        input: { name: 'Fake', createdAt: '2000-01-01T00:00:00.000Z' },
+      }, {
+        printErrors: false,
       });
+      assert.isDefined(result.errors);
+
+      result = await runQuery(`
+        {
+          viewer {
+            allEvents(orderBy: UPDATED_AT_DESC) {
+              nodes {
+                id
+              }
+            }
+          }
+        }
+      `);
+      assert.deepEqual(result.data.viewer.allEvents.nodes, [
+        {
+          id: event.id,
+        },
+      ]);
     });
-  }
+  });
 });
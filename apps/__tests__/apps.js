@@ -1,4 +1,5 @@
 import JSONWebToken from 'jsonwebtoken';
+import RethinkDB from 'rethinkdb';
 import uuid from 'uuid';
 
 import assert from '../../test/assert';
@@ -6,6 +7,9 @@ import Config from '../../server/Config';
 import createApp from '../createApp';
 import createToken from '../createToken';
 import getAdminDB from '../../db/getAdminDB';
+import getDB from '../../db/getDB';
+import DatabaseTypes from '../../db/DatabaseTypes';
+import { HOOK_QUEUE_TABLE } from '../../db/rethinkdb/DBTableNames';
 import hasApp from '../hasApp';
 import deleteApp from '../deleteApp';
 
@@ -80,4 +84,23 @@ describe('Application management', () => {
 
     await deleteApp(host);
   });
+
+  it('creates missing built-in storage of existing apps', async () => {
+    const host = `test.${uuid.v4()}.example.com`;
+    await createApp(host);
+    const db = await getDB(host);
+    try {
+      if (process.env.DATABASE_TYPE === DatabaseTypes.RethinkDB) {
+        const conn = await db.getConnection();
+        await RethinkDB.tableDrop(HOOK_QUEUE_TABLE).run(conn);
+        assert.deepEqual(await db.updateDatabaseForApp(), [HOOK_QUEUE_TABLE]);
+      }
+      assert.deepEqual(await db.updateDatabaseForApp(), [],
+        'nothing is missing after the update');
+      assert.equal(await db.getHookQueueSize(), 0);
+    } finally {
+      await db.close();
+      await deleteApp(host);
+    }
+  });
 });
@@ -1,5 +1,6 @@
 import getAdminDB from '../db/getAdminDB';
-import getDB from '../db/getDB';
+import getDB, { clearCachedApp } from '../db/getDB';
+import { schemaCache } from '../graphQL/createReindex';
 
 export default async function deleteApp(hostname) {
   const adminDB = getAdminDB(hostname);
@@ -13,6 +14,8 @@ export default async function deleteApp(hostname) {
     await adminDB.deleteQuery('Domain', domain.id);
     await adminDB.deleteQuery('App', domain.app);
     await db.deleteDatabaseForApp();
+    schemaCache.delete(hostname);
+    clearCachedApp(hostname);
   } finally {
     await adminDB.close();
     if (db) {
@@ -0,0 +1,50 @@
+import minimist from 'minimist';
+import { delay } from 'bluebird';
+
+import listApps from '../apps/listApps';
+import { processHookQueue } from '../graphQL/hooks/hookQueue';
+
+function usage() {
+  process.stdout.write(
+    `Usage: ${process.argv[1]} [--interval MS] [HOSTNAME...]\n` +
+    'Delivers due hook invocations of the given apps or of all apps. With ' +
+    '--interval, keeps running and drains the queues every MS milliseconds.\n'
+  );
+}
+
+async function processQueues(hostnames) {
+  let targets = hostnames;
+  if (targets.length === 0) {
+    targets = (await listApps()).map((app) => app.hostname);
+  }
+  for (const hostname of targets) {
+    await processHookQueue(hostname);
+  }
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    alias: {
+      help: 'h',
+      interval: 'i',
+    },
+  });
+
+  if (argv.help) {
+    usage();
+    return;
+  }
+
+  const hostnames = argv._;
+  do {
+    await processQueues(hostnames);
+    if (argv.interval) {
+      await delay(argv.interval);
+    }
+  } while (argv.interval);
+}
+
+main().then(() => process.exit(0), (error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+import minimist from 'minimist';
+
+import getDB from '../db/getDB';
+import listApps from '../apps/listApps';
+
+function usage() {
+  process.stdout.write(
+    `Usage: ${process.argv[1]} [HOSTNAME...]\n` +
+    'Creates the built-in tables and indexes that are missing in the ' +
+    'databases of the given apps or of all apps. Run it after deploying a ' +
+    'version that adds built-in storage.\n'
+  );
+}
+
+async function updateApp(hostname) {
+  const db = await getDB(hostname);
+  try {
+    const createdTables = await db.updateDatabaseForApp();
+    console.log(
+      `Updated ${hostname}` +
+      (createdTables.length ? `, created ${createdTables.join(', ')}` : '')
+    );
+  } finally {
+    await db.close();
+  }
+}
+
+async function main() {
+  const argv = minimist(process.argv.slice(2), {
+    alias: {
+      help: 'h',
+    },
+  });
+
+  if (argv.help) {
+    usage();
+    return;
+  }
+
+  let hostnames = argv._;
+  if (hostnames.length === 0) {
+    hostnames = (await listApps()).map((app) => app.hostname);
+  }
+  for (const hostname of hostnames) {
+    await updateApp(hostname);
+  }
+}
+
+main().then(() => process.exit(0), (error) => {
+  console.error(error);
+  process.exit(1);
+});
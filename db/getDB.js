@@ -1,3 +1,4 @@
+import Config from '../server/Config';
 import createDBClient from './createDBClient';
 import getAdminDB from './getAdminDB';
 import getDatabaseSettings from './getDatabaseSettings';
@@ -23,19 +24,37 @@ async function fetchApp(adminDB, hostname) {
 
 const appsByHostname = {};
 
-export default async function getDB(hostname) {
-  let app = appsByHostname[hostname];
-  if (!app) {
-    let adminDB;
-    try {
-      adminDB = getAdminDB(hostname);
-      app = await fetchApp(adminDB, hostname);
-    } finally {
-      if (adminDB) {
-        await adminDB.close();
-      }
+// Returns the admin `App` of the hostname with its `Storage`. Apps are cached
+// for `appCache.ttl` seconds, so that changes to them take effect without a
+// restart.
+export async function getCachedApp(hostname) {
+  const cached = appsByHostname[hostname];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.app;
+  }
+  let adminDB;
+  let app;
+  try {
+    adminDB = getAdminDB(hostname);
+    app = await fetchApp(adminDB, hostname);
+  } finally {
+    if (adminDB) {
+      await adminDB.close();
     }
-    appsByHostname[hostname] = app;
   }
+  appsByHostname[hostname] = {
+    app,
+    expiresAt: Date.now() + Config.get('appCache.ttl') * 1000,
+  };
+  return app;
+}
+
+// Removes the cached `App` of the hostname, after it has been changed.
+export function clearCachedApp(hostname) {
+  delete appsByHostname[hostname];
+}
+
+export default async function getDB(hostname) {
+  const app = await getCachedApp(hostname);
   return createDBClient(hostname, app.database.name, getDatabaseSettings(app));
 }
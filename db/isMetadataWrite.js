@@ -0,0 +1,9 @@
+// Types that the schema of an app is built from, see `getMetadata`.
+const METADATA_TYPES = ['ReindexType', 'ReindexHook', 'ReindexIndex'];
+
+// Whether a call of a mutation query changes the metadata of the app, so that
+// the metadata version has to be bumped. Migrations and index creation bump
+// the version themselves.
+export default function isMetadataWrite(mutationQueries, name, args) {
+  return name in mutationQueries && METADATA_TYPES.includes(args[0]);
+}
@@ -5,11 +5,13 @@ import { MongoClient } from 'mongodb';
 
 import { UserError } from '../../graphQL/UserError';
 import Metrics from '../../server/Metrics';
+import isMetadataWrite from '../isMetadataWrite';
 import * as appQueries from './queries/appQueries';
 import * as simpleQueries from './queries/simpleQueries';
 import * as connectionQueries from './queries/connectionQueries';
 import * as mutationQueries from './queries/mutationQueries';
 import * as migrationQueries from './queries/migrationQueries';
+import * as hookQueueQueries from './queries/hookQueueQueries';
 import { isValidID } from './queries/queryUtils';
 
 const clusterConnections = {
@@ -115,6 +117,7 @@ forEach(merge(
   mutationQueries,
   connectionQueries,
   migrationQueries,
+  hookQueueQueries,
 ), (query, name) => {
   MongoDBClient.prototype[name] = async function(...args) {
     const db = await Metrics.timing(
@@ -141,6 +144,9 @@ forEach(merge(
         this.stats.byQuery[name] = currentStats;
       }
     );
+    if (isMetadataWrite(mutationQueries, name, args)) {
+      await this.bumpMetadataVersion();
+    }
     return result;
   };
 });
@@ -1,3 +1,4 @@
+import { find, sortBy } from 'lodash';
 import uuid from 'uuid';
 
 import assert from '../../../test/assert';
@@ -88,10 +89,8 @@ if (!process.env.DATABASE_TYPE ||
           text: `text-${i % 5}`,
           createdAt: '@TIMESTAMP',
           author: user.id,
-        }, 'id');
-        createdMicropost.cursor = {
-          value: fromReindexID(createdMicropost.id).value,
-        };
+        }, 'id, text, createdAt');
+        createdMicropost.cursor = getCursor(createdMicropost);
         microposts.push(createdMicropost);
       }
       micropostIDs = microposts.map((post) => fromReindexID(post.id));
@@ -102,6 +101,29 @@ if (!process.env.DATABASE_TYPE ||
       await deleteApp(hostname);
     });
 
+    // Cursor that can be used with orderings by text and createdAt
+    function getCursor(micropost) {
+      return {
+        value: fromReindexID(micropost.id).value,
+        orderBy: [
+          {
+            field: 'text',
+            value: micropost.text,
+          },
+          {
+            field: 'createdAt',
+            value: new Date(micropost.createdAt),
+          },
+        ],
+      };
+    }
+
+    function getCursorByID(id) {
+      return find(microposts, (micropost) =>
+        fromReindexID(micropost.id).value === id.value.toString()
+      ).cursor;
+    }
+
     async function getIDs(filter, args) {
       const {
         paginatedQuery,
@@ -299,9 +321,7 @@ if (!process.env.DATABASE_TYPE ||
             field: 'text',
           },
           first: 19,
-          after: {
-            value: original[0].value,
-          },
+          after: getCursorByID(original[0]),
         });
 
         assert.deepEqual(paginated, original.slice(1));
@@ -322,13 +342,33 @@ if (!process.env.DATABASE_TYPE ||
             field: 'text',
           },
           first: 5,
-          after: {
-            value: sortedOrder[10].value,
-          },
+          after: getCursorByID(sortedOrder[10]),
         });
         assert.deepEqual(paginated, sortedOrder.slice(11, 16));
       });
 
+      it('cursor works after the object is deleted', async () => {
+        const { paginated: sortedOrder } = await getIDs([], {
+          orderBy: {
+            field: 'text',
+          },
+        });
+
+        const createdMicropost = await createFixture(runQuery, 'Micropost', {
+          text: 'text-2',
+          createdAt: '@TIMESTAMP',
+        }, 'id, text, createdAt');
+        await deleteFixture(runQuery, 'Micropost', createdMicropost.id);
+
+        const { paginated } = await getIDs([], {
+          orderBy: {
+            field: 'text',
+          },
+          after: getCursor(createdMicropost),
+        });
+        assert.deepEqual(paginated, sortedOrder.slice(60));
+      });
+
       it('ordering and cursors work with order', async () => {
         let { paginated } = await getIDs([], {
           orderBy: {
@@ -365,6 +405,43 @@ if (!process.env.DATABASE_TYPE ||
         assert.deepEqual(paginated, micropostIDs.slice(96).reverse(),
           'before');
       });
+
+      it('ordering and cursors work with several fields', async () => {
+        const orderBy = [
+          {
+            field: 'text',
+            order: 'DESC',
+          },
+          {
+            field: 'createdAt',
+            order: 'ASC',
+          },
+        ];
+        const sorted = sortBy(microposts, (post, i) => (4 - (i % 5)) * 100 + i);
+        const sortedIDs = sorted.map((post) => fromReindexID(post.id));
+
+        let { paginated } = await getIDs([], {
+          orderBy,
+        });
+        assert.deepEqual(paginated, sortedIDs, 'no cursor');
+
+        ({ paginated } = await getIDs([], {
+          orderBy,
+          after: sorted[18].cursor,
+          first: 5,
+        }));
+        assert.deepEqual(paginated, sortedIDs.slice(19, 24),
+          'after, across a change of the first field');
+
+        ({ paginated } = await getIDs([], {
+          orderBy,
+          after: sorted[10].cursor,
+          before: sorted[50].cursor,
+          last: 5,
+        }));
+        assert.deepEqual(paginated, sortedIDs.slice(45, 50),
+          'before and after');
+      });
     });
 
     describe('indexes', () => {
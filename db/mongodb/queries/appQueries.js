@@ -11,6 +11,13 @@ export async function createDatabaseForApp(db) {
   await createBuiltInIndexesForApp(db);
 }
 
+// Collections are created on the first write, so only the built-in indexes
+// that were added after the app was created are missing.
+export async function updateDatabaseForApp(db) {
+  await createBuiltInIndexesForApp(db);
+  return [];
+}
+
 export async function createBuiltInIndexesForApp(db) {
   const userType = {
     ...DefaultUserType,
@@ -20,6 +27,8 @@ export async function createBuiltInIndexesForApp(db) {
   const schema = createSchema(createDefaultTypeRegistry({ types: [userType] }));
   const types = toReindexSchema(schema);
   await constructMissingIndexes(db, types, {});
+  await db.collection('ReindexHookQueue').createIndex({ nextAttemptAt: 1 });
+  await db.collection('ReindexRevision').createIndex({ 'node.value': 1 });
 }
 
 export async function deleteDatabaseForApp(db) {
@@ -1,7 +1,11 @@
 /* eslint-disable max-len */
+import { escapeRegExp } from 'lodash';
 import { ObjectId } from 'mongodb';
 
+import Config from '../../../server/Config';
 import { UserError } from '../../../graphQL/UserError';
+import { getOrderings } from '../../../graphQL/filters';
+import { getCursorValues } from '../../../graphQL/builtins/Cursor';
 import { addID, addTransform } from './queryUtils';
 
 export function getConnectionQueries(
@@ -19,6 +23,13 @@ export function getConnectionQueries(
     throw new UserError('Invalid `after` cursor');
   }
 
+  if (args.orderBy && args.orderBy.relevance && (args.before || args.after)) {
+    throw new UserError(
+      'Cursors can not be used with search results ordered by relevance. ' +
+      'Pass `orderBy` to paginate search results with cursors.'
+    );
+  }
+
   const unsortableKeys = new Set(
     context.typeRegistry
       .getTypeSet(type)
@@ -33,9 +44,29 @@ export function getConnectionQueries(
     filtersToMongo(filter),
     unsortableKeys,
     args,
+    getMaxTimeMS(filter),
   );
 }
 
+function hasPatternFilter(filters) {
+  return filters.some((filter) =>
+    filter.op === 'matches' ||
+    Boolean(filter.filters && hasPatternFilter(filter.filters))
+  );
+}
+
+// Patterns are validated to not backtrack exponentially, but matching them
+// against large collections can still be slow, so the server aborts those
+// queries after a time limit.
+function getMaxTimeMS(filter) {
+  const timeout = Config.get('database.patternQueryTimeout');
+  return timeout && hasPatternFilter(filter) ? timeout : null;
+}
+
+function withMaxTimeMS(cursor, maxTimeMS) {
+  return maxTimeMS ? cursor.maxTimeMS(maxTimeMS) : cursor;
+}
+
 class Query {
   constructor(cursor) {
     this._cursor = cursor;
@@ -67,112 +98,132 @@ class Query {
 }
 
 async function getPaginatedQuery(db, type, filter, unsortableKeys, {
-  orderBy = {},
+  orderBy,
   before,
   after,
   first,
   last,
-}) {
+}, maxTimeMS) {
   const collection = db.collection(type);
   let query;
-  const unpaginatedQuery = collection.find(filter);
-
-  const field = (
-    !orderBy.field || orderBy.field === 'id' ? '_id' : orderBy.field
-  );
-  const order = orderBy.order === 'DESC' ? -1 : 1;
-
-  if (field === '_id') {
+  const unpaginatedQuery = withMaxTimeMS(collection.find(filter), maxTimeMS);
+
+  const orderings = getOrderings(orderBy);
+  const sortKeys = orderings.map(({ field, order }) => ({
+    field: field === 'id' ? '_id' : field,
+    order: order === 'DESC' ? -1 : 1,
+  }));
+
+  if (orderBy && orderBy.relevance) {
+    query = collection.find(filter)
+      .project({ _score: { $meta: 'textScore' } })
+      .sort({ _score: { $meta: 'textScore' }, _id: 1 });
+  } else if (sortKeys.length === 0 || sortKeys[0].field === '_id') {
+    const order = sortKeys.length > 0 ? sortKeys[0].order : 1;
     query = limitQueryWithId(collection, filter, order, before, after, unsortableKeys);
   } else {
-    query = await limitQuery(collection, filter, field, order, before, after, unsortableKeys);
+    query = limitQuery(collection, filter, sortKeys, before, after, unsortableKeys);
   }
 
+  query = withMaxTimeMS(query, maxTimeMS);
   const pageInfo = await applyPagination(query, first, last);
 
   return {
     query: unpaginatedQuery,
+    aggregateQuery: {
+      type,
+      filter,
+      maxTimeMS,
+    },
     paginatedQuery: new Query(addTransform(query, (object) =>
       addID(type, object)
     )),
     pageInfo,
+    orderings,
   };
 }
 
 // When limiting results with `before` and `after` an object in the database
-// should be in the result set in one of the three cases:
+// should be in the result set if it's sorted after the `after` cursor and
+// before the `before` cursor by the compound sort key. Cursors include the
+// values of the sort fields, so the objects they point to are not read. For
+// key `(a, b)` and `after` cursor with values `(x, y)` that is
 //
-// * Object is between before and after, non-inclusive
-// * Object has same sort field value as before cursor, but is stably sorted
-//   to be after it
-// * Object has same sort field value as after cursor, but is stably sorted
-//   to be before it
+// * Object has `a` greater than `x`
+// * Object has `a` equal to `x`, but `b` greater than `y`
+// * Object has `a` equal to `x`, `b` equal to `y`, but is stably sorted to be
+//   after it
 //
-// We provide stable sorting by always also sorting by `_id`. In addition this
-// means that in the last two cases we also need to filter the `_id`.
+// We provide stable sorting by always also sorting by `_id`, so the last case
+// filters the `_id`.
 //
 // There are many ways to do it mongo, several experiments shown that it's best
-// to have all those three cases on top level in an $or; in this case we have
-// at most three index hits, with no non-index filtering or sorting.
-async function limitQuery(collection, filter, field, order, before, after, unsortableKeys) {
-  let finalFilter = filter;
-  const limits = {};
-  const ors = [];
-  if (before) {
-    const op = order === 1 ? '$lt' : '$gt';
-    const beforeObject = await collection.findOne({
-      _id: ObjectId(before.value),
-    }, {
-      fields: {
-        [field]: 1,
-      },
-    });
-    limits[op] = beforeObject[field];
-    ors.push(
-      {
-        ...filter,
-        [field]: beforeObject[field],
-        _id: { [op]: ObjectId(before.value) },
-      },
-    );
-  }
+// to have all those cases on top level in an $or; in this case we have
+// at most one index hit per sort field, with no non-index filtering or
+// sorting.
+function limitQuery(collection, filter, orderings, before, after, unsortableKeys) {
+  const sortKeys = [
+    ...orderings,
+    {
+      field: '_id',
+      order: orderings[orderings.length - 1].order,
+    },
+  ];
+  const conditions = [];
 
   if (after) {
-    const op = order === 1 ? '$gt' : '$lt';
-    const afterObject = await collection.findOne({
-      _id: ObjectId(after.value),
-    }, {
-      fields: {
-        [field]: 1,
-      },
-    });
-    limits[op] = afterObject[field];
-    ors.push(
-      {
-        ...filter,
-        [field]: afterObject[field],
-        _id: { [op]: ObjectId(after.value) },
-      },
-    );
+    conditions.push(getCursorConditions(sortKeys, after, 1));
   }
 
-  if (before || after) {
+  if (before) {
+    conditions.push(getCursorConditions(sortKeys, before, -1));
+  }
+
+  let finalFilter = filter;
+  if (conditions.length === 1) {
     finalFilter = {
-      $or: [
-        {
-          ...filter,
-          [field]: limits,
-        },
-        ...ors,
+      $or: conditions[0].map((condition) => ({
+        ...filter,
+        ...condition,
+      })),
+    };
+  } else if (conditions.length === 2) {
+    finalFilter = {
+      ...filter,
+      $and: [
+        ...filter.$and || [],
+        ...conditions.map((condition) => ({ $or: condition })),
       ],
     };
   }
 
-  const sort = getSort(filter, field, order, unsortableKeys);
+  const sort = getSort(filter, sortKeys, unsortableKeys);
 
   return collection.find(finalFilter).sort(sort);
 }
 
+// Returns a list of conditions, one of which must match for an object to be
+// sorted after (`direction` 1) or before (`direction` -1) the cursor.
+function getCursorConditions(sortKeys, cursor, direction) {
+  const cursorValues = getCursorValues(
+    cursor,
+    sortKeys.map(({ field }) => (field === '_id' ? 'id' : field)),
+  ).map((value, index) => (
+    sortKeys[index].field === '_id' ? ObjectId(value) : value
+  ));
+  return sortKeys.map(({ field, order }, index) => {
+    const op = order * direction === 1 ? '$gt' : '$lt';
+    const condition = {};
+    sortKeys.slice(0, index).forEach((equalKey, equalIndex) => {
+      condition[equalKey.field] = cursorValues[equalIndex];
+    });
+    condition[field] = {
+      [op]: cursorValues[index],
+    };
+    return condition;
+  });
+}
+
 function limitQueryWithId(collection, filter, order, before, after, unsortableKeys) {
   if (before || after) {
     filter = {
@@ -191,26 +242,34 @@ function limitQueryWithId(collection, filter, order, before, after, unsortableKe
     filter._id[op] = ObjectId(after.value);
   }
 
-  const sort = getSort(filter, '_id', order, unsortableKeys);
+  const sort = getSort(filter, [{ field: '_id', order }], unsortableKeys);
 
   return collection.find(filter).sort(sort);
 }
 
-function getSort(filter, field, order, unsortableKeys) {
+function getSort(filter, sortKeys, unsortableKeys) {
+  // Regex and set membership filters match many values, so sorting by them
+  // would change the order of the results
   const allFilterKeys = [
     ...Object.keys(filter).filter((key) => key !== '$and'),
-    ...(filter.$and || []).map((part) => Object.keys(part)[0]),
+    ...(filter.$and || [])
+      .filter((part) => !isMultiValueFilter(part[Object.keys(part)[0]]))
+      .map((part) => Object.keys(part)[0])
+      .filter((key) => key && !key.startsWith('$')),
   ];
-  const sort = [
+  const sortFields = sortKeys.map((key) => key.field);
+  return [
     ...allFilterKeys
-      .filter((key) => !unsortableKeys.has(key))
-      .map((key) => [key, order]),
-    [field, order],
+      .filter((key) => !unsortableKeys.has(key) && !sortFields.includes(key))
+      .map((key) => [key, sortKeys[0].order]),
+    ...sortKeys.map(({ field, order }) => [field, order]),
   ];
-  if (field !== 'id') {
-    sort.push(['_id', order]);
-  }
-  return sort;
+}
+
+function isMultiValueFilter(condition) {
+  return Boolean(
+    condition && (condition.$regex || condition.$in || condition.$nin)
+  );
 }
 
 async function applyPagination(query, first, last) {
@@ -273,11 +332,50 @@ const OP_TO_MONGO = {
   neq: '$ne',
   includes: '$in',
   excludes: '$nin',
+  in: '$in',
+  notIn: '$nin',
 };
 
+const STRING_OPS = [
+  'contains',
+  'startsWith',
+  'endsWith',
+  'matches',
+  'eqIgnoreCase',
+];
+
+// `matches` pattern is validated in `processFilters`, other string operators
+// match the value literally.
+function stringFilterToRegex(op, value) {
+  if (op === 'matches') {
+    return { $regex: value };
+  }
+  const escaped = escapeRegExp(value);
+  if (op === 'contains') {
+    return { $regex: escaped };
+  } else if (op === 'startsWith') {
+    return { $regex: `^${escaped}` };
+  } else if (op === 'endsWith') {
+    return { $regex: `${escaped}$` };
+  } else {
+    return { $regex: `^${escaped}$`, $options: 'i' };
+  }
+}
+
 function filterToMongo(filter) {
   const { field, op, value } = filter;
-  if (op === 'isNull') {
+  if (op === 'search') {
+    return { $text: { $search: value } };
+  } else if (op === 'and') {
+    const parts = filter.filters.map(filterToMongo);
+    return parts.length > 0 ? { $and: parts } : {};
+  } else if (op === 'or') {
+    const parts = filter.filters.map(filterToMongo);
+    // An empty `or` matches nothing
+    return parts.length > 0 ? { $or: parts } : { _id: { $in: [] } };
+  } else if (op === 'not') {
+    return { $nor: filter.filters.map(filterToMongo) };
+  } else if (op === 'isNull') {
     if (value) {
       return {
         [field]: null,
@@ -299,6 +397,10 @@ function filterToMongo(filter) {
         [OP_TO_MONGO[op]]: [value],
       },
     };
+  } else if (STRING_OPS.includes(op)) {
+    return {
+      [field]: stringFilterToRegex(op, value),
+    };
   } else {
     return {
       [field]: {
@@ -0,0 +1,49 @@
+import { ObjectId } from 'mongodb';
+
+import { addID } from './queryUtils';
+
+const HOOK_QUEUE = 'ReindexHookQueue';
+
+export async function enqueueHookDelivery(db, delivery) {
+  const result = await db.collection(HOOK_QUEUE).insertOne(delivery);
+  return addID(HOOK_QUEUE, {
+    ...delivery,
+    _id: result.insertedId,
+  });
+}
+
+// Atomically takes the next due delivery off the queue by pushing its
+// `nextAttemptAt` by `leaseDuration` milliseconds, so that concurrent workers
+// do not pick it up. If the worker dies, delivery is retried after the lease.
+export async function claimHookDelivery(db, leaseDuration) {
+  const now = new Date();
+  const result = await db.collection(HOOK_QUEUE).findOneAndUpdate({
+    nextAttemptAt: { $lte: now },
+  }, {
+    $set: {
+      nextAttemptAt: new Date(now.getTime() + leaseDuration),
+    },
+  }, {
+    sort: { nextAttemptAt: 1 },
+    returnOriginal: false,
+  });
+  return addID(HOOK_QUEUE, result.value);
+}
+
+export async function rescheduleHookDelivery(db, id, data) {
+  await db.collection(HOOK_QUEUE).updateOne({
+    _id: ObjectId(id.value),
+  }, {
+    $set: data,
+  });
+}
+
+export async function removeHookDelivery(db, id) {
+  await db.collection(HOOK_QUEUE).deleteOne({
+    _id: ObjectId(id.value),
+  });
+}
+
+export function getHookQueueSize(db) {
+  return db.collection(HOOK_QUEUE).count();
+}
@@ -7,6 +7,18 @@ export async function constructMissingIndexes(db, types, indexes) {
   await createIndexes(db, missingIndexes);
 }
 
+export async function deleteSearchIndexes(db, type, indexes) {
+  const searchIndexes = (indexes[type] || []).filter((index) => index.text);
+  await Promise.all(searchIndexes.map((index) =>
+    db.collection(type).dropIndex(index.name)
+  ));
+  return db.collection('ReindexIndex').deleteMany({
+    _id: {
+      $in: searchIndexes.map((index) => ObjectId(index.id.value)),
+    },
+  });
+}
+
 export async function deleteTypeIndexes(db, type, indexes, fields) {
   if (fields) {
     const typeIndexes = indexes[type] || [];
@@ -32,11 +44,34 @@ function findPotentialIndexes(types) {
   const typesByName = indexBy(types, (type) => type.name);
   return chain(types)
     .filter((type) => type.interfaces.includes('Node'))
-    .map((type) => findIndexesInType(type, typesByName))
+    .map((type) => [
+      ...findIndexesInType(type, typesByName),
+      ...findSearchIndexInType(type),
+    ])
     .flatten()
     .value();
 }
 
+// MongoDB allows one text index per collection, so it covers all searchable
+// fields of the type.
+function findSearchIndexInType(type) {
+  const fields = type.fields
+    .filter((field) => field.searchable)
+    .map((field) => field.name)
+    .sort();
+  if (fields.length > 0) {
+    return [
+      {
+        type: type.name,
+        fields,
+        text: true,
+      },
+    ];
+  } else {
+    return [];
+  }
+}
+
 function findIndexesInType(type, typesByName) {
   const orderableFields = type.fields.filter((field) => field.orderable);
   return flatten(type.fields.map((field) => {
@@ -106,7 +141,8 @@ function findIndexesInType(type, typesByName) {
 function filterExistingIndexes(indexes, potentialIndexes) {
   return potentialIndexes.filter((index) => !(
     (indexes[index.type] || []).some((existingIndex) =>
-      isEqual(index.fields, existingIndex.fields)
+      isEqual(index.fields, existingIndex.fields) &&
+      Boolean(index.text) === Boolean(existingIndex.text)
     ))
   );
 }
@@ -114,7 +150,7 @@ function filterExistingIndexes(indexes, potentialIndexes) {
 async function createIndexes(db, indexes) {
   await Promise.all(indexes.map(async (index) => {
     index.name = new ObjectId().toString();
-    const spec = index.fields.map((field) => [field, 1]);
+    const spec = index.fields.map((field) => [field, index.text ? 'text' : 1]);
     await db.collection(index.type).createIndex(spec, {
       name: index.name,
       unique: index.unique,
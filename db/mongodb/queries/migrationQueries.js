@@ -1,9 +1,11 @@
 import { chain, groupBy, map } from 'lodash';
 import { MongoError } from 'mongodb';
+import uuid from 'uuid';
 
 import {
   constructMissingIndexes,
   deleteTypeIndexes,
+  deleteSearchIndexes,
 } from './indexes';
 
 export async function performMigration(db, commands, types, { indexes }) {
@@ -18,9 +20,37 @@ export async function performMigration(db, commands, types, { indexes }) {
   if (commandsByType.CreateTypeData) {
     await createNewTypeData(db, commandsByType.CreateTypeData);
   }
+  // New search indexes are created with other missing indexes
+  if (commandsByType.UpdateSearchIndex) {
+    await Promise.all(commandsByType.UpdateSearchIndex.map((command) =>
+      deleteSearchIndexes(db, command.type.name, indexes)
+    ));
+  }
 
   await updateTypes(db, commandsByType.DeleteType || [], types);
   await constructMissingIndexes(db, types, indexes);
+  await bumpMetadataVersion(db);
+}
+
+// The metadata version changes whenever types, hooks or indexes change.
+// Returns null for apps that have never changed their metadata.
+export async function getMetadataVersion(db) {
+  const version = await db.collection('ReindexMetadata').findOne({
+    _id: 'version',
+  });
+  return version ? version.value : null;
+}
+
+// Sets a new random version, so that a deleted and recreated app does not get
+// the versions of the old one.
+export async function bumpMetadataVersion(db) {
+  await db.collection('ReindexMetadata').updateOne({
+    _id: 'version',
+  }, {
+    $set: { value: uuid.v4() },
+  }, {
+    upsert: true,
+  });
 }
 
 async function deleteTypesData(db, commands, indexes) {
@@ -1,53 +1,283 @@
-import { isEmpty, isPlainObject, omit, isEqual } from 'lodash';
+import Crypto from 'crypto';
+import {
+  indexBy,
+  isArray,
+  isEmpty,
+  isPlainObject,
+  omit,
+  isEqual,
+  mapValues,
+} from 'lodash';
 import { ObjectId } from 'mongodb';
 
+import { UserError } from '../../../graphQL/UserError';
 import { TIMESTAMP } from '../../../graphQL/builtins/DateTime';
-import { getByID } from './simpleQueries';
+import { FieldOperation } from '../../../graphQL/updateOperators';
+import { hasExpectedVersion } from '../../../graphQL/versions';
 import { addID, addTransform } from './queryUtils';
 
+// Selects the object by ID and, if `expectedVersion` is given, only at that
+// version. Objects without `_version` are at version 0.
+function getVersionFilter(id, expectedVersion) {
+  const filter = {
+    _id: ObjectId(id.value),
+  };
+  if (hasExpectedVersion(expectedVersion)) {
+    filter._version = expectedVersion === 0 ? null : expectedVersion;
+  }
+  return filter;
+}
+
+function withVersionIncrement(doc) {
+  return {
+    ...doc,
+    $inc: {
+      ...doc.$inc,
+      _version: 1,
+    },
+  };
+}
+
 export async function create(db, type, data) {
   const id = ObjectId();
   const created = await db.collection(type).findOneAndUpdate({
     _id: id,
-  }, prepareDocument(data), {
+  }, withVersionIncrement(prepareDocument(data)), {
     upsert: true,
     returnOriginal: false,
   });
   return addID(type, created.value);
 }
 
-export async function update(db, type, id, data) {
-  const doc = prepareDocument(data);
-  if (isEmpty(doc)) {
-    return getByID(db, type, id);
-  } else {
-    const updated = await db.collection(type).findOneAndUpdate({
-      _id: ObjectId(id.value),
-    }, doc, {
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function update(db, type, id, data, expectedVersion) {
+  const updated = await db.collection(type).findOneAndUpdate(
+    getVersionFilter(id, expectedVersion),
+    withVersionIncrement(prepareDocument(data)),
+    {
       returnOriginal: false,
-    });
-    return addID(type, updated.value);
+    },
+  );
+  return addID(type, updated.value);
+}
+
+const DUPLICATE_KEY_ERROR = 11000;
+const UPSERT_KEY_COLLECTION = 'ReindexUpsertKey';
+
+function getUpsertKey(type, field, value) {
+  return Crypto.createHash('sha256')
+    .update(JSON.stringify([type, field, value]))
+    .digest('hex');
+}
+
+// Inserts the document, returns false if a document with the same `_id`
+// exists.
+async function insertIfMissing(collection, doc) {
+  try {
+    await collection.insertOne(doc);
+    return true;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return false;
+    }
+    throw error;
   }
 }
 
-export async function replace(db, type, id, data, oldObject) {
-  const replaced = await db.collection(type).findOneAndUpdate({
-    _id: ObjectId(id.value),
-  }, prepareDocument(data, oldObject), {
-    returnOriginal: false,
+// Reserves the ID of the object created for the key. Concurrent calls with the
+// same key get the same ID, until the key is released.
+async function reserveUpsertKey(db, key) {
+  const keys = db.collection(UPSERT_KEY_COLLECTION);
+  await insertIfMissing(keys, { _id: key, objectID: ObjectId() });
+  const reserved = await keys.findOne({ _id: key });
+  return reserved ? reserved.objectID : reserveUpsertKey(db, key);
+}
+
+function releaseUpsertKey(db, key, objectID) {
+  return db.collection(UPSERT_KEY_COLLECTION).deleteOne({
+    _id: key,
+    objectID,
   });
+}
+
+// Creates the object, unless an object has `value` in `field`. Returns
+// `{ created, result }`, where `result` is the existing object if one was
+// found. The existing object is not modified.
+//
+// Concurrent calls with the same value reserve the same ID in
+// `UPSERT_KEY_COLLECTION` before looking for an existing object, and the
+// object is inserted with that ID, so only one of them can create it.
+export async function createIfMissing(db, type, field, value, data) {
+  const fieldPath = isArray(field) ? field.join('.') : field;
+  const key = getUpsertKey(type, fieldPath, value);
+  const objectID = await reserveUpsertKey(db, key);
+  try {
+    const collection = db.collection(type);
+    const existing = await collection.findOne({ [fieldPath]: value });
+    if (existing) {
+      return { created: false, result: addID(type, existing) };
+    }
+    const { $set, $currentDate } = prepareDocument(data);
+    const now = new Date();
+    const created = await insertIfMissing(collection, {
+      ...$set,
+      ...mapValues($currentDate, () => now),
+      _id: objectID,
+      _version: 1,
+    });
+    return {
+      created,
+      result: addID(type, await collection.findOne({ _id: objectID })),
+    };
+  } finally {
+    await releaseUpsertKey(db, key, objectID);
+  }
+}
+
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function replace(
+  db,
+  type,
+  id,
+  data,
+  oldObject,
+  expectedVersion,
+) {
+  const replaced = await db.collection(type).findOneAndUpdate(
+    getVersionFilter(id, expectedVersion),
+    withVersionIncrement(prepareDocument(data, oldObject)),
+    {
+      returnOriginal: false,
+    },
+  );
   return addID(type, replaced.value);
 }
 
-export async function deleteQuery(db, type, id) {
-  const deleted = await db.collection(type).findOneAndDelete({
-    _id: ObjectId(id.value),
-  }, {
-    returnOriginal: true,
-  });
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function deleteQuery(db, type, id, expectedVersion) {
+  const deleted = await db.collection(type).findOneAndDelete(
+    getVersionFilter(id, expectedVersion),
+    {
+      returnOriginal: true,
+    },
+  );
   return addID(type, deleted.value);
 }
 
+// Inserts a deleted object back with its old ID.
+export async function restore(db, type, object) {
+  await db.collection(type).insertOne({
+    ...omit(object, ['id']),
+    _id: ObjectId(object.id.value),
+  });
+  return object;
+}
+
+// Reads objects back after a bulk write, in the order of `ids`.
+async function getByIDsInOrder(db, type, ids) {
+  const objects = await db.collection(type).find({
+    _id: {
+      $in: ids,
+    },
+  }).toArray();
+  const objectsByID = indexBy(objects, (object) => object._id.toString());
+  return ids.map((id) => addID(type, objectsByID[id.toString()] || null));
+}
+
+// Executes an unordered bulk operation. The other operations are written even
+// if some fail, so instead of throwing, returns the errors of the failed
+// operations by their index.
+function executeBulk(bulk) {
+  return new Promise((resolve, reject) => {
+    bulk.execute((error, result) => {
+      if (error && !result) {
+        reject(error);
+      } else {
+        resolve(indexBy(result.getWriteErrors(), 'index'));
+      }
+    });
+  });
+}
+
+function toUserError(type, writeError) {
+  return new UserError(writeError.code === DUPLICATE_KEY_ERROR ?
+    `${type}: value of a unique field must be unique.` :
+    `${type}: Write failed. ${writeError.errmsg}`
+  );
+}
+
+// Returns the created objects in order, or errors for the objects that failed.
+export async function createMany(db, type, objects) {
+  const ids = objects.map(() => ObjectId());
+  const bulk = db.collection(type).initializeUnorderedBulkOp();
+  objects.forEach((data, index) => {
+    bulk.find({ _id: ids[index] }).upsert().updateOne(
+      withVersionIncrement(prepareDocument(data))
+    );
+  });
+  const writeErrors = await executeBulk(bulk);
+  const created = await getByIDsInOrder(db, type, ids);
+  return created.map((object, index) => (
+    writeErrors[index] ? toUserError(type, writeErrors[index]) : object
+  ));
+}
+
+// Updates objects with a list of `{ id, data, expectedVersion }`. Updates
+// without `expectedVersion` are written in bulk, the others one by one, so
+// that each is checked atomically. Returns null for conflicting updates and
+// errors for the updates that failed.
+export async function updateMany(db, type, updates) {
+  const ids = updates.map(({ id }) => ObjectId(id.value));
+  const bulk = db.collection(type).initializeUnorderedBulkOp();
+  const bulkIndexes = [];
+  const versionedUpdates = updates.map((item, index) => {
+    const { id, data, expectedVersion } = item;
+    if (hasExpectedVersion(expectedVersion)) {
+      return update(db, type, id, data, expectedVersion).catch((error) => {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+          return toUserError(type, error);
+        }
+        throw error;
+      });
+    }
+    bulk.find({ _id: ids[index] }).updateOne(
+      withVersionIncrement(prepareDocument(data))
+    );
+    bulkIndexes.push(index);
+    return null;
+  });
+  const [versioned, writeErrors] = await Promise.all([
+    Promise.all(versionedUpdates),
+    bulkIndexes.length > 0 ? executeBulk(bulk) : {},
+  ]);
+  const errors = {};
+  bulkIndexes.forEach((index, bulkIndex) => {
+    if (writeErrors[bulkIndex]) {
+      errors[index] = toUserError(type, writeErrors[bulkIndex]);
+    }
+  });
+  const updated = await getByIDsInOrder(db, type, ids);
+  return updated.map((object, index) => {
+    if (hasExpectedVersion(updates[index].expectedVersion)) {
+      return versioned[index];
+    }
+    return errors[index] || object;
+  });
+}
+
+// Deletes objects with a list of `{ id, expectedVersion }`. Each object is
+// deleted with `deleteQuery`, so that the returned object is the one that was
+// removed. Returns null for objects that were not found or were at another
+// version.
+export function deleteMany(db, type, deletes) {
+  return Promise.all(deletes.map(({ id, expectedVersion }) =>
+    deleteQuery(db, type, id, expectedVersion)
+  ));
+}
+
 export async function addToConnection(
   db,
   {
@@ -163,17 +393,42 @@ export async function removeAllFromConnection(
   return result;
 }
 
+// Converts a `FieldOperation` to a MongoDB update operator and its argument.
+function prepareOperation({ operator, value }) {
+  switch (operator) {
+    case 'increment':
+      return ['$inc', value];
+    case 'multiply':
+      return ['$mul', value];
+    case 'push':
+      return ['$push', { $each: value }];
+    case 'pull':
+      return ['$pullAll', value];
+    case 'addToSet':
+      return ['$addToSet', { $each: value }];
+    default:
+      throw new Error(`Unknown update operator: ${operator}`);
+  }
+}
+
 function prepareDocument(object, oldObject = {}) {
   const fields = flattenUpdate(object);
-  const oldFields = flattenUpdate(omit(oldObject, ['_id', 'id']));
+  const oldFields = flattenUpdate(omit(oldObject, ['_id', 'id', '_version']));
   const sets = {};
   const currentDate = {};
   const unsets = {};
+  const operations = {};
 
   for (const [keys, value] of fields) {
     const key = keys.join('.');
     if (value === TIMESTAMP) {
       currentDate[key] = true;
+    } else if (value instanceof FieldOperation) {
+      const [operator, argument] = prepareOperation(value);
+      operations[operator] = {
+        ...operations[operator],
+        [key]: argument,
+      };
     } else {
       sets[key] = value;
     }
@@ -186,7 +441,7 @@ function prepareDocument(object, oldObject = {}) {
     }
   }
 
-  const result = {};
+  const result = { ...operations };
   if (!isEmpty(sets)) {
     result.$set = sets;
   }
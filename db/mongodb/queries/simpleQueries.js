@@ -110,6 +110,45 @@ export function getCount(db, cursor) {
   return cursor.count();
 }
 
+function getAggregateOptions(maxTimeMS) {
+  return maxTimeMS ? { maxTimeMS } : {};
+}
+
+export async function getAggregate(
+  db,
+  { type, filter, maxTimeMS },
+  op,
+  field,
+) {
+  const results = await db.collection(type).aggregate([
+    { $match: filter },
+    { $group: { _id: null, value: { [`$${op}`]: `$${field}` } } },
+  ], getAggregateOptions(maxTimeMS)).toArray();
+  if (results.length > 0) {
+    return results[0].value;
+  } else {
+    return op === 'sum' ? 0 : null;
+  }
+}
+
+export async function getGroupCounts(
+  db,
+  { type, filter, maxTimeMS },
+  field,
+  limit,
+) {
+  const results = await db.collection(type).aggregate([
+    { $match: filter },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ], getAggregateOptions(maxTimeMS)).toArray();
+  return results.map((result) => ({
+    key: result._id,
+    count: result.count,
+  }));
+}
+
 export function getEdges(db, query) {
   return query.getEdges();
 }
@@ -5,3 +5,8 @@ export const USER_TABLE = 'User';
 export const INDEX_TABLE = 'ReindexIndex';
 export const HOOK_TABLE = 'ReindexHook';
 export const HOOK_LOG_TABLE = 'ReindexHookLog';
+export const HOOK_QUEUE_TABLE = 'ReindexHookQueue';
+export const REVISION_TABLE = 'ReindexRevision';
+export const METADATA_TABLE = 'ReindexMetadata';
+export const PERSISTED_QUERY_TABLE = 'ReindexPersistedQuery';
+export const UPSERT_KEY_TABLE = 'ReindexUpsertKey';
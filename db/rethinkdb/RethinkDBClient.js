@@ -1,10 +1,12 @@
 import { forEach, merge } from 'lodash';
 
 import Metrics from '../../server/Metrics';
+import isMetadataWrite from '../isMetadataWrite';
 import * as simpleQueries from './queries/simpleQueries';
 import * as mutationQueries from './queries/mutationQueries';
 import * as connectionQueries from './queries/connectionQueries';
 import * as migrationQueries from './queries/migrationQueries';
+import * as hookQueueQueries from './queries/hookQueueQueries';
 import * as appQueries from './queries/appQueries';
 import { getConnection, releaseConnection } from './dbConnections';
 import { isValidID } from './queries/queryUtils';
@@ -42,11 +44,16 @@ forEach(merge(
   mutationQueries,
   connectionQueries,
   migrationQueries,
+  hookQueueQueries,
 ), (query, name) => {
   RethinkDBClient.prototype[name] = async function(...args) {
     const conn = await this.getConnection();
     Metrics.increment('rethinkdb.queries', 1, this.hostname);
-    return query(conn, ...args);
+    const result = await query(conn, ...args);
+    if (isMetadataWrite(mutationQueries, name, args)) {
+      await this.bumpMetadataVersion();
+    }
+    return result;
   };
 });
 
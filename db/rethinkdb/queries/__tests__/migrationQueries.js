@@ -0,0 +1,39 @@
+import uuid from 'uuid';
+
+import { getConnection, releaseConnection } from '../../dbConnections';
+import assert from '../../../../test/assert';
+import DatabaseTypes from '../../../DatabaseTypes';
+import {
+  createEmptyDatabase,
+  deleteTestDatabase,
+} from './testDatabase';
+import * as queries from '../migrationQueries';
+
+if (process.env.DATABASE_TYPE === DatabaseTypes.RethinkDB) {
+  describe('RethinkDB: Migration database queries', () => {
+    const db = 'testdb' + uuid.v4().replace(/-/g, '_');
+    let conn;
+
+    before(async function () {
+      conn = await getConnection(db);
+      await createEmptyDatabase(conn, db);
+    });
+
+    after(async function () {
+      await deleteTestDatabase(conn, db);
+      await releaseConnection(conn);
+    });
+
+    it('has no metadata version without the metadata table', async () => {
+      assert.isNull(await queries.getMetadataVersion(conn));
+    });
+
+    it('creates the metadata table when bumping the version', async () => {
+      await queries.bumpMetadataVersion(conn);
+      const version = await queries.getMetadataVersion(conn);
+      assert.isString(version);
+      await queries.bumpMetadataVersion(conn);
+      assert.notEqual(await queries.getMetadataVersion(conn), version);
+    });
+  });
+}
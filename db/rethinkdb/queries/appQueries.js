@@ -1,5 +1,5 @@
 import RethinkDB from 'rethinkdb';
-import { values } from 'lodash';
+import { difference, values } from 'lodash';
 
 import * as DBTableNames from '../DBTableNames';
 import { addID } from './queryUtils';
@@ -12,6 +12,16 @@ export async function createDatabaseForApp(conn, dbName) {
   return true;
 }
 
+// Creates the built-in tables that were added after the app was created.
+export async function updateDatabaseForApp(conn, dbName) {
+  const tables = await RethinkDB.db(dbName).tableList().run(conn);
+  const missingTables = difference(values(DBTableNames), tables);
+  await Promise.all(missingTables.map((tableName) =>
+    RethinkDB.db(dbName).tableCreate(tableName).run(conn)
+  ));
+  return missingTables;
+}
+
 export async function deleteDatabaseForApp(conn, dbName) {
   await RethinkDB.dbDrop(dbName).run(conn);
 }
@@ -1,6 +1,9 @@
-import { keys, values, isEmpty } from 'lodash';
+import { keys, values, isEmpty, escapeRegExp, flatten } from 'lodash';
 import RethinkDB from 'rethinkdb';
 
+import { UserError } from '../../../graphQL/UserError';
+import { getOrderings } from '../../../graphQL/filters';
+import { getCursorValues } from '../../../graphQL/builtins/Cursor';
 import { getAllQuery } from './simpleQueries';
 import {
   getIndexFromFields,
@@ -19,14 +22,14 @@ import { queryWithIDs } from './queryUtils';
 // * `conn`: RethinkDB connection
 // * `type`: Type that connection refers to
 // * `indexes`: Array of indexes for the type
-// * `indexParameters`: an object with a known data about the index.
-//    For example, if we are following a connection from some parent object
-//    This would hold information about field that holds parent object
-//    information. Has two fields:
-//   * `keyPrefixFields`: know fields of the index key
-//   * `keyPrefix`: known values of the index key
+// * `filters`: a list of `{ field, op, value }` filters. `eq` filters are
+//    used as a known prefix of the index key, for example, if we are following
+//    a connection from some parent object, the field that holds parent object.
+//    Other filters are applied to the ordered query. A plain object is treated
+//    as a map of `eq` filters.
 // * `args`: object of connection arguments. Currently supported: `orderBy`,
-//   `before`, `after`, `first`, `last`
+//   `before`, `after`, `first`, `last`. `orderBy` is a single ordering or a
+//   list of them.
 //
 // Returns:
 //
@@ -36,7 +39,7 @@ import { queryWithIDs } from './queryUtils';
 export async function getConnectionQueries(
   conn,
   type,
-  filter = {},
+  filters = {},
   {
     orderBy,
     before,
@@ -47,18 +50,40 @@ export async function getConnectionQueries(
     indexes: allIndexes,
   }
 ) {
+  if (before && !before.value) {
+    throw new UserError('Invalid `before` cursor');
+  }
+
+  if (after && !after.value) {
+    throw new UserError('Invalid `after` cursor');
+  }
+
   const indexes = allIndexes[type] || {};
+  const { filter, predicate } = splitFilters(filters);
   const keyPrefixFields = keys(filter).map((key) => key.split('.'));
   const keyPrefix = isEmpty(filter) ? null : values(filter);
   const query = getAllQuery(type);
+  const orderings = getOrderings(orderBy);
+  const order = orderings.length > 0 ? orderings[0].order : 'ASC';
+  // Index can only be read in one direction, so orderings with mixed
+  // directions are sorted after filtering. The index then only selects the
+  // objects with known index fields.
+  let sort = null;
+  if (orderings.some((ordering) => ordering.order !== order)) {
+    sort = {
+      keys: getSortKeys(orderings),
+      before,
+      after,
+    };
+    before = null;
+    after = null;
+  }
+
   // Select index fields by combining known index fields and ordering,
   // falling back to id if ordering is not provided.
-  if (!orderBy) {
-    orderBy = {};
-  }
   const indexFields = [
     ...keyPrefixFields,
-    orderBy.field ? [orderBy.field] : ['id'],
+    ...getOrderFields(sort ? [] : orderings),
   ];
   let index = getIndexFromFields(indexes, indexFields);
   if (!index) {
@@ -70,7 +95,6 @@ export async function getConnectionQueries(
   // We create cursor-less index keys for query that is used for
   // counting.
   const unpaginatedBeforeIndexKey = cursorToIndexKey(
-    type,
     index,
     null,
     keyPrefix,
@@ -78,7 +102,6 @@ export async function getConnectionQueries(
     RethinkDB.maxval
   );
   const unpaginatedAfterIndexKey = cursorToIndexKey(
-    type,
     index,
     null,
     keyPrefix,
@@ -87,7 +110,6 @@ export async function getConnectionQueries(
   );
   // Keys for normal query
   const beforeIndexKey = cursorToIndexKey(
-    type,
     index,
     before,
     keyPrefix,
@@ -95,7 +117,6 @@ export async function getConnectionQueries(
     RethinkDB.maxval
   );
   const afterIndexKey = cursorToIndexKey(
-    type,
     index,
     after,
     keyPrefix,
@@ -110,36 +131,75 @@ export async function getConnectionQueries(
     ...args,
     before: beforeIndexKey,
     after: afterIndexKey,
-    order: orderBy.order,
+    order,
+    sort,
+    predicate,
   });
 
+  const unpaginatedQuery = queryWithIDs(
+    type,
+    paginateQuery(conn, type, index, query, {
+      before: unpaginatedBeforeIndexKey,
+      after: unpaginatedAfterIndexKey,
+      order,
+      sort: sort && { keys: sort.keys },
+      predicate,
+    }).query
+  );
+
   return {
     paginatedQuery: queryWithIDs(type, paginatedQuery),
-    query: queryWithIDs(
-      type,
-      paginateQuery(conn, type, index, query, {
-        before: unpaginatedBeforeIndexKey,
-        after: unpaginatedAfterIndexKey,
-        order: orderBy.order,
-      }).query
-    ),
+    query: unpaginatedQuery,
+    aggregateQuery: unpaginatedQuery,
     pageInfo,
+    orderings,
   };
 }
 
+// Fields of the ordering part of the index. Ordering by several fields
+// always ends with `id`, so that the index key is unique and cursors of
+// objects with the same values of the fields don't skip each other.
+function getOrderFields(orderings) {
+  if (orderings.length === 0) {
+    return [['id']];
+  } else if (orderings.length === 1) {
+    return [[orderings[0].field]];
+  } else {
+    return getSortKeys(orderings).map(({ field }) => [field]);
+  }
+}
+
+function getSortKeys(orderings) {
+  const last = orderings[orderings.length - 1];
+  if (last.field === 'id') {
+    return orderings;
+  }
+  return [
+    ...orderings,
+    {
+      field: 'id',
+      order: last.order,
+    },
+  ];
+}
+
 function paginateQuery(conn, type, index, query, {
   first,
   last,
   before,
   after,
   order = 'ASC',
+  sort,
+  predicate,
 }) {
   let op = RethinkDB.asc;
   if (order === 'DESC') {
     op = RethinkDB.desc;
   }
 
-  query = query.orderBy({ index: op(index.name) });
+  if (!sort) {
+    query = query.orderBy({ index: op(index.name) });
+  }
 
   if (before || after) {
     query = RethinkDB.do(
@@ -153,6 +213,14 @@ function paginateQuery(conn, type, index, query, {
     );
   }
 
+  if (predicate) {
+    query = query.filter(predicate);
+  }
+
+  if (sort) {
+    query = sortQuery(query, sort);
+  }
+
   let pageInfo = {
     hasPreviousPage: false,
     hasNextPage: false,
@@ -187,3 +255,156 @@ function paginateQuery(conn, type, index, query, {
     pageInfo,
   };
 }
+
+// Sorts the query by `keys` in memory and limits it to objects between
+// the cursors.
+function sortQuery(query, { keys: sortKeys, before, after }) {
+  const fields = sortKeys.map(({ field }) => field);
+  if (after) {
+    const afterValues = getCursorValues(after, fields);
+    query = query.filter((row) => isSortedAfter(row, afterValues, sortKeys, 1));
+  }
+  if (before) {
+    const beforeValues = getCursorValues(before, fields);
+    query = query.filter((row) =>
+      isSortedAfter(row, beforeValues, sortKeys, -1)
+    );
+  }
+  return query.orderBy(...sortKeys.map(({ field, order }) => {
+    const op = order === 'DESC' ? RethinkDB.desc : RethinkDB.asc;
+    return op((row) => getField(row, field));
+  }));
+}
+
+// Compares the row to the cursor values by compound key, returns true if the
+// row is strictly after (`direction` 1) or before (`direction` -1) the cursor.
+function isSortedAfter(row, cursorValues, sortKeys, direction) {
+  return sortKeys.reduceRight((rest, { field, order }, index) => {
+    const value = getField(row, field);
+    const cursorValue = cursorValues[index];
+    const isGreater = (order === 'DESC' ? -1 : 1) * direction === 1;
+    return RethinkDB.or(
+      isGreater ? value.gt(cursorValue) : value.lt(cursorValue),
+      RethinkDB.and(value.eq(cursorValue), rest),
+    );
+  }, false);
+}
+
+function splitFilters(filters) {
+  if (!Array.isArray(filters)) {
+    return {
+      filter: filters,
+      predicate: null,
+    };
+  }
+
+  const filter = {};
+  const rest = [];
+  for (const item of filters) {
+    if (item.op === 'eq' && item.value !== null && !(item.field in filter)) {
+      filter[item.field] = item.value;
+    } else {
+      rest.push(item);
+    }
+  }
+
+  return {
+    filter,
+    predicate: rest.length > 0 ?
+      (row) => RethinkDB.and(...rest.map((item) => filterToReQL(row, item))) :
+      null,
+  };
+}
+
+function getField(row, field, defaultValue = null) {
+  return field
+    .split('.')
+    .reduce((expression, key) => expression(key), row)
+    .default(defaultValue);
+}
+
+// `matches` pattern is validated in `processFilters`, other string operators
+// match the value literally.
+function stringFilterToPattern(op, value) {
+  if (op === 'matches') {
+    return value;
+  }
+  const escaped = escapeRegExp(value);
+  if (op === 'contains') {
+    return escaped;
+  } else if (op === 'startsWith') {
+    return `^${escaped}`;
+  } else if (op === 'endsWith') {
+    return `${escaped}$`;
+  } else {
+    return `(?i)^${escaped}$`;
+  }
+}
+
+const OP_TO_REQL = {
+  eq: 'eq',
+  neq: 'ne',
+  lt: 'lt',
+  lte: 'le',
+  gt: 'gt',
+  gte: 'ge',
+};
+
+// RethinkDB has no text indexes, so search matches objects that contain any of
+// the words in any of the fields, ignoring case. Results are not ranked.
+function searchToReQL(row, value, fields) {
+  const words = value.split(/\s+/).filter((word) => word);
+  return RethinkDB.or(false, ...flatten(words.map((word) =>
+    fields.map((field) => filterToReQL(row, {
+      field,
+      op: 'matches',
+      value: `(?i)${escapeRegExp(word)}`,
+    }))
+  )));
+}
+
+function filterToReQL(row, { field, op, value, filters, fields }) {
+  if (op === 'search') {
+    return searchToReQL(row, value, fields);
+  } else if (op === 'and') {
+    return RethinkDB.and(
+      true,
+      ...filters.map((item) => filterToReQL(row, item)),
+    );
+  } else if (op === 'or') {
+    return RethinkDB.or(
+      false,
+      ...filters.map((item) => filterToReQL(row, item)),
+    );
+  } else if (op === 'not') {
+    return filterToReQL(row, filters[0]).not();
+  } else if (op === 'isNull') {
+    return value ?
+      getField(row, field).eq(null) :
+      getField(row, field).ne(null);
+  } else if (op === 'includes') {
+    return getField(row, field, []).contains(value);
+  } else if (op === 'excludes') {
+    return getField(row, field, []).contains(value).not();
+  } else if (op === 'in') {
+    return RethinkDB.expr(value).contains(getField(row, field));
+  } else if (op === 'notIn') {
+    return RethinkDB.expr(value).contains(getField(row, field)).not();
+  } else if ([
+    'contains',
+    'startsWith',
+    'endsWith',
+    'matches',
+    'eqIgnoreCase',
+  ].includes(op)) {
+    // Type checked, so that a missing value does not error out of `not`
+    const fieldValue = getField(row, field);
+    return RethinkDB.branch(
+      fieldValue.typeOf().eq('STRING'),
+      fieldValue.match(stringFilterToPattern(op, value)).ne(null),
+      false,
+    );
+  } else {
+    return getField(row, field)[OP_TO_REQL[op]](value);
+  }
+}
@@ -0,0 +1,54 @@
+import RethinkDB from 'rethinkdb';
+
+import { HOOK_QUEUE_TABLE } from '../DBTableNames';
+import { addID } from './queryUtils';
+
+export async function enqueueHookDelivery(conn, delivery) {
+  const result = await RethinkDB.table(HOOK_QUEUE_TABLE)
+    .insert(delivery, {
+      returnChanges: true,
+    })('changes')(0)('new_val')
+    .run(conn);
+  return addID(HOOK_QUEUE_TABLE, result);
+}
+
+// Atomically takes the next due delivery off the queue by pushing its
+// `nextAttemptAt` by `leaseDuration` milliseconds, so that concurrent workers
+// do not pick it up. If the worker dies, delivery is retried after the lease.
+export async function claimHookDelivery(conn, leaseDuration) {
+  const now = new Date();
+  const result = await RethinkDB.table(HOOK_QUEUE_TABLE)
+    .filter((row) => row('nextAttemptAt').le(now))
+    .orderBy('nextAttemptAt')
+    .limit(1)
+    .update((row) => RethinkDB.branch(
+      row('nextAttemptAt').le(now),
+      { nextAttemptAt: new Date(now.getTime() + leaseDuration) },
+      {}
+    ), {
+      returnChanges: true,
+    })
+    .run(conn);
+  if (result.replaced !== 1) {
+    return null;
+  }
+  return addID(HOOK_QUEUE_TABLE, result.changes[0].new_val);
+}
+
+export async function rescheduleHookDelivery(conn, id, data) {
+  await RethinkDB.table(HOOK_QUEUE_TABLE)
+    .get(id.value)
+    .update(data)
+    .run(conn);
+}
+
+export async function removeHookDelivery(conn, id) {
+  await RethinkDB.table(HOOK_QUEUE_TABLE)
+    .get(id.value)
+    .delete()
+    .run(conn);
+}
+
+export function getHookQueueSize(conn) {
+  return RethinkDB.table(HOOK_QUEUE_TABLE).count().run(conn);
+}
@@ -2,9 +2,11 @@ import uuid from 'uuid';
 import { find, isEqual, isString } from 'lodash';
 import RethinkDB from 'rethinkdb';
 
+import { getCursorValues } from '../../../graphQL/builtins/Cursor';
 import {
   INDEX_TABLE,
 } from '../DBTableNames';
+import { bumpMetadataVersion } from './migrationQueries';
 
 
 // RethinkDB get an array of values, given a possibly nested list of
@@ -48,6 +50,7 @@ export async function ensureIndex(conn, type, fields) {
       fields,
     })
   ).run(conn);
+  await bumpMetadataVersion(conn);
 
   return {
     name,
@@ -61,7 +64,6 @@ export async function ensureIndex(conn, type, fields) {
 //
 // Parameters:
 //
-// * `type` - type we are querying
 // * `index` - index we are querying
 // * `cursor` - Cursor or null
 // * `keyPrefix` - Arrray of known index values
@@ -69,7 +71,6 @@ export async function ensureIndex(conn, type, fields) {
 // * `defaultValue` - default value to use for unknown values of the key
 //   (usually r.minval/r.maxval)
 export function cursorToIndexKey(
-  type,
   index,
   cursor,
   keyPrefix,
@@ -77,16 +78,15 @@ export function cursorToIndexKey(
   defaultValue,
 ) {
   if (cursor) {
-    // Valid cursor is always enough, we retrieve the object it points to
-    // to get between data
-    return RethinkDB.do(
-      RethinkDB.table(type).get(cursor.value),
-      (result) => RethinkDB.branch(
-        result,
-        getIndexValue(result, index.fields),
-        defaultValue
-      )
-    );
+    // Valid cursor is always enough, it includes the values of the ordering
+    // fields that follow the known values
+    const orderFields = index.fields
+      .slice(index.fields.length - paddingSize)
+      .map((field) => field.join('.'));
+    return [
+      ...(keyPrefix || []),
+      ...getCursorValues(cursor, orderFields),
+    ];
   } else if (keyPrefix) {
     // No cursor passed, we create between data from data we already have
     // and pad the unavailable values with base (either minval or maxval)
@@ -1,7 +1,8 @@
 import { chain, remove, groupBy, sortBy, map, set } from 'lodash';
 import RethinkDB from 'rethinkdb';
+import uuid from 'uuid';
 
-import { TYPE_TABLE } from '../DBTableNames';
+import { TYPE_TABLE, METADATA_TABLE } from '../DBTableNames';
 
 export async function performMigration(conn, commands) {
   const commandsByType = groupBy(commands, (command) => command.commandType);
@@ -19,6 +20,35 @@ export async function performMigration(conn, commands) {
     await createNewTypeData(conn, commandsByType.CreateTypeData);
   }
   await updateTypes(conn, commands);
+  await bumpMetadataVersion(conn);
+}
+
+// The metadata version changes whenever types, hooks or indexes change.
+// Returns null for apps that have never changed their metadata. Apps created
+// before the metadata table existed don't have it until `bin/update-apps` is
+// run.
+export function getMetadataVersion(conn) {
+  return RethinkDB.branch(
+    RethinkDB.tableList().contains(METADATA_TABLE),
+    RethinkDB.table(METADATA_TABLE).get('version')('value').default(null),
+    null,
+  ).run(conn);
+}
+
+// Sets a new random version, so that a deleted and recreated app does not get
+// the versions of the old one.
+export async function bumpMetadataVersion(conn) {
+  await RethinkDB.branch(
+    RethinkDB.tableList().contains(METADATA_TABLE),
+    null,
+    RethinkDB.tableCreate(METADATA_TABLE),
+  ).run(conn);
+  await RethinkDB.table(METADATA_TABLE).insert({
+    id: 'version',
+    value: uuid.v4(),
+  }, {
+    conflict: 'replace',
+  }).run(conn);
 }
 
 function deleteTypes(conn, commands) {
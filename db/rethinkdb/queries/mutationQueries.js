@@ -1,11 +1,46 @@
+import { indexBy, isArray, uniq } from 'lodash';
+import Crypto from 'crypto';
 import RethinkDB from 'rethinkdb';
+import uuid from 'uuid';
 
+import { UserError } from '../../../graphQL/UserError';
 import { TIMESTAMP } from '../../../graphQL/builtins/DateTime';
-import { queryWithIDs } from './queryUtils';
+import { FieldOperation } from '../../../graphQL/updateOperators';
+import { hasExpectedVersion } from '../../../graphQL/versions';
+import { UPSERT_KEY_TABLE } from '../DBTableNames';
+import { getByField } from './simpleQueries';
+import { addID, queryWithIDs } from './queryUtils';
+
+// Checks that `row` is at `expectedVersion`, if given. Objects without
+// `_version` are at version 0.
+function isAtVersion(row, expectedVersion) {
+  if (hasExpectedVersion(expectedVersion)) {
+    return row('_version').default(0).eq(expectedVersion);
+  } else {
+    return RethinkDB.expr(true);
+  }
+}
+
+function getNextVersion(row) {
+  return row('_version').default(0).add(1);
+}
+
+// Returns `value` (`new_val` or `old_val`) of the change of a single object
+// write, or null if the object was not at `expectedVersion`.
+function getVersionedChange(query, expectedVersion, value) {
+  return query('changes')(0).do((change) => RethinkDB.branch(
+    isAtVersion(change('old_val'), expectedVersion),
+    change(value),
+    null,
+  ));
+}
 
 function getCreateQuery(type, data) {
   return RethinkDB.table(type)
-    .insert(compactObject(data), {
+    .insert({
+      ...compactObject(data),
+      _version: 1,
+    }, {
       returnChanges: true,
     })('changes')(0)('new_val');
 }
@@ -14,40 +49,203 @@ export function create(conn, type, data) {
   return queryWithIDs(type, getCreateQuery(type, data)).run(conn);
 }
 
-function getUpdateQuery(type, id, data) {
-  return RethinkDB.table(type)
+function getUpdateQuery(type, id, data, expectedVersion) {
+  return getVersionedChange(RethinkDB.table(type)
     .get(id.value)
-    .update(compactObject(data), {
+    .update((row) => RethinkDB.branch(
+      isAtVersion(row, expectedVersion),
+      {
+        ...compactObject(data, row),
+        _version: getNextVersion(row),
+      },
+      {},
+    ), {
       returnChanges: 'always',
-    })('changes')(0)('new_val');
+    }), expectedVersion, 'new_val');
+}
+
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function update(conn, type, id, data, expectedVersion) {
+  const updated = await getUpdateQuery(type, id, data, expectedVersion)
+    .run(conn);
+  return addID(type, updated);
 }
 
-export function update(conn, type, id, data) {
-  return queryWithIDs(type, getUpdateQuery(type, id, data)).run(conn);
+function getUpsertKey(type, fields, value) {
+  return Crypto.createHash('sha256')
+    .update(JSON.stringify([type, fields, value]))
+    .digest('hex');
+}
+
+// Reserves the ID of the object created for the key. Concurrent calls with the
+// same key get the same ID, until the key is released.
+async function reserveUpsertKey(conn, key) {
+  const keys = RethinkDB.table(UPSERT_KEY_TABLE);
+  await keys.insert({ id: key, objectID: uuid.v4() }, { conflict: 'error' })
+    .run(conn);
+  const reserved = await keys.get(key).run(conn);
+  return reserved ? reserved.objectID : reserveUpsertKey(conn, key);
+}
+
+function releaseUpsertKey(conn, key, objectID) {
+  return RethinkDB.table(UPSERT_KEY_TABLE)
+    .get(key)
+    .replace((row) => RethinkDB.branch(
+      row('objectID').eq(objectID),
+      null,
+      row,
+    ))
+    .run(conn);
+}
+
+// Creates the object, unless an object has `value` in `field`. Returns
+// `{ created, result }`, where `result` is the existing object if one was
+// found. The existing object is not modified.
+//
+// Concurrent calls with the same value reserve the same ID in
+// `UPSERT_KEY_TABLE` before looking for an existing object, and the object is
+// inserted with that ID, so only one of them can create it.
+export async function createIfMissing(conn, type, field, value, data) {
+  const fields = isArray(field) ? field : [field];
+  const key = getUpsertKey(type, fields, value);
+  const objectID = await reserveUpsertKey(conn, key);
+  try {
+    const existing = await getByField(conn, type, fields, value);
+    if (existing) {
+      return { created: false, result: existing };
+    }
+    const { inserted, changes } = await RethinkDB.table(type)
+      .insert({
+        ...compactObject(data),
+        id: objectID,
+        _version: 1,
+      }, {
+        conflict: 'error',
+        returnChanges: true,
+      })
+      .run(conn);
+    if (inserted === 1) {
+      return { created: true, result: addID(type, changes[0].new_val) };
+    }
+    // A concurrent call created the object
+    const created = await RethinkDB.table(type).get(objectID).run(conn);
+    return { created: false, result: addID(type, created) };
+  } finally {
+    await releaseUpsertKey(conn, key, objectID);
+  }
 }
 
-function getReplaceQuery(type, id, data) {
+function getReplaceQuery(type, id, data, expectedVersion) {
   const cleanData = compactObject(data);
   cleanData.id = id.value;
-  return RethinkDB.table(type).get(id.value).replace(cleanData, {
-    returnChanges: 'always',
-  })('changes')(0)('new_val');
+  return getVersionedChange(RethinkDB.table(type)
+    .get(id.value)
+    .replace((row) => RethinkDB.branch(
+      isAtVersion(row, expectedVersion),
+      {
+        ...cleanData,
+        _version: getNextVersion(row),
+      },
+      row,
+    ), {
+      returnChanges: 'always',
+    }), expectedVersion, 'new_val');
 }
 
-export function replace(conn, type, id, data) {
-  return queryWithIDs(type, getReplaceQuery(type, id, data)).run(conn);
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function replace(
+  conn,
+  type,
+  id,
+  data,
+  oldObject,
+  expectedVersion,
+) {
+  const replaced = await getReplaceQuery(type, id, data, expectedVersion)
+    .run(conn);
+  return addID(type, replaced);
 }
 
-function getDeleteQuery(type, id) {
-  return RethinkDB.table(type)
+// Replacing with null deletes the object.
+function getDeleteQuery(type, id, expectedVersion) {
+  return getVersionedChange(RethinkDB.table(type)
     .get(id.value)
-    .delete({
-      returnChanges: true,
-    })('changes')(0)('old_val');
+    .replace((row) => RethinkDB.branch(
+      isAtVersion(row, expectedVersion),
+      null,
+      row,
+    ), {
+      returnChanges: 'always',
+    }), expectedVersion, 'old_val');
+}
+
+// Returns null if `expectedVersion` is given and the object is at another
+// version.
+export async function deleteQuery(conn, type, id, expectedVersion) {
+  const deleted = await getDeleteQuery(type, id, expectedVersion).run(conn);
+  return addID(type, deleted);
+}
+
+// Inserts a deleted object back with its old ID.
+export async function restore(conn, type, object) {
+  await RethinkDB.table(type).insert({
+    ...object,
+    id: object.id.value,
+  }).run(conn);
+  return object;
+}
+
+// Reads objects back after a bulk write, in the order of `ids`.
+async function getByIDsInOrder(conn, type, ids) {
+  const objects = ids.length ?
+    await RethinkDB.table(type)
+      .getAll(RethinkDB.args(ids))
+      .coerceTo('array')
+      .run(conn) :
+    [];
+  const objectsByID = indexBy(objects, 'id');
+  return ids.map((id) => addID(type, objectsByID[id] || null));
 }
 
-export function deleteQuery(conn, type, id) {
-  return queryWithIDs(type, getDeleteQuery(type, id)).run(conn);
+// Returns the created objects in order, or errors for the objects that failed.
+// IDs are generated beforehand, so that failed objects can be told apart.
+export async function createMany(conn, type, objects) {
+  const ids = objects.map(() => uuid.v4());
+  const result = await RethinkDB.table(type)
+    .insert(objects.map((data, index) => ({
+      ...compactObject(data),
+      id: ids[index],
+      _version: 1,
+    })))
+    .run(conn);
+  const created = await getByIDsInOrder(conn, type, ids);
+  return created.map((object) => object || new UserError(
+    `${type}: Write failed. ${result.first_error}`
+  ));
+}
+
+// Updates objects with a list of `{ id, data, expectedVersion }`. Returns
+// null for conflicting updates.
+export async function updateMany(conn, type, updates) {
+  const updated = await RethinkDB.expr(
+    updates.map(({ id, data, expectedVersion }) =>
+      getUpdateQuery(type, id, data, expectedVersion)
+    )
+  ).run(conn);
+  return updated.map((object) => addID(type, object));
+}
+
+// Deletes objects with a list of `{ id, expectedVersion }`, like
+// `updateMany`.
+export async function deleteMany(conn, type, deletes) {
+  const deleted = await RethinkDB.expr(
+    deletes.map(({ id, expectedVersion }) =>
+      getDeleteQuery(type, id, expectedVersion)
+    )
+  ).run(conn);
+  return deleted.map((object) => addID(type, object));
 }
 
 export function createType(conn, type) {
@@ -96,11 +294,35 @@ export function removeAllFromConnection(conn, type, field, id) {
   ).run(conn);
 }
 
-function compactObject(object) {
+// Converts a `FieldOperation` to a query of the new value of `field`.
+function getOperationQuery(field, { operator, value }) {
+  switch (operator) {
+    case 'increment':
+      return field.default(0).add(value);
+    case 'multiply':
+      return field.default(0).mul(value);
+    case 'push':
+      return field.default([]).add(value);
+    case 'pull':
+      return field.default([]).difference(value);
+    case 'addToSet':
+      return field.default([]).do((list) => list.add(
+        RethinkDB.expr(uniq(value, (item) => JSON.stringify(item)))
+          .filter((item) => list.contains(item).not())
+      ));
+    default:
+      throw new Error(`Unknown update operator: ${operator}`);
+  }
+}
+
+// `row` is the updated row, if `object` can have `FieldOperation`s.
+function compactObject(object, row) {
   const result = {};
   for (const key of Object.keys(object)) {
     if (object[key] === TIMESTAMP) {
       result[key] = RethinkDB.now();
+    } else if (object[key] instanceof FieldOperation) {
+      result[key] = getOperationQuery(row(key), object[key]);
     } else if (object[key] !== undefined) {
       result[key] = object[key];
     }
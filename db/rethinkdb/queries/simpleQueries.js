@@ -120,6 +120,34 @@ export function getCount(conn, query) {
   return query.count().run(conn);
 }
 
+function getFieldValue(row, field) {
+  return field
+    .split('.')
+    .reduce((expression, key) => expression(key), row)
+    .default(null);
+}
+
+export function getAggregate(conn, query, op, field) {
+  const values = query
+    .map((row) => getFieldValue(row, field))
+    .filter((value) => value.ne(null));
+  return values[op]().default(null).run(conn);
+}
+
+export async function getGroupCounts(conn, query, field, limit) {
+  const results = await query
+    .group((row) => getFieldValue(row, field))
+    .count()
+    .ungroup()
+    .orderBy(RethinkDB.desc('reduction'), 'group')
+    .limit(limit)
+    .run(conn);
+  return results.map((result) => ({
+    key: result.group,
+    count: result.reduction,
+  }));
+}
+
 export function getNodes(conn, query) {
   return query.coerceTo('array').run(conn);
 }
@@ -1,10 +1,54 @@
-import { graphql, formatError } from 'graphql';
+import Boom from 'boom';
+import { graphql, formatError, getOperationAST, parse } from 'graphql';
 
 import { isUserError } from './UserError';
 import Monitoring from '../Monitoring';
 import Metrics from '../server/Metrics';
 import { trackEvent } from '../server/IntercomClient';
 import createSchema from './createSchema';
+import { checkQueryLimits, getQueryCost, getQueryLimits } from './queryCost';
+import { getRequestQuery } from './persistedQueries';
+
+// GET requests pass the parameters in the query string, with `variables` as
+// JSON.
+function getRequestParameters(request) {
+  if (request.method !== 'get') {
+    return request.payload;
+  }
+  const { variables, ...parameters } = request.query;
+  if (!variables) {
+    return parameters;
+  }
+  try {
+    return {
+      ...parameters,
+      variables: JSON.parse(variables),
+    };
+  } catch (error) {
+    throw Boom.badRequest('Invalid JSON in `variables`.');
+  }
+}
+
+// Documents with syntax errors or without the operation are reported when
+// they are executed.
+function isReadOnly(query, operationName) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return true;
+  }
+  const operation = getOperationAST(document, operationName);
+  return !operation || operation.operation === 'query';
+}
+
+function methodNotAllowed() {
+  const error = Boom.methodNotAllowed(
+    'Only queries can be executed with GET. Use POST for mutations.'
+  );
+  error.output.headers.Allow = 'POST';
+  return error;
+}
 
 export default class Reindex {
   constructor(contextFunction) {
@@ -15,9 +59,15 @@ export default class Reindex {
     }
   }
 
+  // The context function can return a prebuilt `schema` for the type
+  // registry, unless `extraRootFields` are given.
   async getOptions({ db, credentials, extraRootFields = null }) {
-    const { typeRegistry, ...context } = await this._contextFunction({ db });
-    const schema = createSchema(typeRegistry, extraRootFields);
+    const {
+      typeRegistry,
+      schema: builtSchema,
+      ...context,
+    } = await this._contextFunction({ db, extraRootFields });
+    const schema = builtSchema || createSchema(typeRegistry, extraRootFields);
     return {
       schema,
       context: {
@@ -30,8 +80,9 @@ export default class Reindex {
   }
 
   async processRequest(request) {
-    const query = request.payload.query;
-    const variables = request.payload.variables || {};
+    const parameters = getRequestParameters(request);
+    const variables = parameters.variables || {};
+    const operationName = parameters.operationName || null;
     const credentials = request.auth.credentials;
     const db = await request.getDB();
 
@@ -40,16 +91,49 @@ export default class Reindex {
       context,
     } = await this.getOptions({ db, credentials });
 
-    const start = process.hrtime();
-    const result = await graphql(
-      schema,
+    const app = await request.getApp();
+    const {
       query,
-      null,
-      context,
-      variables
-    );
+      errors: queryErrors,
+    } = await getRequestQuery(db, app, credentials, parameters);
+    if (
+      request.method === 'get' &&
+      query &&
+      !isReadOnly(query, operationName)
+    ) {
+      throw methodNotAllowed();
+    }
+    const limits = getQueryLimits(app);
+    const queryCost = query ?
+      getQueryCost(schema, query, variables, operationName) :
+      null;
+    const rejectionErrors = [
+      ...queryErrors,
+      ...(queryCost ? checkQueryLimits(queryCost, limits) : []),
+    ];
+
+    const start = process.hrtime();
+    const result = rejectionErrors.length > 0 ?
+      { errors: rejectionErrors } :
+      await graphql(
+        schema,
+        query,
+        null,
+        context,
+        variables,
+        operationName
+      );
     const elapsed = process.hrtime(start);
 
+    if (queryCost) {
+      result.extensions = {
+        queryCost: {
+          ...queryCost,
+          ...limits,
+        },
+      };
+    }
+
     let rootName = 'unknown';
     let hasErrors = false;
 
@@ -107,6 +191,22 @@ export default class Reindex {
         request.info.hostname
       );
 
+      if (queryCost) {
+        Metrics.measure(
+          `reindex.graphQL.queryCost`,
+          queryCost.cost,
+          request.info.hostname,
+        );
+      }
+
+      if (rejectionErrors.length > 0) {
+        Metrics.increment(
+          `reindex.graphQL.rejectedCount`,
+          1,
+          request.info.hostname
+        );
+      }
+
       if (context.db.stats) {
         Metrics.measure(
           `reindex.graphQL.dbTime`,
@@ -137,6 +237,7 @@ export default class Reindex {
       variables,
       stats: {
         elapsed,
+        queryCost,
         db: context.db.stats || {},
       },
       errors: result.errors || [],
@@ -0,0 +1,73 @@
+import Config from '../server/Config';
+import Metrics from '../server/Metrics';
+
+// Caches the schema and type registry built from the metadata of apps, by
+// hostname. An entry is only used while the metadata version of the app is
+// the one it was built from. Holds at most `maxSize` apps, evicting the least
+// recently used one.
+export default class SchemaCache {
+  constructor({ maxSize } = {}) {
+    this._maxSize = maxSize;
+    this._entries = new Map();
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+  }
+
+  getMaxSize() {
+    return this._maxSize === undefined ?
+      Config.get('schemaCache.maxSize') :
+      this._maxSize;
+  }
+
+  // Returns the cached value or null if there is none for the version.
+  get(hostname, version) {
+    const entry = this._entries.get(hostname);
+    if (entry && entry.version === version) {
+      // Re-insert to mark as most recently used
+      this._entries.delete(hostname);
+      this._entries.set(hostname, entry);
+      this._hits++;
+      Metrics.increment('reindex.schemaCache.hitCount', 1, hostname);
+      return entry.value;
+    }
+    this._misses++;
+    Metrics.increment('reindex.schemaCache.missCount', 1, hostname);
+    return null;
+  }
+
+  set(hostname, version, value) {
+    const maxSize = this.getMaxSize();
+    this._entries.delete(hostname);
+    if (maxSize === 0) {
+      return;
+    }
+    this._entries.set(hostname, { version, value });
+    while (this._entries.size > maxSize) {
+      const oldest = this._entries.keys().next().value;
+      this._entries.delete(oldest);
+      this._evictions++;
+      Metrics.increment('reindex.schemaCache.evictionCount', 1, oldest);
+    }
+  }
+
+  delete(hostname) {
+    this._entries.delete(hostname);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  getStats() {
+    const lookups = this._hits + this._misses;
+    return {
+      size: this._entries.size,
+      maxSize: this.getMaxSize(),
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      hitRate: lookups > 0 ? this._hits / lookups : 0,
+    };
+  }
+}
@@ -4,7 +4,7 @@ import {
 } from 'graphql';
 import createInputObjectType from './createInputObjectType';
 import ReindexID from './builtins/ReindexID';
-import { createFilterArgs } from './filters';
+import { createFilterArgs, createWhereType } from './filters';
 
 export default class TypeSet {
   constructor({
@@ -16,12 +16,16 @@ export default class TypeSet {
     inputObject,
     orderableFields,
     filterableFields,
+    searchableFields,
     filterType,
     filterInput,
     payload,
     blacklistedRootFields,
     pluralName,
     permissions,
+    softDelete,
+    history,
+    timestamps,
   }) {
     this.id = id || null;
     this.name = name || type.name;
@@ -31,15 +35,21 @@ export default class TypeSet {
     this._inputObject = inputObject || null;
     this.orderableFields = orderableFields || null;
     this.filterableFields = filterableFields || null;
+    this.searchableFields = searchableFields || [];
     this._filterType = filterType || null;
     this._filterInput = filterInput || null;
     this.payload = payload || null;
+    this.batchPayload = null;
     this.blacklistedRootFields = blacklistedRootFields || [];
     this.pluralName = pluralName || null;
+    this.softDelete = Boolean(softDelete);
+    this.history = Boolean(history);
+    this.timestamps = Boolean(timestamps);
 
     this.rawPermissions = permissions || [];
     this.permissions = null;
     this.connectionTypes = null;
+    this._mutationInputs = {};
   }
 
   getInputObjectFields() {
@@ -117,4 +127,20 @@ export default class TypeSet {
     }
     return this._filterArgs;
   }
+
+  getWhere() {
+    if (this._where === undefined) {
+      this._where = createWhereType(this);
+    }
+    return this._where;
+  }
+
+  // Input types of mutations are shared by the mutation of one object and
+  // the batch mutation
+  getMutationInput(name, createInput) {
+    if (!this._mutationInputs[name]) {
+      this._mutationInputs[name] = createInput();
+    }
+    return this._mutationInputs[name];
+  }
 }
@@ -0,0 +1,42 @@
+import SchemaCache from '../SchemaCache';
+
+import assert from '../../test/assert';
+
+describe('SchemaCache', () => {
+  it('returns entries only for their metadata version', () => {
+    const cache = new SchemaCache({ maxSize: 10 });
+    const value = { schema: 'schema' };
+    assert.equal(cache.get('example.com', 'v1'), null);
+    cache.set('example.com', 'v1', value);
+    assert.equal(cache.get('example.com', 'v1'), value);
+    assert.equal(cache.get('example.com', 'v2'), null);
+    assert.equal(cache.get('other.example.com', 'v1'), null);
+    assert.deepEqual(cache.getStats(), {
+      size: 1,
+      maxSize: 10,
+      hits: 1,
+      misses: 3,
+      evictions: 0,
+      hitRate: 0.25,
+    });
+  });
+
+  it('evicts the least recently used app', () => {
+    const cache = new SchemaCache({ maxSize: 2 });
+    cache.set('a.example.com', 'v1', 'a');
+    cache.set('b.example.com', 'v1', 'b');
+    assert.equal(cache.get('a.example.com', 'v1'), 'a');
+    cache.set('c.example.com', 'v1', 'c');
+    assert.equal(cache.get('a.example.com', 'v1'), 'a');
+    assert.equal(cache.get('b.example.com', 'v1'), null);
+    assert.equal(cache.get('c.example.com', 'v1'), 'c');
+    assert.equal(cache.getStats().evictions, 1);
+  });
+
+  it('does not cache with size 0', () => {
+    const cache = new SchemaCache({ maxSize: 0 });
+    cache.set('example.com', 'v1', 'value');
+    assert.equal(cache.get('example.com', 'v1'), null);
+    assert.equal(cache.getStats().size, 0);
+  });
+});
@@ -0,0 +1,50 @@
+import { GraphQLObjectType, GraphQLString, GraphQLInt } from 'graphql';
+
+import { createAggregate } from '../aggregates';
+import DateTime from '../builtins/DateTime';
+import assert from '../../test/assert';
+
+describe('aggregates', () => {
+  const typeSet = {
+    type: new GraphQLObjectType({
+      name: 'Micropost',
+      fields: {
+        text: { type: GraphQLString },
+        likes: { type: GraphQLInt },
+        createdAt: { type: DateTime },
+        _version: { type: GraphQLInt },
+      },
+    }),
+    getFilters() {
+      return [{ name: 'text', type: 'String' }];
+    },
+  };
+  const aggregate = createAggregate(typeSet);
+
+  it('does not aggregate internal fields', () => {
+    const fields = aggregate.getFields();
+    assert.deepEqual(Object.keys(fields.sum.type.getFields()), ['likes']);
+    assert.deepEqual(
+      Object.keys(fields.max.type.getFields()),
+      ['likes', 'createdAt']
+    );
+  });
+
+  it('returns at most the maximum number of groups by default', async () => {
+    const { groupBy } = aggregate.getFields();
+    const limits = [];
+    const db = {
+      getGroupCounts(aggregateQuery, field, limit) {
+        limits.push(limit);
+        return Promise.resolve([{ key: 'hello', count: 2 }]);
+      },
+    };
+    for (const first of [undefined, null]) {
+      assert.deepEqual(
+        await groupBy.resolve({}, { field: 'text', first }, { db }),
+        [{ key: 'hello', count: 2 }]
+      );
+    }
+    assert.deepEqual(limits, [1000, 1000]);
+  });
+});
@@ -382,6 +382,18 @@ describe('createSchema', () => {
       'root fields are only created for ReindexNode types');
     assert.isUndefined(queryFields.createComment,
       'root fields are only created for ReindexNode types');
+
+    const subscriptionFields = schema.getSubscriptionType().getFields();
+    assert.isDefined(subscriptionFields.subscribeToPersonCreated);
+    assert.isDefined(subscriptionFields.subscribeToPersonUpdated);
+    assert.isDefined(subscriptionFields.subscribeToMicropostDeleted);
+    assert.equal(
+      subscriptionFields.subscribeToPersonCreated.type,
+      schema.getType('_PersonPayload'),
+      'subscription fields return the type payload'
+    );
+    assert.isUndefined(subscriptionFields.subscribeToCommentCreated,
+      'subscription fields are only created for ReindexNode types');
   });
 
   it('creates Relay-compliant mutations', () => {
@@ -0,0 +1,68 @@
+import { validatePattern } from '../patterns';
+import assert from '../../test/assert';
+
+describe('validatePattern', () => {
+  function getError(pattern) {
+    try {
+      validatePattern('handle', pattern);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  it('allows patterns that match in linear time', () => {
+    for (const pattern of [
+      '^user-[0-2]$',
+      '^(foo|bar)+$',
+      '(?:a|b)*c',
+      '[(a+)+]',
+      '\\(a+\\)+',
+      'a{2}(bc){1,3}',
+      '^\\d+-\\w*$',
+    ]) {
+      assert.isNull(getError(pattern), pattern);
+    }
+  });
+
+  it('rejects nested quantifiers', () => {
+    for (const pattern of [
+      '^(u+)+$',
+      '((a+))+',
+      '(a(b*)c)*',
+      '(?:[a-z]{1,2}x)+',
+      '(a{2,})+',
+    ]) {
+      assert.equal(
+        getError(pattern),
+        'handle.matches: Nested quantifiers are not supported.',
+        pattern,
+      );
+    }
+  });
+
+  it('rejects ambiguous alternatives inside quantifiers', () => {
+    for (const pattern of [
+      '(a|aa)+$',
+      '(ab|a)*',
+      '(\\w|_)+',
+      '(a|)+',
+      '((x|xy)z)+',
+      '(a?b|c)+',
+    ]) {
+      assert.equal(
+        getError(pattern),
+        'handle.matches: Alternatives inside a quantifier must start with ' +
+        'different characters.',
+        pattern,
+      );
+    }
+  });
+
+  it('rejects invalid and unsupported patterns', () => {
+    assert.match(getError('(a'), /^handle\.matches: Invalid pattern/);
+    assert.match(getError('(a)\\1'), /Backreferences and lookarounds/);
+    assert.match(getError('a(?=b)'), /Backreferences and lookarounds/);
+    assert.match(getError('a'.repeat(257)), /at most 256 characters/);
+  });
+});
@@ -0,0 +1,113 @@
+import { GraphQLSchema, GraphQLObjectType, GraphQLString } from 'graphql';
+
+import {
+  hashQuery,
+  validateQuery,
+  getRequestQuery,
+} from '../persistedQueries';
+import assert from '../../test/assert';
+
+describe('persistedQueries', () => {
+  const query = '{ hello }';
+  const db = {
+    getByField(type, field, value) {
+      return Promise.resolve(
+        type === 'ReindexPersistedQuery' && field === 'hash' &&
+        value === hashQuery(query) ?
+          { hash: value, query } :
+          null
+      );
+    },
+  };
+  const admin = { isAdmin: true, userID: null };
+  const user = { isAdmin: false, userID: null };
+
+  function getMessages({ errors }) {
+    return errors.map((error) => error.message);
+  }
+
+  it('hashes queries with SHA-256', () => {
+    assert.equal(
+      hashQuery(query),
+      '001c3174e099bd72b729d0c0a529ba9f5a740c446e2a6e1d71b283cb84ec3065'
+    );
+  });
+
+  it('validates queries', () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          hello: {
+            type: GraphQLString,
+          },
+        },
+      }),
+    });
+    assert.deepEqual(validateQuery(schema, query), []);
+    assert.deepEqual(validateQuery(schema, '{ hi }'), [
+      'Cannot query field "hi" on type "Query".',
+    ]);
+    assert.match(validateQuery(schema, '{ hi')[0], /^Syntax Error/);
+  });
+
+  it('returns persisted queries by hash', async () => {
+    assert.deepEqual(
+      await getRequestQuery(db, {}, user, { queryHash: hashQuery(query) }),
+      { query, errors: [] }
+    );
+    const unknownHash = hashQuery('{ unknown }');
+    const result = await getRequestQuery(db, {}, user, {
+      queryHash: unknownHash,
+    });
+    assert.isNull(result.query);
+    assert.deepEqual(getMessages(result), [
+      `Unknown persisted query with hash ${unknownHash}. Register it with ` +
+      '`registerPersistedQuery`.',
+    ]);
+  });
+
+  it('rejects invalid hashes without looking them up', async () => {
+    const failingDB = {
+      getByField() {
+        throw new Error('Invalid hash was looked up');
+      },
+    };
+    for (const queryHash of [
+      { $gt: '' },
+      ['001c3174e099bd72b729d0c0a529ba9f5a740c446e2a6e1d71b283cb84ec3065'],
+      'x',
+      hashQuery(query).toUpperCase(),
+    ]) {
+      const result = await getRequestQuery(failingDB, {}, user, { queryHash });
+      assert.isNull(result.query);
+      assert.deepEqual(getMessages(result), [
+        '`queryHash` must be the SHA-256 hash of the query as 64 lowercase ' +
+        'hexadecimal characters.',
+      ]);
+    }
+  });
+
+  it('only allows persisted queries from non-admins if required', async () => {
+    const app = { persistedQueriesOnly: true };
+    assert.deepEqual(
+      await getRequestQuery(db, app, admin, { query: '{ other }' }),
+      { query: '{ other }', errors: [] }
+    );
+    assert.deepEqual(
+      await getRequestQuery(db, app, user, { queryHash: hashQuery(query) }),
+      { query, errors: [] }
+    );
+    assert.deepEqual(
+      getMessages(await getRequestQuery(db, app, user, { query: '{ x }' })),
+      [
+        'Only persisted queries can be executed in this app. Send the ' +
+        'SHA-256 hash of a registered query as `queryHash`.',
+      ]
+    );
+    assert.deepEqual(
+      await getRequestQuery(db, {}, user, { query: '{ x }' }),
+      { query: '{ x }', errors: [] }
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  parse,
+} from 'graphql';
+
+import Config from '../../server/Config';
+import {
+  DEFAULT_CONNECTION_SIZE,
+  analyzeQuery,
+  checkQueryLimits,
+  getQueryCost,
+  getQueryLimits,
+} from '../queryCost';
+import assert from '../../test/assert';
+
+describe('queryCost', () => {
+  const connectionArgs = {
+    first: { type: GraphQLInt },
+    last: { type: GraphQLInt },
+  };
+  const User = new GraphQLObjectType({
+    name: 'User',
+    fields: () => ({
+      name: {
+        type: GraphQLString,
+      },
+      best: {
+        type: User,
+      },
+      friends: {
+        type: new GraphQLList(User),
+        args: connectionArgs,
+      },
+    }),
+  });
+  const schema = new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        allUsers: {
+          type: new GraphQLList(User),
+          args: connectionArgs,
+        },
+      },
+    }),
+  });
+
+  function analyze(query, variables) {
+    return analyzeQuery(schema, parse(query), variables);
+  }
+
+  afterEach(() => {
+    Config.resetTestConfig();
+  });
+
+  it('counts fields and nesting depth', () => {
+    assert.deepEqual(analyze(`
+      {
+        allUsers(first: 10) {
+          name
+          best { name, best { name } }
+        }
+      }
+    `), {
+      depth: 4,
+      cost: 1 + 10 * (1 + 2 + 2),
+    });
+  });
+
+  it('multiplies the cost of nested connections', () => {
+    assert.deepEqual(analyze(`
+      query($count: Int = 5, $other: Int) {
+        allUsers(first: 10, last: 20) {
+          friends(last: $count) {
+            friends(first: $other) { name }
+          }
+        }
+      }
+    `, { other: 3 }), {
+      depth: 4,
+      cost: 1 + 10 * (1 + 5 * (1 + 3)),
+    });
+    assert.deepEqual(analyze('{ allUsers { friends { name } } }'), {
+      depth: 3,
+      cost: 1 + DEFAULT_CONNECTION_SIZE * (1 + DEFAULT_CONNECTION_SIZE),
+    });
+  });
+
+  it('analyzes fragments', () => {
+    assert.deepEqual(analyze(`
+      {
+        allUsers(first: 2) {
+          ...F1
+          ... on User { friends(first: 3) { ...F2 } }
+        }
+      }
+      fragment F1 on User { best { ...F2 } }
+      fragment F2 on User { name }
+    `), {
+      depth: 3,
+      cost: 1 + 2 * ((1 + 1) + (1 + 3 * 1)),
+    });
+  });
+
+  it('ignores queries with syntax errors', () => {
+    assert.isNull(getQueryCost(schema, '{ allUsers { ', {}));
+  });
+
+  it('uses the limits of the app over the defaults', () => {
+    Config.set('queryLimits.maxDepth', 10);
+    Config.set('queryLimits.maxCost', 100);
+    assert.deepEqual(getQueryLimits({}), { maxDepth: 10, maxCost: 100 });
+    assert.deepEqual(getQueryLimits({ queryLimits: { maxCost: 0 } }), {
+      maxDepth: 10,
+      maxCost: 0,
+    });
+  });
+
+  it('rejects queries over the limits', () => {
+    const limits = { maxDepth: 3, maxCost: 100 };
+    assert.deepEqual(checkQueryLimits({ depth: 3, cost: 100 }, limits), []);
+    assert.deepEqual(
+      checkQueryLimits({ depth: 4, cost: 101 }, limits)
+        .map((error) => error.message.split(':')[0]),
+      ['Query is too deep', 'Query is too expensive'],
+    );
+    assert.deepEqual(
+      checkQueryLimits({ depth: 50, cost: 10000 }, { maxDepth: 0, maxCost: 0 }),
+      [],
+    );
+  });
+});
@@ -0,0 +1,210 @@
+import { chain, isEmpty, snakeCase } from 'lodash';
+import {
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+} from 'graphql';
+
+import { UserError } from './UserError';
+import DateTime from './builtins/DateTime';
+import { toReindexID } from './builtins/ReindexID';
+import { getAggregateTypeName } from './derivedNames';
+
+const MAX_GROUPS = 1000;
+
+const GROUPABLE_TYPES = ['String', 'Boolean', 'Int', 'Float'];
+
+// Internal bookkeeping fields are not aggregated
+const INTERNAL_FIELDS = ['_version'];
+
+function getValueFields(type) {
+  return chain(type.getFields())
+    .values()
+    .filter((field) => {
+      if (INTERNAL_FIELDS.includes(field.name)) {
+        return false;
+      }
+      const fieldType = field.type.ofType || field.type;
+      return [GraphQLInt, GraphQLFloat, DateTime].includes(fieldType);
+    })
+    .value();
+}
+
+function getGroupableFields(typeSet) {
+  return typeSet.getFilters().filter((field) => (
+    GROUPABLE_TYPES.includes(field.type) ||
+    (field.type !== 'Connection' && field.reverseName)
+  ));
+}
+
+function createValuesType(name, description, fields, getFieldType) {
+  if (isEmpty(fields)) {
+    return null;
+  }
+  return new GraphQLObjectType({
+    name,
+    description,
+    fields: chain(fields)
+      .indexBy((field) => field.name)
+      .mapValues((field) => ({
+        type: getFieldType(field),
+        resolve({ aggregateQuery, op }, args, { db }) {
+          return db.getAggregate(aggregateQuery, op, field.name);
+        },
+      }))
+      .value(),
+  });
+}
+
+function serializeKey(key) {
+  if (key === null || key === undefined) {
+    return null;
+  } else if (key.type && key.value) {
+    return toReindexID(key);
+  } else if (key instanceof Date) {
+    return key.toISOString();
+  } else {
+    return String(key);
+  }
+}
+
+// Creates the type of `aggregate` field of the connection. Aggregates are
+// computed over the same filtered, unpaginated query as `count`.
+export function createAggregate(typeSet) {
+  const type = typeSet.type;
+  return new GraphQLObjectType({
+    name: getAggregateTypeName(type.name),
+    description:
+`Aggregates over all elements of the connection, respecting the filters, but
+not pagination.
+`,
+    // Fields of the type are only known after all types are created
+    fields: () => createAggregateFields(typeSet),
+  });
+}
+
+function createAggregateFields(typeSet) {
+  const type = typeSet.type;
+  const valueFields = getValueFields(type);
+  const numberFields = valueFields.filter((field) =>
+    (field.type.ofType || field.type) !== DateTime
+  );
+  const groupableFields = getGroupableFields(typeSet);
+
+  const numbers = createValuesType(
+    getAggregateTypeName(type.name, 'Numbers'),
+    `Sums or averages of numeric fields of \`${type.name}\`.`,
+    numberFields,
+    () => GraphQLFloat,
+  );
+  const values = createValuesType(
+    getAggregateTypeName(type.name, 'Values'),
+    `Minimum or maximum values of numeric and DateTime fields of ` +
+    `\`${type.name}\`.`,
+    valueFields,
+    (field) => field.type.ofType || field.type,
+  );
+
+  const fields = {
+    count: {
+      type: GraphQLInt,
+      description: 'The total number of elements in the connection.',
+      resolve({ query }, args, { db }) {
+        return db.getCount(query);
+      },
+    },
+  };
+
+  for (const [op, valuesType, description] of [
+    ['sum', numbers, 'Sums of the numeric fields.'],
+    ['avg', numbers, 'Averages of the numeric fields.'],
+    ['min', values, 'Minimum values of the fields.'],
+    ['max', values, 'Maximum values of the fields.'],
+  ]) {
+    if (valuesType) {
+      fields[op] = {
+        type: valuesType,
+        description,
+        resolve: (connection) => ({
+          ...connection,
+          op,
+        }),
+      };
+    }
+  }
+
+  if (!isEmpty(groupableFields)) {
+    const groupByField = new GraphQLEnumType({
+      name: getAggregateTypeName(type.name, 'GroupByField'),
+      description: 'A field to group the elements by.',
+      values: chain(groupableFields)
+        .indexBy((field) => snakeCase(field.name).toUpperCase())
+        .mapValues((field) => ({
+          value: field.name.replace('__', '.'),
+        }))
+        .value(),
+    });
+
+    const bucket = new GraphQLObjectType({
+      name: getAggregateTypeName(type.name, 'Group'),
+      description:
+`A group of elements with the same value of the grouped by field. The value is
+converted to a string, IDs are in their opaque form.
+`,
+      fields: {
+        key: {
+          type: GraphQLString,
+          description: 'The value of the field, null for missing values.',
+        },
+        count: {
+          type: new GraphQLNonNull(GraphQLInt),
+          description: 'The number of elements in the group.',
+        },
+      },
+    });
+
+    fields.groupBy = {
+      type: new GraphQLList(bucket),
+      description:
+`Groups the elements by the value of \`field\`. Groups are ordered by count,
+largest first.
+`,
+      args: {
+        field: {
+          type: new GraphQLNonNull(groupByField),
+          description: 'The field to group by.',
+        },
+        first: {
+          type: GraphQLInt,
+          description: `Number of groups to return, at most ${MAX_GROUPS}.`,
+        },
+      },
+      async resolve(
+        { aggregateQuery },
+        { field, first },
+        { db },
+      ) {
+        const limit = first == null ? MAX_GROUPS : first;
+        if (limit < 0 || limit > MAX_GROUPS) {
+          throw new UserError(
+            `groupBy: \`first\` must be between 0 and ${MAX_GROUPS}.`
+          );
+        }
+        if (limit === 0) {
+          return [];
+        }
+        const groups = await db.getGroupCounts(aggregateQuery, field, limit);
+        return groups.map(({ key, count }) => ({
+          key: serializeKey(key),
+          count,
+        }));
+      },
+    };
+  }
+
+  return fields;
+}
@@ -1,11 +1,16 @@
 import createCreateReindexSecret from '../mutations/createCreateReindexSecret';
 import createLoginWithToken from '../mutations/createLoginWithToken';
 import createMigrate from '../mutations/createMigrate';
+import createRegisterPersistedQuery
+  from '../mutations/createRegisterPersistedQuery';
+import createTransaction from '../mutations/createTransaction';
 
 const CommonMutationFields = {
   createReindexSecret: createCreateReindexSecret,
   loginWithToken: createLoginWithToken,
   migrate: createMigrate,
+  registerPersistedQuery: createRegisterPersistedQuery,
+  transaction: createTransaction,
 };
 
 export default CommonMutationFields;
@@ -1,18 +1,148 @@
+import Crypto from 'crypto';
 import Base64URL from 'base64-url';
+import Cryptiles from 'cryptiles';
+import { find, isArray, isPlainObject, isString } from 'lodash';
 import { GraphQLScalarType } from 'graphql';
 import { Kind } from 'graphql/language';
 
-export function toCursor({ value }) {
-  return Base64URL.encode(value.toString());
+import Config from '../../server/Config';
+import { UserError } from '../UserError';
+
+// Cursors that are malformed or fail the signature check are parsed to a cursor
+// without a value, so that connections can reject them with a descriptive
+// error.
+const INVALID_CURSOR = {
+  value: null,
+};
+
+// Fallback secret of this process, used if neither `cursors.secret` nor
+// `app.key` is set.
+const PROCESS_SECRET = Cryptiles.randomString(40);
+
+// Returns the secret cursors are signed with. Without `cursors.secret` it is
+// derived from `app.key`, which is the same in all processes. Without either,
+// cursors are only valid in the process that created them.
+export function getCursorSecret() {
+  const secret = Config.get('cursors.secret');
+  const appKey = Config.get('app.key');
+  if (secret) {
+    return secret;
+  } else if (appKey) {
+    return Crypto.createHmac('sha256', appKey)
+      .update('cursors.secret')
+      .digest('base64');
+  } else {
+    return PROCESS_SECRET;
+  }
 }
 
-export function fromCursor(string) {
-  const value = Base64URL.decode(string);
-  if (value) {
-    return { value };
+function sign(payload) {
+  return Base64URL.escape(
+    Crypto.createHmac('sha256', getCursorSecret())
+      .update(payload)
+      .digest('base64')
+  );
+}
+
+function serializeValue(value) {
+  if (value instanceof Date) {
+    return {
+      $date: value.toISOString(),
+    };
+  } else if (value === undefined) {
+    return null;
+  } else {
+    return value;
+  }
+}
+
+function parseValue(value) {
+  if (isPlainObject(value) && isString(value.$date)) {
+    return new Date(value.$date);
   } else {
+    return value;
+  }
+}
+
+// A cursor consists of the ID of the object it points to and of the values of
+// the fields the connection was ordered by, `orderBy` is a list of
+// `{ field, order, value }`. Pagination compares to these values, so the object
+// doesn't need to be read and can even be deleted. Cursors are signed with
+// `cursors.secret`, so that they can't be tampered with.
+export function toCursor({ value, orderBy = [] }) {
+  const payload = Base64URL.encode(JSON.stringify({
+    id: value.toString(),
+    orderBy: orderBy.map((ordering) => ({
+      field: ordering.field,
+      order: ordering.order,
+      value: serializeValue(ordering.value),
+    })),
+  }));
+  return `${payload}.${sign(payload)}`;
+}
+
+export function fromCursor(string) {
+  const [payload, signature, ...rest] = string.split('.');
+  if (!signature || rest.length > 0 ||
+      !Cryptiles.fixedTimeComparison(signature, sign(payload))) {
+    return null;
+  }
+
+  let cursor;
+  try {
+    cursor = JSON.parse(Base64URL.decode(payload));
+  } catch (error) {
+    return null;
+  }
+  if (!isPlainObject(cursor) || !isString(cursor.id) ||
+      !isArray(cursor.orderBy)) {
     return null;
   }
+
+  return {
+    value: cursor.id,
+    orderBy: cursor.orderBy.map(({ field, order, value }) => ({
+      field,
+      order,
+      value: parseValue(value),
+    })),
+  };
+}
+
+// Adds values of the ordering fields of the edge node to the edge cursor.
+export function addCursorOrdering(edge, orderings) {
+  return {
+    ...edge,
+    cursor: {
+      ...edge.cursor,
+      orderBy: orderings
+        .filter(({ field }) => field !== 'id')
+        .map(({ field, order }) => ({
+          field,
+          order,
+          value: edge.node[field],
+        })),
+    },
+  };
+}
+
+// Returns values of the cursor for given sort fields, `id` being the ID of the
+// object. Values don't depend on the order, so a cursor can be used to
+// paginate in either direction, but not with an ordering by other fields.
+export function getCursorValues(cursor, fields) {
+  const orderBy = cursor.orderBy || [];
+  return fields.map((field) => {
+    if (field === 'id') {
+      return cursor.value;
+    }
+    const ordering = find(orderBy, (item) => item.field === field);
+    if (!ordering) {
+      throw new UserError(
+        'Cursor is from a connection with another `orderBy`.'
+      );
+    }
+    return ordering.value;
+  });
 }
 
 const CursorType = new GraphQLScalarType({
@@ -26,13 +156,13 @@ const CursorType = new GraphQLScalarType({
   },
   parseLiteral(ast) {
     if (ast.kind === Kind.STRING) {
-      return fromCursor(ast.value);
+      return fromCursor(ast.value) || INVALID_CURSOR;
     } else {
       return null;
     }
   },
   parseValue(value) {
-    return fromCursor(value);
+    return (isString(value) && fromCursor(value)) || INVALID_CURSOR;
   },
 });
 
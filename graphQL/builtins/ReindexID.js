@@ -2,7 +2,14 @@ import Base64URL from 'base64-url';
 import { GraphQLScalarType } from 'graphql';
 import { Kind } from 'graphql/language';
 
-export function toReindexID({ type, value }) {
+// Operations of a transaction refer to the objects of the earlier operations
+// with IDs of the form `@ref:<name>`.
+const REFERENCE_PREFIX = '@ref:';
+
+export function toReindexID({ type, value, ref }) {
+  if (ref) {
+    return REFERENCE_PREFIX + ref;
+  }
   return Base64URL.encode(type + ':' + value.toString());
 }
 
@@ -18,6 +25,15 @@ export function fromReindexID(string) {
   }
 }
 
+function parseID(string) {
+  if (typeof string === 'string' && string.startsWith(REFERENCE_PREFIX)) {
+    return {
+      ref: string.slice(REFERENCE_PREFIX.length),
+    };
+  }
+  return fromReindexID(string);
+}
+
 const ReindexID = new GraphQLScalarType({
   name: 'ID',
   serialize(value) {
@@ -29,13 +45,13 @@ const ReindexID = new GraphQLScalarType({
   },
   parseLiteral(ast) {
     if (ast.kind === Kind.STRING) {
-      return fromReindexID(ast.value);
+      return parseID(ast.value);
     } else {
       return null;
     }
   },
   parseValue(value) {
-    return fromReindexID(value);
+    return parseID(value);
   },
 });
 
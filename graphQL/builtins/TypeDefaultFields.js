@@ -1,3 +1,48 @@
+// Fields injected to the types with `softDelete` option.
+export function getSoftDeleteFields() {
+  return [
+    {
+      name: 'deletedAt',
+      description:
+        'The time the object was moved to the trash, null if it is not ' +
+        'deleted.',
+      type: 'DateTime',
+      builtin: true,
+      readOnly: true,
+      computed: true,
+      orderable: true,
+      filterable: true,
+    },
+  ];
+}
+
+// Fields injected to the types with `timestamps` option.
+export function getTimestampFields() {
+  return [
+    {
+      name: 'createdAt',
+      description: 'The time the object was created.',
+      type: 'DateTime',
+      builtin: true,
+      readOnly: true,
+      computed: true,
+      orderable: true,
+      filterable: true,
+    },
+    {
+      name: 'updatedAt',
+      description:
+        'The time of the last create, update or replace of the object.',
+      type: 'DateTime',
+      builtin: true,
+      readOnly: true,
+      computed: true,
+      orderable: true,
+      filterable: true,
+    },
+  ];
+}
+
 export default function getTypeDefaultFields() {
   return {
     User: [
@@ -2,6 +2,12 @@ import createCreate from '../mutations/createCreate';
 import createUpdate from '../mutations/createUpdate';
 import createReplace from '../mutations/createReplace';
 import createDelete from '../mutations/createDelete';
+import createUpsert from '../mutations/createUpsert';
+import createRestore from '../mutations/createRestore';
+import createPurge from '../mutations/createPurge';
+import createCreateMany from '../mutations/createCreateMany';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createDeleteMany from '../mutations/createDeleteMany';
 import createConnectionMutations from '../mutations/createConnectionMutations';
 
 const TypeMutationFieldCreators = [
@@ -9,6 +15,12 @@ const TypeMutationFieldCreators = [
   createUpdate,
   createReplace,
   createDelete,
+  createUpsert,
+  createRestore,
+  createPurge,
+  createCreateMany,
+  createUpdateMany,
+  createDeleteMany,
   createConnectionMutations,
 ];
 
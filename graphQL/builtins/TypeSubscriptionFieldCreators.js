@@ -0,0 +1,7 @@
+import createSubscriptions from '../subscriptions/createSubscriptions';
+
+const TypeSubscriptionFieldCreators = [
+  createSubscriptions,
+];
+
+export default TypeSubscriptionFieldCreators;
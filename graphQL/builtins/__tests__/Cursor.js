@@ -0,0 +1,125 @@
+import Base64URL from 'base64-url';
+import { Kind } from 'graphql/language';
+
+import assert from '../../../test/assert';
+import Config from '../../../server/Config';
+import Cursor, {
+  toCursor,
+  fromCursor,
+  addCursorOrdering,
+  getCursorValues,
+  getCursorSecret,
+} from '../Cursor';
+
+describe('Cursor', () => {
+  before(() => {
+    Config.resetTestConfig();
+  });
+
+  afterEach(() => {
+    Config.resetTestConfig();
+  });
+
+  const createdAt = new Date('2015-08-06T10:03:50.052Z');
+  const cursor = {
+    value: '55c3334e4b4b5b9d6e0b2d9f',
+    orderBy: [
+      {
+        field: 'priority',
+        order: 'DESC',
+        value: 5,
+      },
+      {
+        field: 'createdAt',
+        order: 'ASC',
+        value: createdAt,
+      },
+    ],
+  };
+
+  it('serializes and parses cursors with ordering values', () => {
+    const string = Cursor.serialize(cursor);
+    assert.deepEqual(fromCursor(string), cursor);
+    assert.instanceOf(fromCursor(string).orderBy[1].value, Date);
+    assert.deepEqual(Cursor.parseLiteral({
+      kind: Kind.STRING,
+      value: string,
+    }), cursor);
+    assert.deepEqual(Cursor.parseValue(string), cursor);
+    assert.deepEqual(fromCursor(toCursor({ value: cursor.value })), {
+      value: cursor.value,
+      orderBy: [],
+    });
+  });
+
+  it('rejects malformed and tampered cursors', () => {
+    const [payload, signature] = toCursor(cursor).split('.');
+    const tampered = Base64URL.encode(
+      Base64URL.decode(payload).replace('"value":5', '"value":6')
+    );
+    for (const string of [
+      'invalidcursor',
+      Base64URL.encode(cursor.value),
+      `${tampered}.${signature}`,
+      `${payload}.${signature}.${signature}`,
+    ]) {
+      assert.isNull(fromCursor(string), string);
+      assert.deepEqual(Cursor.parseValue(string), { value: null }, string);
+    }
+  });
+
+  it('signs cursors with the configured or a derived secret', () => {
+    const string = toCursor(cursor);
+    Config.set('cursors.secret', 'another-secret');
+    assert.isNull(fromCursor(string), 'cursor of another secret is invalid');
+
+    Config.set('cursors.secret', undefined);
+    Config.set('app.key', 'app-key');
+    const derived = toCursor(cursor);
+    assert.deepEqual(fromCursor(derived), cursor);
+    assert.equal(getCursorSecret(), getCursorSecret(),
+      'derived secret is stable');
+    assert.notEqual(getCursorSecret(), 'app-key',
+      'app key is not used as is');
+    Config.set('app.key', 'another-app-key');
+    assert.isNull(fromCursor(derived), 'cursor of another app key is invalid');
+
+    Config.set('app.key', undefined);
+    assert.deepEqual(fromCursor(toCursor(cursor)), cursor,
+      'falls back to a secret of the process');
+  });
+
+  it('adds values of ordering fields to edge cursors', () => {
+    const edge = addCursorOrdering({
+      node: {
+        id: {
+          type: 'Micropost',
+          value: cursor.value,
+        },
+        priority: 5,
+        createdAt,
+      },
+      cursor: {
+        value: cursor.value,
+      },
+    }, [
+      ...cursor.orderBy,
+      {
+        field: 'id',
+        order: 'ASC',
+      },
+    ]);
+    assert.deepEqual(edge.cursor, cursor);
+  });
+
+  it('gets values of sort fields', () => {
+    assert.deepEqual(
+      getCursorValues(cursor, ['createdAt', 'priority', 'id']),
+      [createdAt, 5, cursor.value]
+    );
+    assert.throws(
+      () => getCursorValues(cursor, ['text', 'id']),
+      /another `orderBy`/
+    );
+  });
+});
@@ -5,6 +5,8 @@ import createCredentialTypes from './createCredentialTypes';
 import createSecret from './createSecret';
 import createMigrationTypes from './createMigrationTypes';
 import createHook from './createHook';
+import createRevision from './createRevision';
+import createPersistedQuery from './createPersistedQuery';
 
 export default function createCommonTypes(typeRegistry) {
   return [
@@ -12,7 +14,9 @@ export default function createCommonTypes(typeRegistry) {
     ...createCredentialTypes(typeRegistry),
     ...createMigrationTypes(typeRegistry),
     ...createHook(typeRegistry),
+    ...createRevision(typeRegistry),
     ...createSecret(typeRegistry),
+    ...createPersistedQuery(typeRegistry),
     ...createAuthenticationProvider(typeRegistry),
     ...createIntercomSettings(typeRegistry),
   ];
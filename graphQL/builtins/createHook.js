@@ -12,6 +12,8 @@ import DateTime from './DateTime';
 import TypeSet from '../TypeSet';
 import createUpdate from '../mutations/createUpdate';
 import createReplace from '../mutations/createReplace';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createUpsert from '../mutations/createUpsert';
 import {
   createNodeFieldResolve,
   createConnectionFieldResolve,
@@ -29,6 +31,12 @@ Possible values:
 * \`afterCreate\` - after object is created
 * \`afterUpdate\` - after object is updated or replaced
 * \`afterDelete\` - after object is deleted
+* \`beforeCreate\` - synchronously before object is created
+* \`beforeUpdate\` - synchronously before object is updated or replaced
+* \`beforeDelete\` - synchronously before object is deleted
+
+\`before*\` hooks receive the mutation input and can reject the mutation or
+modify the input.
 `,
     values: {
       afterCreate: {
@@ -40,6 +48,36 @@ Possible values:
       afterDelete: {
         value: 'afterDelete',
       },
+      beforeCreate: {
+        value: 'beforeCreate',
+      },
+      beforeUpdate: {
+        value: 'beforeUpdate',
+      },
+      beforeDelete: {
+        value: 'beforeDelete',
+      },
+    },
+  });
+
+  const failurePolicy = new GraphQLEnumType({
+    name: 'ReindexHookFailurePolicy',
+    description:
+`What to do with the mutation when a \`before*\` hook times out, can not be
+reached or responds with an error status.
+
+Possible values:
+
+* \`failClosed\` - reject the mutation
+* \`failOpen\` - perform the mutation with unmodified input
+`,
+    values: {
+      failClosed: {
+        value: 'failClosed',
+      },
+      failOpen: {
+        value: 'failOpen',
+      },
     },
   });
 
@@ -74,8 +112,9 @@ Possible values:
 
 Possible values:
 
-* \`error\`
+* \`error\` - delivery failed and will be retried
 * \`success\`
+* \`deadLetter\` - delivery failed and was given up after \`maxAttempts\`
 `,
     values: {
       error: {
@@ -84,6 +123,9 @@ Possible values:
       success: {
         value: 'success',
       },
+      deadLetter: {
+        value: 'deadLetter',
+      },
     },
   });
 
@@ -145,7 +187,8 @@ type operation.
           type: new GraphQLNonNull(GraphQLString),
           description:
 `Fragment body on the corresponding type payload. Must be surrounded by {} and
-not have a name. Can include typed inline fragments.`,
+not have a name. Can include typed inline fragments. Not used by \`before*\`
+hooks, which receive the mutation input instead.`,
         },
         log: {
           type: typeRegistry.getTypeSet('ReindexHookLog').connection,
@@ -162,6 +205,35 @@ not have a name. Can include typed inline fragments.`,
             return obj.logLevel || 'error';
           },
         },
+        maxAttempts: {
+          type: GraphQLInt,
+          description:
+`How many times delivery is attempted before it is given up and logged as
+\`deadLetter\`. Failed deliveries are retried with exponential backoff. If not
+set, the server default (5) is used.`,
+        },
+        secret: {
+          type: GraphQLString,
+          description:
+`Secret used to sign hook requests. If set, every request has a
+\`X-Reindex-Signature\` header with value \`sha256=<hex digest>\`, where the
+digest is an HMAC-SHA256 of \`<timestamp>.<body>\` keyed with the secret.
+\`X-Reindex-Timestamp\` (seconds since epoch) and \`X-Reindex-Delivery\` (same
+for all retries of a delivery) are always sent, so that receivers can reject
+replayed and duplicate requests.`,
+        },
+        timeout: {
+          type: GraphQLInt,
+          description:
+`Timeout in milliseconds of \`before*\` hooks. If not set, the server
+default (5000) is used.`,
+        },
+        failurePolicy: {
+          type: failurePolicy,
+          description:
+`Failure policy of \`before*\` hooks. If not set, the server default
+(\`failClosed\`) is used.`,
+        },
       }),
       interfaces: [typeRegistry.getInterface('Node')],
       isTypeOf(obj) {
@@ -204,6 +276,16 @@ not have a name. Can include typed inline fragments.`,
           type: new GraphQLList(GraphQLString),
           description: 'List of errors, if any.',
         },
+        attempt: {
+          type: GraphQLInt,
+          description: 'Number of the delivery attempt, starting from 1.',
+        },
+        payload: {
+          type: GraphQLString,
+          description:
+`The JSON body of the request. Only stored for \`deadLetter\` entries, so that
+the delivery can be replayed.`,
+        },
       }),
       interfaces: [typeRegistry.getInterface('Node')],
       isTypeOf(obj) {
@@ -213,6 +295,8 @@ not have a name. Can include typed inline fragments.`,
     blacklistedRootFields: [
       createUpdate,
       createReplace,
+      createUpdateMany,
+      createUpsert,
     ],
   });
 
@@ -0,0 +1,66 @@
+import {
+  GraphQLObjectType,
+  GraphQLString,
+  GraphQLNonNull,
+} from 'graphql';
+import ReindexID from '../builtins/ReindexID';
+import DateTime from '../builtins/DateTime';
+import createCreate from '../mutations/createCreate';
+import createUpdate from '../mutations/createUpdate';
+import createReplace from '../mutations/createReplace';
+import createCreateMany from '../mutations/createCreateMany';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createUpsert from '../mutations/createUpsert';
+import TypeSet from '../TypeSet';
+
+export default function createPersistedQuery(typeRegistry) {
+  return [new TypeSet({
+    type: new GraphQLObjectType({
+      name: 'ReindexPersistedQuery',
+      description:
+`A query registered with \`registerPersistedQuery\`. Clients can execute it by
+sending its SHA-256 hash as \`queryHash\` instead of the \`query\` to
+\`/graphql\`. If \`persistedQueriesOnly\` is set for the app, only registered
+queries can be executed with non-admin tokens.
+`,
+      fields: {
+        id: {
+          type: new GraphQLNonNull(ReindexID),
+          description: 'The ID of the object.',
+          metadata: {
+            unique: true,
+          },
+        },
+        hash: {
+          type: new GraphQLNonNull(GraphQLString),
+          description: 'The SHA-256 hash of the query as hex.',
+          metadata: {
+            unique: true,
+          },
+        },
+        query: {
+          type: new GraphQLNonNull(GraphQLString),
+          description: 'The GraphQL query.',
+        },
+        createdAt: {
+          type: DateTime,
+          description: 'When the query was registered.',
+        },
+      },
+      interfaces: [
+        typeRegistry.getInterface('Node'),
+      ],
+      isTypeOf(obj) {
+        return obj.id.type === 'ReindexPersistedQuery';
+      },
+    }),
+    blacklistedRootFields: [
+      createCreate,
+      createUpdate,
+      createReplace,
+      createCreateMany,
+      createUpdateMany,
+      createUpsert,
+    ],
+  })];
+}
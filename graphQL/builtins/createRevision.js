@@ -0,0 +1,172 @@
+import {
+  GraphQLObjectType,
+  GraphQLString,
+  GraphQLNonNull,
+  GraphQLEnumType,
+  GraphQLList,
+} from 'graphql';
+
+import ReindexID from './ReindexID';
+import DateTime from './DateTime';
+import TypeSet from '../TypeSet';
+import createCreate from '../mutations/createCreate';
+import createUpdate from '../mutations/createUpdate';
+import createReplace from '../mutations/createReplace';
+import createDelete from '../mutations/createDelete';
+import createCreateMany from '../mutations/createCreateMany';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createDeleteMany from '../mutations/createDeleteMany';
+import createUpsert from '../mutations/createUpsert';
+import createConnectionMutations
+  from '../mutations/createConnectionMutations';
+import { createNodeFieldResolve } from '../connections';
+
+export default function createRevision(typeRegistry) {
+  const operationType = new GraphQLEnumType({
+    name: 'ReindexRevisionOperation',
+    description:
+`The mutation that made the revision.
+
+Possible values:
+
+* \`create\` - object was created
+* \`update\` - object was updated or restored from the trash
+* \`replace\` - object was replaced
+* \`delete\` - object was deleted or moved to the trash
+`,
+    values: {
+      create: {
+        value: 'create',
+      },
+      update: {
+        value: 'update',
+      },
+      replace: {
+        value: 'replace',
+      },
+      delete: {
+        value: 'delete',
+      },
+    },
+  });
+
+  const ReindexFieldChange = new TypeSet({
+    type: new GraphQLObjectType({
+      name: 'ReindexFieldChange',
+      description: 'A change of one field of an object in a revision.',
+      fields: {
+        field: {
+          type: new GraphQLNonNull(GraphQLString),
+          description: 'The name of the changed field.',
+        },
+        oldValue: {
+          type: GraphQLString,
+          description:
+            'The value before the change as JSON, null if there was none.',
+        },
+        newValue: {
+          type: GraphQLString,
+          description:
+            'The value after the change as JSON, null if there is none.',
+        },
+      },
+    }),
+  });
+  const ReindexRevision = new TypeSet({
+    type: new GraphQLObjectType({
+      name: 'ReindexRevision',
+      description:
+`A revision of an object of a type with \`history\`. Revisions are recorded by
+the mutations and can only be read by admin.
+`,
+      fields: () => ({
+        id: {
+          type: new GraphQLNonNull(ReindexID),
+          description: 'The ID of the object.',
+          metadata: {
+            unique: true,
+          },
+        },
+        node: {
+          type: typeRegistry.getInterface('Node'),
+          description:
+            'The revised object. Null if the object no longer exists.',
+          resolve(parent, args, context) {
+            const id = parent.node;
+            if (!id || !context.typeRegistry.getTypeSet(id.type)) {
+              return null;
+            }
+            return context.db.getByID(id.type, id);
+          },
+        },
+        nodeID: {
+          type: new GraphQLNonNull(ReindexID),
+          description: 'The ID of the revised object.',
+          resolve(parent) {
+            return parent.node;
+          },
+        },
+        operation: {
+          type: new GraphQLNonNull(operationType),
+          description: 'The mutation that made the revision.',
+        },
+        ...createUserField(typeRegistry),
+        createdAt: {
+          type: DateTime,
+          description: 'When the revision was made.',
+          metadata: {
+            orderable: true,
+          },
+        },
+        changes: {
+          type: new GraphQLList(ReindexFieldChange.type),
+          description: 'The changed fields.',
+        },
+      }),
+      interfaces: [typeRegistry.getInterface('Node')],
+      isTypeOf(obj) {
+        return obj.id.type === 'ReindexRevision';
+      },
+    }),
+    permissions: [
+      {
+        grantee: 'EVERYONE',
+        read: false,
+        create: false,
+        update: false,
+        delete: false,
+      },
+    ],
+    blacklistedRootFields: [
+      createCreate,
+      createUpdate,
+      createReplace,
+      createDelete,
+      createCreateMany,
+      createUpdateMany,
+      createDeleteMany,
+      createUpsert,
+      createConnectionMutations,
+    ],
+  });
+
+  return [
+    ReindexFieldChange,
+    ReindexRevision,
+  ];
+}
+
+// Schemas without the `User` type only occur in tests.
+function createUserField(typeRegistry) {
+  const userTypeSet = typeRegistry.getTypeSet('User');
+  if (!userTypeSet) {
+    return {};
+  }
+  return {
+    user: {
+      type: userTypeSet.type,
+      description: 'The user who made the revision. Null for admin.',
+      resolve: createNodeFieldResolve('User', 'user'),
+    },
+  };
+}
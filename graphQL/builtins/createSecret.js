@@ -7,6 +7,9 @@ import ReindexID from '../builtins/ReindexID';
 import createCreate from '../mutations/createCreate';
 import createUpdate from '../mutations/createUpdate';
 import createReplace from '../mutations/createReplace';
+import createCreateMany from '../mutations/createCreateMany';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createUpsert from '../mutations/createUpsert';
 import TypeSet from '../TypeSet';
 
 export default function createSecret(typeRegistry) {
@@ -44,6 +47,9 @@ export default function createSecret(typeRegistry) {
       createCreate,
       createUpdate,
       createReplace,
+      createCreateMany,
+      createUpdateMany,
+      createUpsert,
     ],
   })];
 }
@@ -12,6 +12,10 @@ import createCreate from '../mutations/createCreate';
 import createUpdate from '../mutations/createUpdate';
 import createReplace from '../mutations/createReplace';
 import createDelete from '../mutations/createDelete';
+import createCreateMany from '../mutations/createCreateMany';
+import createUpdateMany from '../mutations/createUpdateMany';
+import createDeleteMany from '../mutations/createDeleteMany';
+import createUpsert from '../mutations/createUpsert';
 import TypeSet from '../TypeSet';
 import ReindexID from './ReindexID';
 import Order from './Order';
@@ -45,6 +49,36 @@ Possible values:
     },
   });
 
+  const onDeleteAction = new GraphQLEnumType({
+    name: 'ReindexOnDeleteAction',
+    description:
+`What to do with the related objects of a connection when an object is
+deleted.
+
+Possible values:
+
+* \`CASCADE\` - delete the related objects too
+* \`SET_NULL\` - remove the deleted object from the related objects (default)
+* \`RESTRICT\` - fail the deletion if there are related objects
+
+Related objects of types with \`softDelete\` are moved to the trash by
+\`CASCADE\`. When an object is moved to the trash, only \`CASCADE\` and
+\`RESTRICT\` apply, and the related objects moved to the trash with it are
+restored with it. \`SET_NULL\` applies when the object is purged.
+`,
+    values: {
+      CASCADE: {
+        value: 'CASCADE',
+      },
+      SET_NULL: {
+        value: 'SET_NULL',
+      },
+      RESTRICT: {
+        value: 'RESTRICT',
+      },
+    },
+  });
+
   const permission = new TypeSet({
     type: new GraphQLObjectType({
       name: 'ReindexPermission',
@@ -167,6 +201,11 @@ be null if grantee is not \`USER\`.`,
           type: ordering.type,
           description: 'Default ordering (for a connection field).',
         },
+        onDelete: {
+          type: onDeleteAction,
+          description: 'For Connection fields, what to do with the related ' +
+            'objects when the object is deleted. Defaults to `SET_NULL`.',
+        },
         unique: {
           type: GraphQLBoolean,
           description:
@@ -184,6 +223,13 @@ new root query field is created to get values based on that field.`,
           description:
 `If set, filter can be used on this field. Can be only set on scalar fields.`,
         },
+        searchable: {
+          type: GraphQLBoolean,
+          description:
+`If set, the field is included in the full-text search of the \`search\`
+argument of the connections of the type. Can be only set on String fields of
+Node types.`,
+        },
       },
     }),
   });
@@ -340,6 +386,25 @@ creating a migration with the CLI tool.
            'specified, the default English pluralization will be used for ' +
            'field names like `allStories`.',
         },
+        softDelete: {
+          type: GraphQLBoolean,
+          description: 'If true, deleted objects are moved to the trash by ' +
+            'setting `deletedAt`, instead of being removed. They can be ' +
+            'restored with `restore<Type>` or removed permanently with ' +
+            '`purge<Type>`. Only for Node types.',
+        },
+        history: {
+          type: GraphQLBoolean,
+          description: 'If true, every create, update, replace and delete ' +
+            'of an object is recorded as a `ReindexRevision`, listed in ' +
+            '`revisions` of the object. Only for Node types.',
+        },
+        timestamps: {
+          type: GraphQLBoolean,
+          description: 'If true, the type has read-only `createdAt` and ' +
+            '`updatedAt` fields, which are set by the mutations that ' +
+            'create, update or replace objects. Only for Node types.',
+        },
         hooks: {
           type: typeRegistry.getTypeSet('ReindexHook').connection,
           args: createConnectionArguments('ReindexHook', typeRegistry),
@@ -366,6 +431,10 @@ creating a migration with the CLI tool.
       createUpdate,
       createReplace,
       createDelete,
+      createCreateMany,
+      createUpdateMany,
+      createDeleteMany,
+      createUpsert,
     ],
   });
 
@@ -1,4 +1,7 @@
-import TypeDefaultFields from './TypeDefaultFields';
+import TypeDefaultFields, {
+  getSoftDeleteFields,
+  getTimestampFields,
+} from './TypeDefaultFields';
 
 export default function injectDefaultFields(type) {
   let fields = type.fields;
@@ -8,5 +11,13 @@ export default function injectDefaultFields(type) {
     fields = typeInjections[type.name].concat(fields);
   }
 
+  if (type.softDelete) {
+    fields = fields.concat(getSoftDeleteFields());
+  }
+
+  if (type.timestamps) {
+    fields = fields.concat(getTimestampFields());
+  }
+
   return fields;
 }
@@ -5,15 +5,22 @@ import {
   GraphQLInt,
   GraphQLNonNull,
   GraphQLList,
+  GraphQLString,
 } from 'graphql';
 
 import {
   getConnectionTypeName,
   getEdgeTypeName,
 } from './derivedNames';
-import { processFilters } from './filters';
+import { processFilters, getOrderBy } from './filters';
+import { createAggregate } from './aggregates';
 import checkPermission from './permissions/checkPermission';
-import Cursor from './builtins/Cursor';
+import Cursor, { addCursorOrdering } from './builtins/Cursor';
+import {
+  includeDeletedArg,
+  hideDeleted,
+  getDeletedFilters,
+} from './softDelete';
 
 export function createConnection(typeSet) {
   const type = typeSet.type;
@@ -34,7 +41,8 @@ Edges are elements of \`edges\` list of Connections.
         name: 'cursor',
         description:
 `The opaque string-like object, that points to the current node. To be used with
-\`before\` and \`after\` arguments of the Connection field.
+\`before\` and \`after\` arguments of the Connection field. Cursors stay valid
+when the node is deleted, but only with the same \`orderBy\`.
 `,
         type: new GraphQLNonNull(Cursor),
       },
@@ -73,6 +81,15 @@ type.
           return db.getCount(query);
         },
       },
+      aggregate: {
+        name: 'aggregate',
+        description:
+`Sums, averages, minimums, maximums and group counts of the elements in the
+connection.
+`,
+        type: createAggregate(typeSet),
+        resolve: (connectionQueries) => connectionQueries,
+      },
       nodes: {
         name: 'nodes',
         description:
@@ -86,8 +103,9 @@ type.
         name: 'edges',
         description: 'A list of edges included in the connection.',
         type: new GraphQLList(edge),
-        resolve({ paginatedQuery }, args, { db }) {
-          return db.getEdges(paginatedQuery);
+        async resolve({ paginatedQuery, orderings = [] }, args, { db }) {
+          const edges = await db.getEdges(paginatedQuery);
+          return edges.map((item) => addCursorOrdering(item, orderings));
         },
       },
       pageInfo: {
@@ -150,6 +168,30 @@ export function createConnectionArguments(typeName, typeRegistry) {
     ...typeSet.getFilterArgs(),
   };
 
+  if (typeSet.searchableFields.length > 0) {
+    args.search = {
+      name: 'search',
+      description:
+`Full-text search on the fields ${typeSet.searchableFields.join(', ')}. Results
+are ordered by relevance, unless \`orderBy\` is given.`,
+      type: GraphQLString,
+    };
+  }
+
+  if (typeSet.softDelete) {
+    args.includeDeleted = includeDeletedArg;
+  }
+
+  const where = typeSet.getWhere();
+  if (where) {
+    args.where = {
+      name: 'where',
+      description:
+        'Filter the connection with nested `and`, `or` and `not` conditions.',
+      type: where,
+    };
+  }
+
   const ordering = typeSet.getOrdering();
   if (ordering) {
     args.orderBy = {
@@ -157,6 +199,14 @@ export function createConnectionArguments(typeName, typeRegistry) {
       description: 'The ordering to sort the results by.',
       type: ordering,
     };
+    args.orderByFields = {
+      name: 'orderByFields',
+      description:
+`The orderings to sort the results by, most significant first, e.g.
+\`[PRIORITY_DESC, CREATED_AT_ASC]\` sorts by \`createdAt\` elements that have
+the same \`priority\`. Can not be used together with \`orderBy\`.`,
+      type: new GraphQLList(new GraphQLNonNull(ordering)),
+    };
   }
 
   return args;
@@ -166,7 +216,11 @@ export function createNodeFieldResolve(ofType, fieldName) {
   return async (parent, args, context) => {
     const id = isFunction(fieldName) ? fieldName(parent) : parent[fieldName];
     if (id) {
-      const result = await context.db.getByID(ofType, id);
+      const result = hideDeleted(
+        await context.db.getByID(ofType, id),
+        {},
+        context,
+      );
       await checkPermission(ofType, 'read', {}, result, context);
       return result;
     } else {
@@ -205,9 +259,11 @@ export function createConnectionFieldResolve(
       };
     }
 
-    const argFilters = processFilters(typeRegistry.getTypeSet(ofType), args);
+    const typeSet = typeRegistry.getTypeSet(ofType);
+    const argFilters = processFilters(typeSet, args);
     const filterName = `${reverseName}.value`;
     const filters = [
+      ...getDeletedFilters(typeSet, args, context),
       ...argFilters,
       {
         field: filterName,
@@ -217,8 +273,8 @@ export function createConnectionFieldResolve(
     ];
 
     const processedArgs = {
-      orderBy: defaultOrdering,
       ...args,
+      orderBy: getOrderBy(args, defaultOrdering),
     };
     return context.db.getConnectionQueries(
       ofType,
@@ -0,0 +1,51 @@
+import {
+  GraphQLObjectType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLInt,
+  GraphQLString,
+} from 'graphql';
+
+import clientMutationIdField from './utilities/clientMutationIdField';
+import { getBatchPayloadTypeName } from './derivedNames';
+
+export const BatchError = new GraphQLObjectType({
+  name: 'ReindexBatchError',
+  description: 'An error of one element of a batch mutation.',
+  fields: {
+    index: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'The index of the failed element in `inputs`.',
+    },
+    message: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The error message.',
+    },
+  },
+});
+
+export default function createBatchPayload(typeSet) {
+  const { type, payload } = typeSet;
+  return new GraphQLObjectType({
+    name: getBatchPayloadTypeName(type.name),
+    description:
+`The payload returned from batch mutations of \`${type.name}\`. Elements are
+mutated independently, a failing element doesn't prevent the others from being
+mutated.
+`,
+    fields: () => ({
+      clientMutationId: clientMutationIdField,
+      results: {
+        type: new GraphQLList(payload),
+        description:
+`The payloads of the mutated elements, in the order of \`inputs\`. \`null\` for
+the elements that failed.
+`,
+      },
+      errors: {
+        type: new GraphQLList(BatchError),
+        description: 'The errors of the failed elements.',
+      },
+    }),
+  });
+}
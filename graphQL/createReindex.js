@@ -1,27 +1,50 @@
 import { chain, groupBy, indexBy } from 'lodash';
 import Reindex from './Reindex';
+import SchemaCache from './SchemaCache';
 import createDefaultTypeRegistry from './createDefaultTypeRegistry';
+import createSchema from './createSchema';
+
+export const schemaCache = new SchemaCache();
 
 export default function createReindex() {
-  return new Reindex(async ({ db }) => {
-    const { hooks, types, indexes } = await db.getMetadata();
-
-    const indexesByType = groupBy(indexes, (index) => index.type);
-    const hooksByType = extractHooks(hooks, types);
-
-    const typeRegistry = createDefaultTypeRegistry({
-      types,
-      indexesByType,
-      hooksByType,
-    });
-
-    return {
-      typeRegistry,
-      types,
-      hooks: hooksByType,
-      indexes: indexesByType,
-    };
+  return new Reindex(async ({ db, extraRootFields }) => {
+    // A schema with extra root fields is built from a type registry of its
+    // own, so it is not cached.
+    if (extraRootFields || !db.hostname) {
+      return createContext(await db.getMetadata());
+    }
+
+    // The version is read before the metadata, so that an entry is never
+    // newer than its version.
+    const version = await db.getMetadataVersion();
+    const cached = schemaCache.get(db.hostname, version);
+    if (cached) {
+      return cached;
+    }
+
+    const context = createContext(await db.getMetadata());
+    context.schema = createSchema(context.typeRegistry);
+    schemaCache.set(db.hostname, version, context);
+    return context;
+  });
+}
+
+function createContext({ hooks, types, indexes }) {
+  const indexesByType = groupBy(indexes, (index) => index.type);
+  const hooksByType = extractHooks(hooks, types);
+
+  const typeRegistry = createDefaultTypeRegistry({
+    types,
+    indexesByType,
+    hooksByType,
   });
+
+  return {
+    typeRegistry,
+    types,
+    hooks: hooksByType,
+    indexes: indexesByType,
+  };
 }
 
 export function extractHooks(hookData, types) {
@@ -10,6 +10,8 @@ import CommonMutationFieldCreators
   from './builtins/CommonMutationFieldCreators';
 import TypeQueryFieldCreators from './builtins/TypeQueryFieldCreators';
 import TypeMutationFieldCreators from './builtins/TypeMutationFieldCreators';
+import TypeSubscriptionFieldCreators
+  from './builtins/TypeSubscriptionFieldCreators';
 
 /**
  *
@@ -45,6 +47,11 @@ export default function createSchema(typeRegistry, extraRootFields) {
     ),
   };
 
+  const subscriptionFields = createRootFieldsForTypes(
+    TypeSubscriptionFieldCreators,
+    typeRegistry,
+  );
+
   if (extraRootFields) {
     for (const fieldName in extraRootFields) {
       const field = extraRootFields[fieldName];
@@ -71,9 +78,16 @@ export default function createSchema(typeRegistry, extraRootFields) {
     fields: mutationFields,
   });
 
+  const subscription = new GraphQLObjectType({
+    name: 'ReindexSubscriptionRoot',
+    description: 'The subscription root.',
+    fields: subscriptionFields,
+  });
+
   return new GraphQLSchema({
     query,
     mutation,
+    subscription,
   });
 }
 
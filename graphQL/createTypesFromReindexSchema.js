@@ -7,6 +7,8 @@ import {
 
 import TypeSet from './TypeSet';
 import ScalarTypes from './builtins/ScalarTypes';
+import { versionField } from './versions';
+import { createRevisionsField } from './revisions';
 import {
   createConnectionArguments,
   createConnectionFieldResolve,
@@ -23,7 +25,11 @@ export default function createTypesFromReindexSchema(typeRegistry, types) {
         pluralName: typeMetadata.pluralName,
         orderableFields: getOrderableFields(typeMetadata),
         filterableFields: getFilterableFields(types, typeMetadata),
+        searchableFields: getSearchableFields(typeMetadata),
         permissions: typeMetadata.permissions,
+        softDelete: typeMetadata.softDelete,
+        history: typeMetadata.history,
+        timestamps: typeMetadata.timestamps,
       });
     }
   });
@@ -41,6 +47,14 @@ function createObjectType(type, typeRegistry) {
   };
   if (config.interfaces.includes(typeRegistry.getInterface('Node'))) {
     config.isTypeOf = (value) => value.id && value.id.type === type.name;
+    const fields = config.fields;
+    config.fields = () => ({
+      ...fields(),
+      _version: versionField,
+      ...(type.history ?
+        { revisions: createRevisionsField(typeRegistry) } :
+        {}),
+    });
   }
 
   return new GraphQLObjectType(config);
@@ -104,6 +118,12 @@ function createField(field, typeRegistry) {
   };
 }
 
+function getSearchableFields(type) {
+  return type.fields
+    .filter((field) => field.searchable)
+    .map((field) => field.name);
+}
+
 function getOrderableFields(type) {
   return chain(type.fields)
     .filter((field) =>
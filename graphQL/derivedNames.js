@@ -37,6 +37,14 @@ export function getCreateInputObjectTypeName(typeName) {
   return `_Create${typeName}Input`;
 }
 
+export function getCreateManyMutationName(typeName) {
+  return `createMany${typeName}`;
+}
+
+export function getCreateManyInputObjectTypeName(typeName) {
+  return `_CreateMany${typeName}Input`;
+}
+
 export function getUpdateMutationName(typeName) {
   return `update${typeName}`;
 }
@@ -45,6 +53,14 @@ export function getUpdateInputObjectTypeName(typeName) {
   return `_Update${typeName}Input`;
 }
 
+export function getUpdateManyMutationName(typeName) {
+  return `updateMany${typeName}`;
+}
+
+export function getUpdateManyInputObjectTypeName(typeName) {
+  return `_UpdateMany${typeName}Input`;
+}
+
 export function getReplaceMutationName(typeName) {
   return `replace${typeName}`;
 }
@@ -53,6 +69,18 @@ export function getReplaceInputObjectTypeName(typeName) {
   return `_Replace${typeName}Input`;
 }
 
+export function getUpsertMutationName(typeName) {
+  return `upsert${typeName}`;
+}
+
+export function getUpsertInputObjectTypeName(typeName) {
+  return `_Upsert${typeName}Input`;
+}
+
+export function getUniqueFieldEnumName(typeName) {
+  return getGeneratedTypeName(typeName, 'UniqueField');
+}
+
 export function getDeleteMutationName(typeName) {
   return `delete${typeName}`;
 }
@@ -61,6 +89,34 @@ export function getDeleteInputObjectTypeName(typeName) {
   return `_Delete${typeName}Input`;
 }
 
+export function getDeleteManyMutationName(typeName) {
+  return `deleteMany${typeName}`;
+}
+
+export function getDeleteManyInputObjectTypeName(typeName) {
+  return `_DeleteMany${typeName}Input`;
+}
+
+export function getRestoreMutationName(typeName) {
+  return `restore${typeName}`;
+}
+
+export function getRestoreInputObjectTypeName(typeName) {
+  return `_Restore${typeName}Input`;
+}
+
+export function getPurgeMutationName(typeName) {
+  return `purge${typeName}`;
+}
+
+export function getPurgeInputObjectTypeName(typeName) {
+  return `_Purge${typeName}Input`;
+}
+
+export function getSubscriptionName(typeName, event) {
+  return `subscribeTo${typeName}${event}`;
+}
+
 export function getConnectionTypeName(typeName) {
   return getGeneratedTypeName(typeName, 'Connection');
 }
@@ -73,6 +129,10 @@ export function getPayloadTypeName(typeName) {
   return getGeneratedTypeName(typeName, 'Payload');
 }
 
+export function getBatchPayloadTypeName(typeName) {
+  return getGeneratedTypeName(typeName, 'BatchPayload');
+}
+
 export function getInputObjectTypeName(typeName) {
   return getGeneratedTypeName(typeName, 'Input');
 }
@@ -83,6 +143,24 @@ export function getFilterName(typeName, fieldName) {
   );
 }
 
+export function getUpdateOperatorsName(typeName) {
+  return getGeneratedTypeName(typeName, 'UpdateOperators');
+}
+
+export function getUpdateOperatorName(typeName, fieldName) {
+  return getGeneratedTypeName(
+    typeName, `${startCase(fieldName).replace(/ /gi, '')}UpdateOperator`
+  );
+}
+
+export function getAggregateTypeName(typeName, suffix = '') {
+  return getGeneratedTypeName(typeName, `Aggregate${suffix}`);
+}
+
+export function getWhereName(typeName) {
+  return getGeneratedTypeName(typeName, 'Where');
+}
+
 export function getFilterOperationName(typeName, fieldName) {
   return getGeneratedTypeName(
     typeName, `${startCase(fieldName).replace(/ /gi, '')}FilterOperation`
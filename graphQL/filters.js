@@ -1,21 +1,108 @@
-import { values } from 'lodash';
+import { values, compact, isEmpty, mapValues } from 'lodash';
 import {
   GraphQLInputObjectType,
   GraphQLList,
   GraphQLBoolean,
 } from 'graphql';
 
+import { UserError } from './UserError';
+import { validatePattern } from './patterns';
 import ScalarTypes from './builtins/ScalarTypes';
 import ReindexID from './builtins/ReindexID';
-import { getFilterName } from './derivedNames';
+import { getFilterName, getWhereName } from './derivedNames';
 
+// Converts filter arguments to a list of `{ field, op, value }` filters, that
+// all must match. `where` argument is converted to nested `and`, `or` and
+// `not` filters of form `{ op, filters }`.
 export function processFilters(typeSet, args) {
+  const filters = processFieldFilters(typeSet, args);
+  if (args.where) {
+    filters.push(processWhere(typeSet, args.where));
+  }
+  if (args.search) {
+    filters.push({
+      op: 'search',
+      value: args.search,
+      fields: typeSet.searchableFields,
+    });
+  }
+  return filters;
+}
+
+// Returns the requested ordering, if any. Otherwise search results are ordered
+// by relevance and other results by `defaultOrdering`.
+export function getOrderBy(args, defaultOrdering) {
+  if (!isEmpty(args.orderBy) && !isEmpty(args.orderByFields)) {
+    throw new UserError(
+      'Only one of `orderBy` and `orderByFields` can be given.'
+    );
+  } else if (!isEmpty(args.orderByFields)) {
+    return args.orderByFields;
+  } else if (!isEmpty(args.orderBy)) {
+    return args.orderBy;
+  } else if (args.search) {
+    return {
+      field: 'id',
+      relevance: true,
+    };
+  } else {
+    return defaultOrdering;
+  }
+}
+
+// Converts `orderBy`, either a single ordering or a list of them, to a list of
+// `{ field, order }`, most significant first. IDs are unique, so orderings
+// after `id` and repeated fields can't affect the order and are dropped.
+export function getOrderings(orderBy) {
+  const orderings = [];
+  for (const { field, order } of compact([].concat(orderBy))) {
+    if (field && !orderings.some((ordering) => ordering.field === field)) {
+      orderings.push({
+        field,
+        order: order === 'DESC' ? 'DESC' : 'ASC',
+      });
+      if (field === 'id') {
+        break;
+      }
+    }
+  }
+  return orderings;
+}
+
+function processWhere(typeSet, where) {
+  const filters = processFieldFilters(typeSet, where);
+  for (const op of ['and', 'or']) {
+    if (where[op]) {
+      filters.push({
+        op,
+        filters: compact(where[op]).map((part) => processWhere(typeSet, part)),
+      });
+    }
+  }
+  if (where.not) {
+    filters.push({
+      op: 'not',
+      filters: [processWhere(typeSet, where.not)],
+    });
+  }
+  return {
+    op: 'and',
+    filters,
+  };
+}
+
+function processFieldFilters(typeSet, args) {
   const filterArgs = typeSet.getFilterArgs();
   const filters = [];
   for (const filterArg of values(filterArgs)) {
     const argValue = args[filterArg.name] || {};
     for (const op in argValue) {
-      const value = argValue[op];
+      let value = argValue[op];
+      if (op === 'matches') {
+        validatePattern(filterArg.name, value);
+      } else if ((op === 'in' || op === 'notIn') && !value) {
+        value = [];
+      }
       filters.push({
         op,
         value,
@@ -27,14 +114,25 @@ export function processFilters(typeSet, args) {
 }
 
 const TYPE_TO_ALLOWED_OP = {
-  String: ['eq', 'neq', 'isNull'],
+  String: [
+    'eq',
+    'neq',
+    'isNull',
+    'contains',
+    'startsWith',
+    'endsWith',
+    'matches',
+    'eqIgnoreCase',
+    'in',
+    'notIn',
+  ],
   Boolean: ['eq', 'neq', 'isNull'],
-  Int: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull'],
-  Float: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull'],
-  DateTime: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull'],
+  Int: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull', 'in', 'notIn'],
+  Float: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull', 'in', 'notIn'],
+  DateTime: ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'isNull', 'in', 'notIn'],
   List: ['includes', 'excludes', 'isNull', 'eq', 'neq'],
   Connection: ['includes', 'excludes'],
-  Node: ['eq', 'neq', 'isNull'],
+  Node: ['eq', 'neq', 'isNull', 'in', 'notIn'],
 };
 
 const OP_DOCS = {
@@ -47,15 +145,30 @@ const OP_DOCS = {
   isNull: `value is null if \`true\`, is not null if \`false\``,
   includes: `value is inside list or connection field`,
   excludes: `value is not inside list or connection field`,
+  contains: `string contains value (case sensitive)`,
+  startsWith: `string starts with value (case sensitive)`,
+  endsWith: `string ends with value (case sensitive)`,
+  matches: `string matches regular expression. Backreferences, lookarounds, ` +
+    `nested quantifiers and alternatives inside a quantifier starting with ` +
+    `the same character are not allowed`,
+  eqIgnoreCase: `equal ignoring case`,
+  in: `value is one of the given values`,
+  notIn: `value is none of the given values`,
 };
 
 export function createFilterArgs(typeSet) {
   const reservedArgs = [
     'orderBy',
+    'orderByFields',
     'first',
     'last',
     'before',
     'after',
+    'where',
+    'search',
+    'and',
+    'or',
+    'not',
   ];
   const args = {};
   for (const field of typeSet.getFilters() || []) {
@@ -68,6 +181,39 @@ export function createFilterArgs(typeSet) {
   return args;
 }
 
+export function createWhereType(typeSet) {
+  const filterArgs = typeSet.getFilterArgs();
+  if (isEmpty(filterArgs)) {
+    return null;
+  }
+  const whereType = new GraphQLInputObjectType({
+    name: getWhereName(typeSet.type.name),
+    description:
+`Filter the connection with a combination of conditions. All conditions of
+the object must match.
+`,
+    fields: () => ({
+      ...mapValues(filterArgs, (filterArg) => ({
+        type: filterArg.type,
+        description: filterArg.description,
+      })),
+      and: {
+        type: new GraphQLList(whereType),
+        description: 'all of the given conditions match',
+      },
+      or: {
+        type: new GraphQLList(whereType),
+        description: 'at least one of the given conditions matches',
+      },
+      not: {
+        type: whereType,
+        description: 'the given condition does not match',
+      },
+    }),
+  });
+  return whereType;
+}
+
 function createFilterArg(type, field, filterName) {
   const possibleOperations = (
     TYPE_TO_ALLOWED_OP[field.type] ||
@@ -105,7 +251,9 @@ function createFilterArg(type, field, filterName) {
 }
 
 function fieldToFilterType(field, operation) {
-  if (ScalarTypes[field.type]) {
+  if (operation === 'in' || operation === 'notIn') {
+    return new GraphQLList(fieldToFilterType(field, 'eq'));
+  } else if (ScalarTypes[field.type]) {
     return ScalarTypes[field.type];
   } else if (field.type === 'Connection' || field.reverseName) {
     return ReindexID;
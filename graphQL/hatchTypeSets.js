@@ -2,6 +2,7 @@ import { chain } from 'lodash';
 
 import { createConnection } from './connections';
 import createPayload from './createPayload';
+import createBatchPayload from './createBatchPayload';
 import createPermissions from './permissions/createPermissions';
 
 /**
@@ -24,6 +25,7 @@ export default function hatchTypeSets(typeRegistry) {
     if (!typeRegistry.payload) {
       typeSet.payload = createPayload(typeSet, typeRegistry);
     }
+    typeSet.batchPayload = createBatchPayload(typeSet);
     typeSet.connectionTypes = createConnectionTypes(typeSet, typeRegistry);
   }
   for (const typeSet of typeRegistry.getTypeSets()) {
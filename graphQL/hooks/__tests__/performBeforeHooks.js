@@ -0,0 +1,280 @@
+import http from 'http';
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+} from 'graphql';
+
+import assert from '../../../test/assert';
+import Config from '../../../server/Config';
+import ReindexID from '../../builtins/ReindexID';
+import DateTime, { TIMESTAMP } from '../../builtins/DateTime';
+import performBeforeHooks, {
+  serializeInput,
+  parseInput,
+} from '../performBeforeHooks';
+
+describe('performBeforeHooks', () => {
+  const inputType = new GraphQLInputObjectType({
+    name: '_UpdateUserInput',
+    fields: {
+      id: { type: new GraphQLNonNull(ReindexID) },
+      clientMutationId: { type: GraphQLString },
+      handle: { type: GraphQLString },
+      karma: { type: GraphQLInt },
+      tags: { type: new GraphQLList(GraphQLString) },
+      updatedAt: { type: DateTime },
+      expectedVersion: { type: GraphQLInt },
+    },
+  });
+  const schema = new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        dummy: { type: GraphQLString },
+      },
+    }),
+    mutation: new GraphQLObjectType({
+      name: 'Mutation',
+      fields: {
+        updateUser: {
+          type: GraphQLString,
+          args: {
+            input: { type: inputType },
+          },
+        },
+      },
+    }),
+  });
+  const id = { type: 'User', value: '1' };
+  const input = {
+    id,
+    clientMutationId: 'mutation1',
+    handle: 'villeimmonen',
+    tags: ['admin'],
+    updatedAt: TIMESTAMP,
+  };
+
+  let server;
+  let respond;
+  let requests;
+  let logs;
+  let context;
+
+  before((done) => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        requests.push(JSON.parse(body));
+        respond(response);
+      });
+    });
+    server.listen(8889, 'localhost', done);
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    logs = [];
+    context = {
+      db: {
+        create(type, object) {
+          logs.push(object);
+          return Promise.resolve(object);
+        },
+      },
+      hooks: {
+        User: {
+          beforeUpdate: [
+            {
+              id: { type: 'ReindexHook', value: 'hook1' },
+              url: 'http://localhost:8889',
+              logLevel: 'error',
+              timeout: 200,
+            },
+          ],
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    Config.resetTestConfig();
+  });
+
+  function runHooks(trigger = 'beforeUpdate', hookInput = input) {
+    return performBeforeHooks(context, {
+      type: 'User',
+      trigger,
+      schema,
+      inputType,
+      input: hookInput,
+    });
+  }
+
+  async function getRejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    return null;
+  }
+
+  it('serializes and parses input', () => {
+    const serialized = serializeInput(inputType, input);
+    assert.deepEqual(serialized, {
+      id: 'VXNlcjox',
+      clientMutationId: 'mutation1',
+      handle: 'villeimmonen',
+      tags: ['admin'],
+      updatedAt: '@TIMESTAMP',
+    });
+    assert.deepEqual(parseInput(schema, inputType, serialized), input);
+    assert.throws(
+      () => parseInput(schema, inputType, { ...serialized, karma: 'lots' }),
+      /Hook returned invalid input/
+    );
+  });
+
+  it('passes input through when hook responds with no changes', async () => {
+    respond = (response) => response.end('{}');
+    assert.deepEqual(await runHooks(), input);
+    assert.deepEqual(requests, [
+      {
+        type: 'User',
+        trigger: 'beforeUpdate',
+        input: serializeInput(inputType, input),
+      },
+    ]);
+    assert.deepEqual(await runHooks('beforeCreate'), input,
+      'hooks of other triggers are not called');
+    assert.lengthOf(requests, 1);
+  });
+
+  it('modifies input, but not the ID', async () => {
+    respond = (response) => response.end(JSON.stringify({
+      input: {
+        id: 'VXNlcjoy',
+        handle: 'immonen',
+        karma: 5,
+      },
+    }));
+    assert.deepEqual(await runHooks(), {
+      id,
+      clientMutationId: 'mutation1',
+      handle: 'immonen',
+      karma: 5,
+    });
+  });
+
+  it('keeps the expected version of the input', async () => {
+    respond = (response) => response.end(JSON.stringify({
+      input: {
+        handle: 'immonen',
+        expectedVersion: 7,
+      },
+    }));
+    assert.deepEqual(
+      await runHooks('beforeUpdate', { ...input, expectedVersion: 3 }),
+      {
+        id,
+        clientMutationId: 'mutation1',
+        handle: 'immonen',
+        expectedVersion: 3,
+      }
+    );
+    assert.deepEqual(await runHooks(), {
+      id,
+      clientMutationId: 'mutation1',
+      handle: 'immonen',
+    }, 'hook can not add an expected version');
+
+    respond = (response) => response.end(JSON.stringify({
+      input: {
+        handle: 'immonen',
+      },
+    }));
+    assert.deepEqual(
+      await runHooks('beforeUpdate', { ...input, expectedVersion: 3 }),
+      {
+        id,
+        clientMutationId: 'mutation1',
+        handle: 'immonen',
+        expectedVersion: 3,
+      },
+      'hook can not remove the expected version'
+    );
+  });
+
+  it('checks inputs modified by hooks', async () => {
+    const checkedInputs = [];
+    const checkInput = (checkedInput) => {
+      checkedInputs.push(checkedInput);
+      return checkedInput.karma > 10 ?
+        Promise.reject(new Error('User lacks permissions.')) :
+        Promise.resolve();
+    };
+    const runCheckedHooks = () => performBeforeHooks(context, {
+      type: 'User',
+      trigger: 'beforeUpdate',
+      schema,
+      inputType,
+      input,
+      checkInput,
+    });
+
+    respond = (response) => response.end('{}');
+    await runCheckedHooks();
+    assert.lengthOf(checkedInputs, 0, 'unmodified input is not checked again');
+
+    respond = (response) => response.end(JSON.stringify({
+      input: { handle: 'immonen', karma: 20 },
+    }));
+    const error = await getRejection(runCheckedHooks());
+    assert.equal(error && error.message, 'User lacks permissions.');
+    assert.deepEqual(checkedInputs, [
+      { id, clientMutationId: 'mutation1', handle: 'immonen', karma: 20 },
+    ]);
+  });
+
+  it('rejects mutation with the returned error', async () => {
+    respond = (response) => response.end(JSON.stringify({
+      error: 'Handle is taken.',
+    }));
+    const error = await getRejection(runHooks());
+    assert.equal(error && error.message, 'Handle is taken.');
+    assert.lengthOf(logs, 0, 'rejections are not logged as errors');
+  });
+
+  it('applies failure policy on errors and timeouts', async () => {
+    respond = (response) => {
+      response.statusCode = 500;
+      response.end();
+    };
+    const error = await getRejection(runHooks());
+    assert.match(error && error.message, /User beforeUpdate hook failed/);
+    assert.lengthOf(logs, 1);
+    assert.equal(logs[0].type, 'error');
+    assert.equal(logs[0].response.status, 500);
+
+    context.hooks.User.beforeUpdate[0].failurePolicy = 'failOpen';
+    respond = (response) => setTimeout(() => response.end('{}'), 400);
+    assert.deepEqual(await runHooks(), input);
+
+    delete context.hooks.User.beforeUpdate[0].failurePolicy;
+    Config.set('hooks.beforeFailurePolicy', 'failOpen');
+    assert.deepEqual(await runHooks(), input);
+    assert.lengthOf(logs, 3);
+  });
+});
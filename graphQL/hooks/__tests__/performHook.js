@@ -0,0 +1,42 @@
+import Crypto from 'crypto';
+
+import assert from '../../../test/assert';
+import { signHookBody, getHookHeaders } from '../performHook';
+
+describe('performHook', () => {
+  const body = JSON.stringify({ data: { hook: { id: 'VXNlcjox' } } });
+
+  it('signs timestamp and body with HMAC-SHA256', () => {
+    const expected = Crypto.createHmac('sha256', 'secret')
+      .update(`1455000000.${body}`)
+      .digest('hex');
+    assert.equal(
+      signHookBody('secret', '1455000000', body),
+      `sha256=${expected}`
+    );
+    assert.notEqual(
+      signHookBody('secret', '1455000001', body),
+      signHookBody('secret', '1455000000', body),
+      'signature depends on timestamp'
+    );
+    assert.notEqual(
+      signHookBody('other', '1455000000', body),
+      signHookBody('secret', '1455000000', body),
+      'signature depends on secret'
+    );
+  });
+
+  it('sends signature only for hooks with a secret', () => {
+    const headers = getHookHeaders({ secret: 'secret' }, body, 'delivery1');
+    assert.equal(headers['X-Reindex-Delivery'], 'delivery1');
+    assert.match(headers['X-Reindex-Timestamp'], /^\d+$/);
+    assert.equal(
+      headers['X-Reindex-Signature'],
+      signHookBody('secret', headers['X-Reindex-Timestamp'], body)
+    );
+
+    const unsignedHeaders = getHookHeaders({}, body, 'delivery2');
+    assert.equal(unsignedHeaders['X-Reindex-Delivery'], 'delivery2');
+    assert.notProperty(unsignedHeaders, 'X-Reindex-Signature');
+  });
+});
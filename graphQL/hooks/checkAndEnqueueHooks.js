@@ -2,8 +2,10 @@ import { get } from 'lodash';
 
 import getDB from '../../db/getDB';
 import formatMutationResult from '../mutations/formatMutationResult';
-import performHook from './performHook';
+import { getHookBody, logHook } from './performHook';
+import { enqueueHook, processHookQueue } from './hookQueue';
 import createReindex from '../createReindex';
+import { publishEvent } from '../subscriptions/SubscriptionEvents';
 
 export default function checkAndEnqueueHooks(
   db,
@@ -13,6 +15,13 @@ export default function checkAndEnqueueHooks(
   clientMutationId,
   data,
 ) {
+  publishEvent(db.hostname, {
+    type,
+    trigger: name,
+    clientMutationId,
+    object: data,
+  });
+
   const globalHooks = get(allHooks, ['global', name]) || [];
   const typeHooks = get(allHooks, [type, name]) || [];
   const hooks = [...globalHooks, ...typeHooks];
@@ -29,6 +38,8 @@ export default function checkAndEnqueueHooks(
   }
 }
 
+// Resolves hook bodies for the changed object and persists them to the
+// app's hook queue, then delivers them right away.
 async function enqueueHooks(hostname, type, hooks, object) {
   let db;
   try {
@@ -51,12 +62,22 @@ async function enqueueHooks(hostname, type, hooks, object) {
       },
     });
 
-    await Promise.all(
-      hooks.map((hook) => performHook({ schema, context }, hook))
-    );
+    await Promise.all(hooks.map(async (hook) => {
+      const body = await getHookBody({ schema, context }, hook);
+      if (!body.errors) {
+        await enqueueHook(db, hook, body);
+      } else if (hook.logLevel !== 'none') {
+        await logHook({ schema, context }, hook, {
+          type: 'error',
+          errors: body.errors,
+        });
+      }
+    }));
   } catch (error) {
     console.error(error);
   } finally {
     await db.close();
   }
+
+  await processHookQueue(hostname);
 }
@@ -0,0 +1,194 @@
+import Config from '../../server/Config';
+import getDB from '../../db/getDB';
+import listApps from '../../apps/listApps';
+import createReindex from '../createReindex';
+import performHook, { logHook } from './performHook';
+
+// How long a claimed delivery is hidden from other workers
+const LEASE_DURATION = 60000;
+const MAX_RETRY_DELAY = 3600000;
+
+// Hostnames with deliveries left in the queue, retried by the in-process
+// worker. Loaded from the stored queues when the worker starts, so deliveries
+// of earlier processes are retried too.
+const pendingHostnames = new Set();
+
+// Queue scans in progress by hostname. Scans requested during a scan are
+// coalesced into one more scan after it, instead of a scan per mutation.
+const activeScans = new Map();
+
+export function getRetryDelay(attempt) {
+  return Math.min(
+    Config.get('hooks.retryBaseDelay') * (2 ** (attempt - 1)),
+    MAX_RETRY_DELAY,
+  );
+}
+
+export function enqueueHook(db, hook, body) {
+  const now = new Date();
+  return db.enqueueHookDelivery({
+    hook: hook.id,
+    body: JSON.stringify(body),
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+  });
+}
+
+async function deliverHook(options, delivery) {
+  const { db } = options.context;
+  const hook = await db.getByID('ReindexHook', delivery.hook);
+  if (!hook) {
+    await db.removeHookDelivery(delivery.id);
+    return;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const maxAttempts = hook.maxAttempts || Config.get('hooks.maxAttempts');
+  const { isSuccess, response, errors } = await performHook(
+    hook,
+    delivery.body,
+    delivery.id.value,
+  );
+
+  if (isSuccess) {
+    await db.removeHookDelivery(delivery.id);
+    if (hook.logLevel === 'all') {
+      await logHook(options, hook, {
+        type: 'success',
+        response,
+        attempt,
+      });
+    }
+  } else if (attempt >= maxAttempts) {
+    await db.removeHookDelivery(delivery.id);
+    if (hook.logLevel !== 'none') {
+      await logHook(options, hook, {
+        type: 'deadLetter',
+        response,
+        errors,
+        attempt,
+        payload: delivery.body,
+      });
+    }
+  } else {
+    await db.rescheduleHookDelivery(delivery.id, {
+      attempts: attempt,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(attempt)),
+    });
+    if (hook.logLevel !== 'none') {
+      await logHook(options, hook, {
+        type: 'error',
+        response,
+        errors,
+        attempt,
+      });
+    }
+  }
+}
+
+async function scanHookQueue(hostname) {
+  let db;
+  try {
+    db = await getDB(hostname);
+    const options = await createReindex().getOptions({
+      db,
+      credentials: {
+        isAdmin: true,
+        userID: null,
+      },
+    });
+
+    let delivery;
+    while ((delivery = await db.claimHookDelivery(LEASE_DURATION))) {
+      await deliverHook(options, delivery);
+    }
+
+    if (await db.getHookQueueSize() > 0) {
+      pendingHostnames.add(hostname);
+    } else {
+      pendingHostnames.delete(hostname);
+    }
+  } catch (error) {
+    if (error.name === 'AppNotFound') {
+      pendingHostnames.delete(hostname);
+    }
+    console.error(error);
+  } finally {
+    if (db) {
+      await db.close();
+    }
+  }
+}
+
+// Delivers all due hook invocations of the app. If the queue is already being
+// scanned, it is scanned once more after the current scan.
+export function processHookQueue(hostname) {
+  const activeScan = activeScans.get(hostname);
+  if (activeScan) {
+    activeScan.isRequested = true;
+    return activeScan.promise;
+  }
+
+  const scan = { isRequested: false };
+  scan.promise = (async () => {
+    try {
+      do {
+        scan.isRequested = false;
+        await scanHookQueue(hostname);
+      } while (scan.isRequested);
+    } finally {
+      activeScans.delete(hostname);
+    }
+  })();
+  activeScans.set(hostname, scan);
+  return scan.promise;
+}
+
+async function loadPendingHostnames() {
+  for (const { hostname } of await listApps()) {
+    let db;
+    try {
+      db = await getDB(hostname);
+      if (await db.getHookQueueSize() > 0) {
+        pendingHostnames.add(hostname);
+      }
+    } catch (error) {
+      console.error(error);
+    } finally {
+      if (db) {
+        await db.close();
+      }
+    }
+  }
+}
+
+// Periodically retries queues of apps that have deliveries left, starting from
+// the stored queues of all apps. Returns the timer, or null if the worker is
+// disabled.
+export function startHookQueueWorker(
+  interval = Config.get('hooks.workerInterval'),
+) {
+  if (!interval) {
+    return null;
+  }
+
+  let isRunning = true;
+  loadPendingHostnames().catch((error) => {
+    console.error(error);
+  }).then(() => {
+    isRunning = false;
+  });
+
+  return setInterval(async () => {
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    try {
+      await Promise.all([...pendingHostnames].map(processHookQueue));
+    } finally {
+      isRunning = false;
+    }
+  }, interval);
+}
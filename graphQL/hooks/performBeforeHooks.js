@@ -0,0 +1,174 @@
+import { get, omit, pick, mapValues } from 'lodash';
+import uuid from 'uuid';
+import {
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLInputObjectType,
+} from 'graphql';
+import { Kind } from 'graphql/language';
+import { getVariableValues } from 'graphql/execution/values';
+
+import Config from '../../server/Config';
+import { UserError } from '../UserError';
+import { TIMESTAMP } from '../builtins/DateTime';
+import performHook from './performHook';
+
+// Converts a parsed input value back to its JSON representation.
+export function serializeInput(type, value) {
+  if (value === null || value === undefined) {
+    return value;
+  } else if (type instanceof GraphQLNonNull) {
+    return serializeInput(type.ofType, value);
+  } else if (type instanceof GraphQLList) {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item) => serializeInput(type.ofType, item));
+  } else if (type instanceof GraphQLInputObjectType) {
+    const fields = type.getFields();
+    return mapValues(
+      pick(value, (fieldValue, key) => fields[key]),
+      (fieldValue, key) => serializeInput(fields[key].type, fieldValue),
+    );
+  } else if (value === TIMESTAMP) {
+    return '@TIMESTAMP';
+  } else {
+    return type.serialize(value);
+  }
+}
+
+// Parses an input returned by a hook the same way as a `$input` variable.
+export function parseInput(schema, inputType, value) {
+  const definition = {
+    kind: Kind.VARIABLE_DEFINITION,
+    variable: {
+      kind: Kind.VARIABLE,
+      name: { kind: Kind.NAME, value: 'input' },
+    },
+    type: {
+      kind: Kind.NON_NULL_TYPE,
+      type: {
+        kind: Kind.NAMED_TYPE,
+        name: { kind: Kind.NAME, value: inputType.name },
+      },
+    },
+  };
+  try {
+    return getVariableValues(schema, [definition], { input: value }).input;
+  } catch (error) {
+    throw new UserError(`Hook returned invalid input. ${error.message}`);
+  }
+}
+
+function parseResponseBody(response) {
+  if (!response.body) {
+    return {};
+  }
+  try {
+    return JSON.parse(response.body);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function logFailure(db, hook, { response, errors }) {
+  if (hook.logLevel === 'none') {
+    return;
+  }
+  try {
+    await db.create('ReindexHookLog', {
+      hook: hook.id,
+      createdAt: new Date(),
+      type: 'error',
+      response,
+      errors,
+    });
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function performBeforeHook(context, hook, {
+  type,
+  trigger,
+  schema,
+  inputType,
+  input,
+}) {
+  const serializedInput = serializeInput(inputType, input);
+  const body = JSON.stringify({
+    type,
+    trigger,
+    input: serializedInput,
+  });
+  const { isSuccess, response, errors } = await performHook(
+    hook,
+    body,
+    uuid.v4(),
+    hook.timeout || Config.get('hooks.beforeTimeout'),
+  );
+
+  const result = isSuccess && parseResponseBody(response);
+  if (!result) {
+    await logFailure(context.db, hook, {
+      response,
+      errors: errors || ['Hook responded with invalid JSON.'],
+    });
+    const policy = hook.failurePolicy ||
+      Config.get('hooks.beforeFailurePolicy');
+    if (policy === 'failOpen') {
+      return input;
+    }
+    throw new UserError(
+      `${type} ${trigger} hook failed, mutation was not performed.`
+    );
+  }
+
+  if (result.error) {
+    throw new UserError(String(result.error));
+  } else if (result.input && trigger !== 'beforeDelete') {
+    // The hook can not redirect the mutation to another object or change the
+    // version the client expects
+    return parseInput(schema, inputType, {
+      ...omit(result.input, ['expectedVersion']),
+      ...pick(serializedInput, ['id', 'clientMutationId', 'expectedVersion']),
+    });
+  } else {
+    return input;
+  }
+}
+
+// Calls `before*` hooks of the type in order, each receiving the input as
+// modified by the previous one. A hook rejects the mutation by responding with
+// `{ "error": "message" }` and modifies it with `{ "input": { ... } }`.
+// Inputs modified by a hook are passed to `checkInput`, so that the
+// permissions of the user are checked for the fields the hook writes.
+//
+// Returns the final input.
+export default async function performBeforeHooks(context, {
+  type,
+  trigger,
+  schema,
+  inputType,
+  input,
+  checkInput = () => Promise.resolve(),
+}) {
+  const hooks = [
+    ...(get(context.hooks, ['global', trigger]) || []),
+    ...(get(context.hooks, [type, trigger]) || []),
+  ];
+
+  let result = input;
+  for (const hook of hooks) {
+    const hookResult = await performBeforeHook(context, hook, {
+      type,
+      trigger,
+      schema,
+      inputType,
+      input: result,
+    });
+    if (hookResult !== result) {
+      await checkInput(hookResult);
+    }
+    result = hookResult;
+  }
+  return result;
+}
@@ -1,68 +1,111 @@
+import Crypto from 'crypto';
 import fetch from 'node-fetch';
 import { graphql } from 'graphql';
 
 import { toReindexID } from '../builtins/ReindexID';
 
-export default async function performHook({ schema, context }, hook) {
-  let result;
-  let httpResult;
+const HOOK_TIMEOUT = 10000;
+
+// Resolves the hook fragment against the `hook` root field, producing the
+// body to deliver.
+export async function getHookBody({ schema, context }, hook) {
   try {
     const query = (`
       {
         hook ${hook.fragment}
       }
     `);
-
-    result = await graphql(schema, query, null, context);
-
-    if (!result.errors) {
-      httpResult = await fetch(hook.url, {
-        method: 'post',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(result),
-      });
-    }
+    return await graphql(schema, query, null, context);
   } catch (error) {
-    result = {
+    return {
       errors: [error.toString()],
     };
   }
+}
 
-  const error = (
-    !result || result.errors ||
-    !(httpResult.status >= 200 && httpResult.status < 300)
-  );
+// Signature of a hook request, an HMAC-SHA256 of `${timestamp}.${body}`
+// keyed with the hook secret. Receivers recompute it to verify the sender and
+// reject stale timestamps to prevent replays.
+export function signHookBody(secret, timestamp, body) {
+  const digest = Crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
 
-  if (hook.logLevel === 'all' ||
-      (error && hook.logLevel !== 'none')) {
-    const response = httpResult && {
-      status: httpResult.status,
-      statusText: httpResult.statusText,
-      body: await httpResult.text(),
+export function getHookHeaders(hook, body, deliveryID) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json',
+    'X-Reindex-Delivery': deliveryID,
+    'X-Reindex-Timestamp': timestamp,
+  };
+  if (hook.secret) {
+    headers['X-Reindex-Signature'] = signHookBody(hook.secret, timestamp, body);
+  }
+  return headers;
+}
+
+// POSTs an already resolved hook body to the hook URL. `deliveryID` stays the
+// same across retries of the same delivery.
+export default async function performHook(
+  hook,
+  body,
+  deliveryID,
+  timeout = HOOK_TIMEOUT,
+) {
+  try {
+    const httpResult = await fetch(hook.url, {
+      method: 'post',
+      headers: getHookHeaders(hook, body, deliveryID),
+      body,
+      timeout,
+    });
+    return {
+      isSuccess: httpResult.status >= 200 && httpResult.status < 300,
+      response: {
+        status: httpResult.status,
+        statusText: httpResult.statusText,
+        body: await httpResult.text(),
+      },
     };
-    const hookLogResult = await graphql(schema, `
-      mutation createLog($input: _CreateReindexHookLogInput!) {
-        createReindexHookLog(input: $input) {
-          id
-        }
-      }`,
-      null,
-      context,
-      {
-        input: {
-          hook: toReindexID(hook.id),
-          createdAt: '@TIMESTAMP',
-          response,
-          type: error ? 'error' : 'success',
-          errors: result && result.errors,
-        },
+  } catch (error) {
+    return {
+      isSuccess: false,
+      errors: [error.toString()],
+    };
+  }
+}
+
+export async function logHook({ schema, context }, hook, {
+  type,
+  response,
+  errors,
+  attempt,
+  payload,
+}) {
+  const hookLogResult = await graphql(schema, `
+    mutation createLog($input: _CreateReindexHookLogInput!) {
+      createReindexHookLog(input: $input) {
+        id
+      }
+    }`,
+    null,
+    context,
+    {
+      input: {
+        hook: toReindexID(hook.id),
+        createdAt: '@TIMESTAMP',
+        response,
+        type,
+        errors,
+        attempt,
+        payload,
       },
-    );
-    if (hookLogResult.errors) {
-      console.error(hookLogResult.errors);
-    }
+    },
+  );
+  if (hookLogResult.errors) {
+    console.error(hookLogResult.errors);
   }
 }
@@ -1,26 +1,130 @@
+import { TIMESTAMP } from '../builtins/DateTime';
+import { isDeleted, moveToTrash } from '../softDelete';
+import { recordRevision } from '../revisions';
 import checkAndEnqueueHooks from './checkAndEnqueueHooks';
 
-// Check related connection onDelete property and perform nullifying updates
-export default async function updateRelatedObjects(typeName, object, {
-  db,
-  hooks,
-  typeRegistry,
-}) {
-  const connectionFields = typeRegistry
-    .getTypeSet(typeName).permissions.related;
-  const nullableConnections = connectionFields.filter(
+// Returns the connections that are updated when an object is deleted.
+export function getDeletableConnections(typeName, typeRegistry) {
+  return typeRegistry.getTypeSet(typeName).permissions.related.filter(
     (field) => field.connectionType !== 'ONE_TO_MANY'
   );
+}
+
+export async function getRelatedObjects(db, field, object) {
+  if (field.connectionType === 'MANY_TO_MANY') {
+    const objects = await Promise.all((object[field.name] || []).map((id) =>
+      db.getByID(field.type, id)
+    ));
+    return objects.filter(Boolean);
+  } else {
+    return db.getAllByFilter(field.type, {
+      [field.reverseName]: object.id,
+    });
+  }
+}
+
+export function getObjectKey(typeName, object) {
+  return `${typeName}:${object.id.value}`;
+}
+
+// Deletes the related object of a `CASCADE` connection the way its type is
+// deleted: objects of types with `softDelete` are moved to the trash, with the
+// same `deletedAt` as the object they were trashed with, so that they are
+// restored with it. Objects already in the trash are left there, unless the
+// object is deleted permanently. Returns the written object and the
+// `deletedAt` of the trashed object, or null if it was deleted permanently.
+async function deleteRelatedObject(context, typeName, object, trashedAt) {
+  const { db, typeRegistry } = context;
+  if (!typeRegistry.getTypeSet(typeName).softDelete) {
+    return { result: await db.deleteQuery(typeName, object.id) };
+  } else if (isDeleted(object)) {
+    return {
+      result: trashedAt ? null : await db.deleteQuery(typeName, object.id),
+    };
+  }
+  const result = await moveToTrash(
+    db,
+    typeName,
+    object.id,
+    undefined,
+    trashedAt || TIMESTAMP,
+  );
+  return { result, trashedAt: result && result.deletedAt };
+}
+
+// Check related connection onDelete property and perform nullifying updates
+// or cascading deletes. `trashedAt` is the `deletedAt` of an object that was
+// moved to the trash. Objects in the trash keep their connections, so only
+// `CASCADE` connections are updated for them.
+export default async function updateRelatedObjects(
+  typeName,
+  object,
+  context,
+  trashedAt = null,
+  deleted = new Set(),
+) {
+  const { db, hooks, typeRegistry } = context;
+  deleted.add(getObjectKey(typeName, object));
+  const connectionFields = getDeletableConnections(typeName, typeRegistry)
+    .filter((field) => !trashedAt || field.onDelete === 'CASCADE');
 
-  return Promise.all(nullableConnections.map(async (field) => {
-    const result = await db.removeAllFromConnection(
-      field.type,
-      field.reverseName,
-      object.id,
-      field.connectionType === 'MANY_TO_MANY',
-    );
-    for (const node of result) {
-      checkAndEnqueueHooks(db, hooks, field.type, 'afterUpdate', null, node);
+  return Promise.all(connectionFields.map(async (field) => {
+    if (field.onDelete === 'CASCADE') {
+      const relatedObjects = await getRelatedObjects(db, field, object);
+      for (const relatedObject of relatedObjects) {
+        const key = getObjectKey(field.type, relatedObject);
+        if (deleted.has(key)) {
+          continue;
+        }
+        deleted.add(key);
+        const {
+          result,
+          trashedAt: relatedTrashedAt,
+        } = await deleteRelatedObject(
+          context,
+          field.type,
+          relatedObject,
+          trashedAt,
+        );
+        if (result) {
+          await recordRevision(
+            context,
+            field.type,
+            'delete',
+            relatedObject,
+            relatedTrashedAt ? result : null,
+          );
+          await updateRelatedObjects(
+            field.type,
+            result,
+            context,
+            relatedTrashedAt,
+            deleted,
+          );
+          if (!isDeleted(relatedObject)) {
+            checkAndEnqueueHooks(
+              db,
+              hooks,
+              field.type,
+              'afterDelete',
+              null,
+              result,
+            );
+          }
+        }
+      }
+    } else {
+      // Objects added to a RESTRICT connection after the check are nullified
+      // too, so that no references to the deleted object are left.
+      const result = await db.removeAllFromConnection(
+        field.type,
+        field.reverseName,
+        object.id,
+        field.connectionType === 'MANY_TO_MANY',
+      );
+      for (const node of result) {
+        checkAndEnqueueHooks(db, hooks, field.type, 'afterUpdate', null, node);
+      }
     }
   }));
 }
@@ -10,6 +10,7 @@ import {
   DeleteType,
   DeleteTypeData,
   UpdateFieldInfo,
+  UpdateSearchIndex,
 } from '../commands';
 import { field, type } from './helpers';
 
@@ -223,4 +224,33 @@ describe('buildSchemaMigration', () => {
       new UpdateFieldInfo(prevType, 'c', {}),
     ]);
   });
+
+  it('updates search index when searchable fields change', () => {
+    const prevType = type('T', {
+      interfaces: ['Node'],
+      fields: [
+        field('a', { type: 'String', searchable: true }),
+        field('b', { type: 'String' }),
+      ],
+    });
+    const nextType = type('T', {
+      interfaces: ['Node'],
+      fields: [
+        field('a', { type: 'String', searchable: true }),
+        field('b', { type: 'String', searchable: true }),
+      ],
+    });
+
+    assert.deepEqual(buildSchemaMigration([prevType], [nextType]), [
+      new UpdateFieldInfo(prevType, 'b', { searchable: true }),
+      new UpdateSearchIndex(prevType, ['a', 'b']),
+    ]);
+
+    assert.deepEqual(buildSchemaMigration([nextType], []), [
+      new DeleteTypeData(nextType),
+      new DeleteType(nextType),
+    ], 'search index is deleted with the type data');
+
+    assert.deepEqual(buildSchemaMigration([prevType], [prevType]), []);
+  });
 });
@@ -53,6 +53,45 @@ const invalidSchemas = {
   'invalid description': [
     type('T', { description: 0 }),
   ],
+  'non-boolean softDelete': [
+    type('Foo', { interfaces: ['Node'], softDelete: 'yes' }),
+  ],
+  'softDelete in a non-Node type': [
+    type('Foo', { softDelete: true, fields: [field('foo')] }),
+  ],
+  'field shadows built-in field of softDelete': [
+    type('Foo', {
+      interfaces: ['Node'],
+      softDelete: true,
+      fields: [field('deletedAt', { type: 'DateTime' })],
+    }),
+  ],
+  'non-boolean history': [
+    type('Foo', { interfaces: ['Node'], history: 1 }),
+  ],
+  'history in a non-Node type': [
+    type('Foo', { history: true, fields: [field('foo')] }),
+  ],
+  'field shadows built-in field of history': [
+    type('Foo', {
+      interfaces: ['Node'],
+      history: true,
+      fields: [field('revisions', { type: 'Int' })],
+    }),
+  ],
+  'non-boolean timestamps': [
+    type('Foo', { interfaces: ['Node'], timestamps: 'yes' }),
+  ],
+  'timestamps in a non-Node type': [
+    type('Foo', { timestamps: true, fields: [field('foo')] }),
+  ],
+  'field shadows built-in field of timestamps': [
+    type('Foo', {
+      interfaces: ['Node'],
+      timestamps: true,
+      fields: [field('updatedAt', { type: 'DateTime' })],
+    }),
+  ],
   'missing interfaces': [
     type('T', { interfaces: null }),
   ],
@@ -218,6 +257,16 @@ const invalidSchemas = {
       ],
     }),
   ],
+  'non-String searchable': [
+    type('T', {
+      fields: [
+        field('a', {
+          type: 'Int',
+          searchable: true,
+        }),
+      ],
+    }),
+  ],
   'ofType in a scalar field': [
     type('T', {
       fields: [
@@ -348,6 +397,54 @@ const invalidSchemas = {
       ],
     }),
   ],
+  'onDelete for non-connection field': [
+    type('Bar', {
+      interfaces: ['Node'],
+      fields: [
+        {
+          name: 'foos',
+          type: 'Connection',
+          ofType: 'Foo',
+          reverseName: 'bar',
+        },
+      ],
+    }),
+    type('Foo', {
+      interfaces: ['Node'],
+      fields: [
+        {
+          name: 'bar',
+          type: 'Bar',
+          reverseName: 'foos',
+          onDelete: 'CASCADE',
+        },
+      ],
+    }),
+  ],
+  'invalid onDelete': [
+    type('Bar', {
+      interfaces: ['Node'],
+      fields: [
+        {
+          name: 'foos',
+          type: 'Connection',
+          ofType: 'Foo',
+          reverseName: 'bar',
+          onDelete: 'DESTROY',
+        },
+      ],
+    }),
+    type('Foo', {
+      interfaces: ['Node'],
+      fields: [
+        {
+          name: 'bar',
+          type: 'Bar',
+          reverseName: 'foos',
+        },
+      ],
+    }),
+  ],
   'grant perrmissions not for User': [
     type('Bar', {
       interfaces: ['Node'],
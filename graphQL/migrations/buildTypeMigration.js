@@ -12,8 +12,9 @@ import {
   DeleteType,
   DeleteTypeData,
   UpdateFieldInfo,
+  UpdateSearchIndex,
 } from './commands';
-import { byName, sortedNames } from './utilities';
+import { byName, getName, sortedNames } from './utilities';
 
 export default function buildTypeMigration(type, nextType) {
   const commands = [];
@@ -37,11 +38,31 @@ export default function buildTypeMigration(type, nextType) {
 
   if (nextType) {
     commands.push(...buildFieldsMigration(type, nextType));
+    commands.push(...buildSearchIndexMigration(type, nextType));
   }
 
   return commands;
 }
 
+function getSearchableFieldNames(type) {
+  return type ?
+    type.fields.filter((field) => field.searchable).map(getName).sort() :
+    [];
+}
+
+function buildSearchIndexMigration(type, nextType) {
+  const previousFields = getSearchableFieldNames(type);
+  const nextFields = getSearchableFieldNames(nextType);
+  if (
+    nextType.interfaces.includes('Node') &&
+    !isEqual(previousFields, nextFields)
+  ) {
+    return [new UpdateSearchIndex(type || nextType, nextFields)];
+  } else {
+    return [];
+  }
+}
+
 function buildDeleteType(type) {
   const commands = [];
   if (type.interfaces.includes('Node')) {
@@ -137,6 +137,27 @@ export class DeleteFieldData {
   }
 }
 
+export class UpdateSearchIndex {
+  commandType = 'UpdateSearchIndex';
+  isDestructive = false;
+
+  constructor(type, fields) {
+    this.type = type;
+    this.fields = fields;
+  }
+
+  description() {
+    if (this.fields.length > 0) {
+      return (
+        `update search index of type ${this.type.name} to fields ` +
+        this.fields.join(', ')
+      );
+    } else {
+      return `remove search index of type ${this.type.name}`;
+    }
+  }
+}
+
 export class UpdateFieldInfo {
   commandType = 'UpdateFieldInfo';
   isDestructive = false;
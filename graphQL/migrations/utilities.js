@@ -25,6 +25,9 @@ export function extractTypeOptions(type) {
     'description',
     'pluralName',
     'permissions',
+    'softDelete',
+    'history',
+    'timestamps',
   ]);
 }
 
@@ -37,8 +40,10 @@ export function extractFieldOptions(field) {
     'reverseName',
     'grantPermissions',
     'defaultOrdering',
+    'onDelete',
     'unique',
     'orderable',
     'filterable',
+    'searchable',
   ]);
 }
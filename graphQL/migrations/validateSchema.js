@@ -1,17 +1,30 @@
 import invariantFunction from 'invariant';
 import {
-  chain, groupBy, isEqual, isPlainObject, isString, uniq, isArray, pick,
+  chain,
+  groupBy,
+  isEqual,
+  isPlainObject,
+  isString,
+  isBoolean,
+  uniq,
+  isArray,
+  pick,
 } from 'lodash';
 
 import getInterfaceDefaultFields
   from '../../graphQL/builtins/InterfaceDefaultFields';
 import { getPluralName } from '../../graphQL/derivedNames';
 import ScalarTypes from '../../graphQL/builtins/ScalarTypes';
-import getTypeDefaultFields from '../../graphQL/builtins/TypeDefaultFields';
+import getTypeDefaultFields, {
+  getSoftDeleteFields,
+  getTimestampFields,
+} from '../../graphQL/builtins/TypeDefaultFields';
 import { getName, byName } from './utilities';
 
 const InterfaceDefaultFields = getInterfaceDefaultFields();
 const TypeDefaultFields = getTypeDefaultFields();
+const SoftDeleteFields = getSoftDeleteFields();
+const TimestampFields = getTimestampFields();
 
 export default function validateSchema(
   { types },
@@ -147,6 +160,21 @@ function validateType(type, typesByName, typeRegistry, invariant) {
     '%s: Expected `description` to be undefined or a string.',
     type.name,
   );
+  invariant(
+    type.softDelete == null || isBoolean(type.softDelete),
+    '%s: Expected `softDelete` to be undefined or a boolean. Found: %s.',
+    type.name, type.softDelete,
+  );
+  invariant(
+    type.history == null || isBoolean(type.history),
+    '%s: Expected `history` to be undefined or a boolean. Found: %s.',
+    type.name, type.history,
+  );
+  invariant(
+    type.timestamps == null || isBoolean(type.timestamps),
+    '%s: Expected `timestamps` to be undefined or a boolean. Found: %s.',
+    type.name, type.timestamps,
+  );
   invariant(
     Array.isArray(type.interfaces) &&
     type.interfaces.every((name) =>
@@ -179,6 +207,49 @@ function validateType(type, typesByName, typeRegistry, invariant) {
 }
 
 function validateFields(type, invariant) {
+  if (type.softDelete) {
+    invariant(
+      isNodeType(type),
+      '%s: Expected only Node types to have `softDelete`.',
+      type.name,
+    );
+    for (const { name } of SoftDeleteFields) {
+      invariant(
+        type.fields.every((field) => field.name !== name),
+        '%s.%s: Field name shadows a built-in field of `softDelete` types.',
+        type.name, name,
+      );
+    }
+  }
+
+  if (type.history) {
+    invariant(
+      isNodeType(type),
+      '%s: Expected only Node types to have `history`.',
+      type.name,
+    );
+    invariant(
+      type.fields.every((field) => field.name !== 'revisions'),
+      '%s.revisions: Field name shadows a built-in field of `history` types.',
+      type.name,
+    );
+  }
+
+  if (type.timestamps) {
+    invariant(
+      isNodeType(type),
+      '%s: Expected only Node types to have `timestamps`.',
+      type.name,
+    );
+    for (const { name } of TimestampFields) {
+      invariant(
+        type.fields.every((field) => field.name !== name),
+        '%s.%s: Field name shadows a built-in field of `timestamps` types.',
+        type.name, name,
+      );
+    }
+  }
+
   // must have all fields of interfaces
   type.interfaces.forEach((interfaceName) => {
     for (const defaultField of InterfaceDefaultFields[interfaceName] || []) {
@@ -199,6 +270,7 @@ function validateFields(type, invariant) {
 }
 
 const FIELD_NAME_PATTERN = /^[a-z][_0-9A-Za-z]*$/;
+const ON_DELETE_ACTIONS = ['CASCADE', 'SET_NULL', 'RESTRICT'];
 
 function validateField(type, field, typesByName, invariant) {
   invariant(
@@ -274,6 +346,19 @@ function validateField(type, field, typesByName, invariant) {
     validateReverseField(type, field, typesByName, invariant);
   }
 
+  // onDelete only for connections
+  invariant(
+    field.onDelete == null || field.type === 'Connection',
+    '%s.%s: Expected `onDelete` to be undefined for a field with type "%s", ' +
+    'it can only be set on Connection fields.',
+    type.name, field.name, field.type,
+  );
+  invariant(
+    field.onDelete == null || ON_DELETE_ACTIONS.includes(field.onDelete),
+    '%s.%s: Expected `onDelete` to be one of %s. Found: %s.',
+    type.name, field.name, ON_DELETE_ACTIONS.join(', '), field.onDelete,
+  );
+
   // only scalar uniques
   invariant(
     !field.unique || field.type in ScalarTypes,
@@ -307,6 +392,14 @@ function validateField(type, field, typesByName, invariant) {
     type.name, field.name, field.type
   );
 
+  // only String searchables of Node types
+  invariant(
+    !field.searchable || (field.type === 'String' && isNodeType(type)),
+    '%s.%s: Expected searchable field to be a String field of a Node type. ' +
+    'Found: %s.',
+    type.name, field.name, field.type
+  );
+
   // no overriding default fields
   const typeFields = TypeDefaultFields[type.name];
   invariant(
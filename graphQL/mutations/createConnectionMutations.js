@@ -10,6 +10,7 @@ import checkPermission from '../permissions/checkPermission';
 import ReindexID, { toReindexID } from '../builtins/ReindexID';
 import clientMutationIdField from '../utilities/clientMutationIdField';
 import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import { recordRevision } from '../revisions';
 import formatMutationResult from './formatMutationResult';
 
 export default function createConnectionMutations(
@@ -289,6 +290,11 @@ function createResolveFunction(
       Object.assign(output, formattedResult);
     }
 
+    await recordRevision(context, fromType, 'update', fromObject, from);
+    if (!isEqual(fromId, toId)) {
+      await recordRevision(context, toType, 'update', toObject, to);
+    }
+
     checkAndEnqueueHooks(
       db,
       context.hooks,
@@ -10,25 +10,72 @@ import clientMutationIdField from '../utilities/clientMutationIdField';
 import checkPermission from '../permissions/checkPermission';
 import validate from '../validation/validate';
 import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import performBeforeHooks from '../hooks/performBeforeHooks';
 import createInputObjectFields from '../createInputObjectFields';
+import { recordRevision } from '../revisions';
+import { addTimestamps } from '../timestamps';
 import formatMutationResult from './formatMutationResult';
 
+export function getCreateInputType(typeSet, typeRegistry) {
+  return typeSet.getMutationInput('create', () => {
+    const objectFields = createInputObjectFields(
+      typeSet.getInputObjectFields(),
+      true,
+      typeRegistry
+    );
+
+    return new GraphQLInputObjectType({
+      name: getCreateInputObjectTypeName(typeSet.type.name),
+      fields: {
+        ...objectFields,
+        clientMutationId: clientMutationIdField,
+      },
+    });
+  });
+}
+
+// Checks permissions, runs `beforeCreate` hooks and validates the object.
+// Returns the object to create, with timestamps if the type has them.
+export async function prepareCreate(
+  context,
+  { type, inputType, schema, typeRegistry },
+  input,
+) {
+  const checkInput = (checkedInput) => checkPermission(
+    type.name,
+    'create',
+    {},
+    omit(checkedInput, ['clientMutationId']),
+    context,
+  );
+
+  await checkInput(input);
+
+  const object = omit(await performBeforeHooks(context, {
+    type: type.name,
+    trigger: 'beforeCreate',
+    schema,
+    inputType,
+    input,
+    checkInput,
+  }), ['clientMutationId']);
+
+  await validate(
+    context.db,
+    context,
+    type,
+    object,
+    undefined,
+    typeRegistry,
+  );
+
+  return addTimestamps(typeRegistry.getTypeSet(type.name), object, null);
+}
+
 export default function createCreate(typeSet, typeRegistry) {
   const type = typeSet.type;
   const payload = typeSet.payload;
-  const objectFields = createInputObjectFields(
-    typeSet.getInputObjectFields(),
-    true,
-    typeRegistry
-  );
-
-  const inputType = new GraphQLInputObjectType({
-    name: getCreateInputObjectTypeName(type.name),
-    fields: {
-      ...objectFields,
-      clientMutationId: clientMutationIdField,
-    },
-  });
+  const inputType = getCreateInputType(typeSet, typeRegistry);
 
   const name = getCreateMutationName(type.name);
 
@@ -41,29 +88,19 @@ export default function createCreate(typeSet, typeRegistry) {
         type: new GraphQLNonNull(inputType),
       },
     },
-    async resolve(parent, { input }, context) {
+    async resolve(parent, { input }, context, { schema }) {
       const db = context.db;
       const clientMutationId = input.clientMutationId;
-      const object = omit(input, ['clientMutationId']);
 
-      await checkPermission(
-        type.name,
-        'create',
-        {},
-        object,
-        context,
-      );
-
-      await validate(
-        db,
-        context,
+      const object = await prepareCreate(context, {
         type,
-        object,
-        undefined,
+        inputType,
+        schema,
         typeRegistry,
-      );
+      }, input);
 
       const result = await db.create(type.name, object);
+      await recordRevision(context, type.name, 'create', null, result);
       const formattedResult = formatMutationResult(
         clientMutationId,
         type.name,
@@ -0,0 +1,47 @@
+import { GraphQLNonNull } from 'graphql';
+
+import {
+  getCreateManyMutationName,
+  getCreateManyInputObjectTypeName,
+} from '../derivedNames';
+import { getCreateInputType, prepareCreate } from './createCreate';
+import performBatch, { createBatchInputType } from './performBatch';
+
+export default function createCreateMany(typeSet, typeRegistry) {
+  const type = typeSet.type;
+  const inputType = getCreateInputType(typeSet, typeRegistry);
+  const batchInputType = createBatchInputType(
+    getCreateManyInputObjectTypeName(type.name),
+    inputType,
+  );
+
+  return {
+    name: getCreateManyMutationName(type.name),
+    description: `Creates new \`${type.name}\` objects in one batch`,
+    type: typeSet.batchPayload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(batchInputType),
+      },
+    },
+    resolve(parent, { input }, context, { schema }) {
+      return performBatch(context, {
+        type,
+        trigger: 'afterCreate',
+        operation: 'create',
+        input,
+        validateUnique: true,
+        prepare: (item) => prepareCreate(context, {
+          type,
+          inputType,
+          schema,
+          typeRegistry,
+        }, item),
+        write: (prepared) => context.db.createMany(
+          type.name,
+          prepared.map(({ value }) => value),
+        ),
+      });
+    },
+  };
+}
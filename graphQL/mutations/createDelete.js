@@ -8,55 +8,196 @@ import {
 import ReindexID, { toReindexID } from '../builtins/ReindexID';
 import checkPermission from '../permissions/checkPermission';
 import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
-import updateRelatedObjects from '../hooks/updateRelatedObjects';
+import performBeforeHooks from '../hooks/performBeforeHooks';
+import updateRelatedObjects, {
+  getDeletableConnections,
+  getObjectKey,
+  getRelatedObjects,
+} from '../hooks/updateRelatedObjects';
 import clientMutationIdField from '../utilities/clientMutationIdField';
+import {
+  expectedVersionField,
+  checkVersion,
+  checkVersionedWrite,
+} from '../versions';
+import { isDeleted, moveToTrash } from '../softDelete';
+import { recordRevision } from '../revisions';
+import { prepareTrashed } from './createRestore';
 import formatMutationResult from './formatMutationResult';
 
-export default function createDelete({ type, payload }) {
-  const inputType = new GraphQLInputObjectType({
-    name: getDeleteInputObjectTypeName(type.name),
+export function getDeleteInputType(typeSet) {
+  return typeSet.getMutationInput('delete', () => new GraphQLInputObjectType({
+    name: getDeleteInputObjectTypeName(typeSet.type.name),
     fields: {
       clientMutationId: clientMutationIdField,
       id: {
         type: new GraphQLNonNull(ReindexID),
         description: 'The ID of the deleted object.',
       },
+      expectedVersion: expectedVersionField,
     },
+  }));
+}
+
+// Fails with an error if deleting the object would delete, directly or through
+// cascading deletes, an object that has related objects in a connection with
+// `onDelete: RESTRICT`. Objects deleted by cascading deletes are prepared like
+// the deleted object, so the delete fails if the user can't delete any of
+// them or their `beforeDelete` hooks reject it. Objects in the trash are only
+// checked for the permission, like when they are purged, and only if the
+// object is deleted permanently instead of moved to the trash.
+export async function checkRelatedObjects(
+  typeName,
+  object,
+  context,
+  schema,
+  visited = new Set(),
+) {
+  const { db, typeRegistry } = context;
+  const isMovedToTrash = typeRegistry.getTypeSet(typeName).softDelete &&
+    !isDeleted(object);
+  visited.add(getObjectKey(typeName, object));
+  for (const field of getDeletableConnections(typeName, typeRegistry)) {
+    if (field.onDelete === 'SET_NULL') {
+      continue;
+    }
+    const relatedObjects = await getRelatedObjects(db, field, object);
+    if (field.onDelete === 'RESTRICT' && relatedObjects.length > 0) {
+      throw new UserError(
+        `input.id: Can not delete ${typeName} object ` +
+        `${toReindexID(object.id)}, it has related ${field.type} objects in ` +
+        `\`${field.name}\`.`
+      );
+    }
+    const typeSet = typeRegistry.getTypeSet(field.type);
+    for (const relatedObject of relatedObjects) {
+      if (visited.has(getObjectKey(field.type, relatedObject))) {
+        continue;
+      }
+      const input = { id: relatedObject.id };
+      if (isDeleted(relatedObject) && isMovedToTrash) {
+        continue;
+      } else if (isDeleted(relatedObject)) {
+        const trashed = await prepareTrashed(context, typeSet.type, input);
+        await checkRelatedObjects(
+          field.type,
+          trashed,
+          context,
+          schema,
+          visited,
+        );
+      } else {
+        await prepareDelete(context, {
+          type: typeSet.type,
+          inputType: getDeleteInputType(typeSet),
+          schema,
+        }, input, visited);
+      }
+    }
+  }
+}
+
+// Checks that the object exists and is at the expected version, checks
+// permissions and `onDelete` connections and runs `beforeDelete` hooks.
+// Returns the object to delete.
+export async function prepareDelete(
+  context,
+  { type, inputType, schema },
+  input,
+  visited,
+) {
+  const db = context.db;
+  if (!db.isValidID(type.name, input.id)) {
+    throw new UserError(`input.id: Invalid ID for type ${type.name}`);
+  }
+  const object = await db.getByID(type.name, input.id);
+
+  if (!object || isDeleted(object)) {
+    throw new UserError(
+      `input.id: Can not find ${type.name} object with given ID: ` +
+      toReindexID(input.id)
+    );
+  }
+
+  checkVersion(type.name, object, input.expectedVersion);
+
+  await checkPermission(
+    type.name,
+    'delete',
+    object,
+    {},
+    context
+  );
+
+  await checkRelatedObjects(type.name, object, context, schema, visited);
+
+  await performBeforeHooks(context, {
+    type: type.name,
+    trigger: 'beforeDelete',
+    schema,
+    inputType,
+    input,
   });
+
+  return object;
+}
+
+// Deletes the object, or moves it to the trash if the type has `softDelete`.
+// Objects in the trash keep their connections, so that they can be restored,
+// but the related objects of `CASCADE` connections are deleted with them.
+export async function writeDelete(context, typeSet, object, input) {
+  const typeName = typeSet.type.name;
+  let result;
+  if (typeSet.softDelete) {
+    result = await moveToTrash(
+      context.db,
+      typeName,
+      input.id,
+      input.expectedVersion,
+    );
+  } else {
+    result = await context.db.deleteQuery(
+      typeName,
+      input.id,
+      input.expectedVersion,
+    );
+  }
+  checkVersionedWrite(typeName, input.id, input.expectedVersion, result);
+  await recordRevision(context, typeName, 'delete', object, result);
+
+  await updateRelatedObjects(
+    typeName,
+    object,
+    context,
+    typeSet.softDelete ? result.deletedAt : null,
+  );
+  return result;
+}
+
+export default function createDelete(typeSet) {
+  const { type, payload } = typeSet;
+  const inputType = getDeleteInputType(typeSet);
   return {
     name: getDeleteMutationName(type.name),
-    description: `Deletes the given \`${type.name}\` object`,
+    description: typeSet.softDelete ?
+      `Moves the given \`${type.name}\` object to the trash` :
+      `Deletes the given \`${type.name}\` object`,
     type: payload,
     args: {
       input: {
         type: new GraphQLNonNull(inputType),
       },
     },
-    async resolve(parent, { input }, context) {
+    async resolve(parent, { input }, context, { schema }) {
       const db = context.db;
       const clientMutationId = input.clientMutationId;
-      if (!db.isValidID(type.name, input.id)) {
-        throw new UserError(`input.id: Invalid ID for type ${type.name}`);
-      }
-      const object = await db.getByID(type.name, input.id);
-
-      if (!object) {
-        throw new UserError(
-          `input.id: Can not find ${type.name} object with given ID: ` +
-          toReindexID(input.id)
-        );
-      }
-
-      await checkPermission(
-        type.name,
-        'delete',
-        object,
-        {},
-        context
-      );
-      const result = await db.deleteQuery(type.name, input.id);
+      const object = await prepareDelete(context, {
+        type,
+        inputType,
+        schema,
+      }, input);
 
-      await updateRelatedObjects(type.name, object, context);
+      const result = await writeDelete(context, typeSet, object, input);
 
       const formattedResult = formatMutationResult(
         clientMutationId,
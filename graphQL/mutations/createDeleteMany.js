@@ -0,0 +1,82 @@
+import { GraphQLNonNull } from 'graphql';
+
+import {
+  getDeleteManyMutationName,
+  getDeleteManyInputObjectTypeName,
+} from '../derivedNames';
+import updateRelatedObjects from '../hooks/updateRelatedObjects';
+import { TIMESTAMP } from '../builtins/DateTime';
+import { getDeleteInputType, prepareDelete } from './createDelete';
+import performBatch, { createBatchInputType } from './performBatch';
+
+export default function createDeleteMany(typeSet) {
+  const type = typeSet.type;
+  const inputType = getDeleteInputType(typeSet);
+  const batchInputType = createBatchInputType(
+    getDeleteManyInputObjectTypeName(type.name),
+    inputType,
+  );
+
+  return {
+    name: getDeleteManyMutationName(type.name),
+    description: typeSet.softDelete ?
+      `Moves the given \`${type.name}\` objects to the trash in one batch` :
+      `Deletes the given \`${type.name}\` objects in one batch`,
+    type: typeSet.batchPayload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(batchInputType),
+      },
+    },
+    resolve(parent, { input }, context, { schema }) {
+      return performBatch(context, {
+        type,
+        trigger: 'afterDelete',
+        operation: 'delete',
+        input,
+        prepare: (item) => prepareDelete(context, {
+          type,
+          inputType,
+          schema,
+        }, item),
+        async write(prepared) {
+          if (typeSet.softDelete) {
+            const trashed = await context.db.updateMany(
+              type.name,
+              prepared.map(({ input: item }) => ({
+                id: item.id,
+                data: { deletedAt: TIMESTAMP },
+                expectedVersion: item.expectedVersion,
+              })),
+            );
+            for (const object of trashed) {
+              if (object && !(object instanceof Error)) {
+                await updateRelatedObjects(
+                  type.name,
+                  object,
+                  context,
+                  object.deletedAt,
+                );
+              }
+            }
+            return trashed;
+          }
+
+          const result = await context.db.deleteMany(
+            type.name,
+            prepared.map(({ input: item }) => ({
+              id: item.id,
+              expectedVersion: item.expectedVersion,
+            })),
+          );
+          for (const deleted of result) {
+            if (deleted) {
+              await updateRelatedObjects(type.name, deleted, context);
+            }
+          }
+          return result;
+        },
+      });
+    },
+  };
+}
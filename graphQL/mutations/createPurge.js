@@ -0,0 +1,60 @@
+import { GraphQLNonNull } from 'graphql';
+
+import {
+  getPurgeMutationName,
+  getPurgeInputObjectTypeName,
+} from '../derivedNames';
+import updateRelatedObjects from '../hooks/updateRelatedObjects';
+import { checkVersionedWrite } from '../versions';
+import { recordRevision } from '../revisions';
+import { createTrashInputType, prepareTrashed } from './createRestore';
+import { checkRelatedObjects } from './createDelete';
+import formatMutationResult from './formatMutationResult';
+
+export default function createPurge(typeSet) {
+  const { type, payload } = typeSet;
+  if (!typeSet.softDelete) {
+    return [];
+  }
+
+  const inputType = createTrashInputType(
+    getPurgeInputObjectTypeName(type.name),
+    'The ID of the permanently deleted object.',
+  );
+  return {
+    name: getPurgeMutationName(type.name),
+    description:
+`Permanently deletes the given \`${type.name}\` object from the trash. Requires
+the permission to delete the object. The related objects are updated according
+to \`onDelete\` of the connections, related objects of \`CASCADE\` connections
+that are in the trash are permanently deleted too. \`afterDelete\` hooks were
+already called when the objects were moved to the trash.
+`,
+    type: payload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(inputType),
+      },
+    },
+    async resolve(parent, { input }, context, { schema }) {
+      const object = await prepareTrashed(context, type, input);
+      await checkRelatedObjects(type.name, object, context, schema);
+
+      const result = await context.db.deleteQuery(
+        type.name,
+        input.id,
+        input.expectedVersion,
+      );
+      checkVersionedWrite(type.name, input.id, input.expectedVersion, result);
+      await recordRevision(context, type.name, 'delete', object, null);
+
+      await updateRelatedObjects(type.name, object, context);
+
+      return formatMutationResult(
+        input.clientMutationId,
+        type.name,
+        result
+      );
+    },
+  };
+}
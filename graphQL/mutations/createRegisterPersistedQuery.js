@@ -0,0 +1,74 @@
+import {
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+  GraphQLString,
+} from 'graphql';
+
+import { UserError } from '../UserError';
+import { TIMESTAMP } from '../builtins/DateTime';
+import checkPermission from '../permissions/checkPermission';
+import { hashQuery, validateQuery } from '../persistedQueries';
+import clientMutationIdField from '../utilities/clientMutationIdField';
+import formatMutationResult from './formatMutationResult';
+
+export default function createRegisterPersistedQuery(typeRegistry) {
+  const payload = typeRegistry.getTypeSet('ReindexPersistedQuery').payload;
+  const input = new GraphQLInputObjectType({
+    name: '_RegisterPersistedQueryInput',
+    fields: {
+      clientMutationId: clientMutationIdField,
+      query: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'The GraphQL query to register.',
+      },
+    },
+  });
+  return {
+    name: 'registerPersistedQuery',
+    description:
+`Registers a query, so that it can be executed by its SHA-256 hash. The query
+must be valid. Registering the same query again returns the existing
+\`ReindexPersistedQuery\`.
+`,
+    type: payload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(input),
+      },
+    },
+    async resolve(
+      parent,
+      { input: { clientMutationId, query } },
+      context,
+      { schema },
+    ) {
+      const hash = hashQuery(query);
+      await checkPermission(
+        'ReindexPersistedQuery',
+        'create',
+        {},
+        { hash, query },
+        context,
+      );
+      const errors = validateQuery(schema, query);
+      if (errors.length > 0) {
+        throw new UserError(`input.query: ${errors.join('\n')}`);
+      }
+
+      const db = context.db;
+      const result = (
+        await db.getByField('ReindexPersistedQuery', 'hash', hash) ||
+        await db.create('ReindexPersistedQuery', {
+          hash,
+          query,
+          createdAt: TIMESTAMP,
+        })
+      );
+      return formatMutationResult(
+        clientMutationId,
+        'ReindexPersistedQuery',
+        result
+      );
+    },
+  };
+}
@@ -10,8 +10,17 @@ import ReindexID, { toReindexID } from '../builtins/ReindexID';
 import checkPermission from '../permissions/checkPermission';
 import validate from '../validation/validate';
 import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import performBeforeHooks from '../hooks/performBeforeHooks';
 import clientMutationIdField from '../utilities/clientMutationIdField';
 import createInputObjectFields from '../createInputObjectFields';
+import {
+  expectedVersionField,
+  checkVersion,
+  checkVersionedWrite,
+} from '../versions';
+import { isDeleted } from '../softDelete';
+import { recordRevision } from '../revisions';
+import { addTimestamps } from '../timestamps';
 import formatMutationResult from './formatMutationResult';
 
 export default function createReplace(typeSet, typeRegistry) {
@@ -32,6 +41,7 @@ export default function createReplace(typeSet, typeRegistry) {
         type: new GraphQLNonNull(ReindexID),
         description: 'The ID of the replaced object.',
       },
+      expectedVersion: expectedVersionField,
     },
   });
 
@@ -44,10 +54,9 @@ export default function createReplace(typeSet, typeRegistry) {
         type: new GraphQLNonNull(inputType),
       },
     },
-    async resolve(parent, { input }, context) {
+    async resolve(parent, { input }, context, { schema }) {
       const db = context.db;
       const clientMutationId = input.clientMutationId;
-      const object = omit(input, ['id', 'clientMutationId']);
 
       if (!db.isValidID(type.name, input.id)) {
         throw new UserError(`input.id: Invalid ID for type ${type.name}`);
@@ -55,21 +64,34 @@ export default function createReplace(typeSet, typeRegistry) {
 
       const existing = await db.getByID(type.name, input.id);
 
-      if (!existing) {
+      if (!existing || isDeleted(existing)) {
         throw new UserError(
           `input.id: Can not find ${type.name} object with given ID: ` +
           toReindexID(input.id)
         );
       }
 
-      await checkPermission(
+      checkVersion(type.name, existing, input.expectedVersion);
+
+      const checkInput = (checkedInput) => checkPermission(
         type.name,
         'replace',
         existing,
-        object,
+        omit(checkedInput, ['id', 'clientMutationId', 'expectedVersion']),
         context
       );
 
+      await checkInput(input);
+
+      const object = omit(await performBeforeHooks(context, {
+        type: type.name,
+        trigger: 'beforeUpdate',
+        schema,
+        inputType,
+        input,
+        checkInput,
+      }), ['id', 'clientMutationId', 'expectedVersion']);
+
       await validate(
         db,
         context,
@@ -92,9 +114,12 @@ export default function createReplace(typeSet, typeRegistry) {
       const result = await db.replace(
         type.name,
         input.id,
-        object,
-        cleanedExisting
+        addTimestamps(typeSet, object, existing),
+        cleanedExisting,
+        input.expectedVersion,
       );
+      checkVersionedWrite(type.name, input.id, input.expectedVersion, result);
+      await recordRevision(context, type.name, 'replace', existing, result);
 
       const formattedResult = formatMutationResult(
         clientMutationId,
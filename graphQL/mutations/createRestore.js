@@ -0,0 +1,190 @@
+import { GraphQLNonNull, GraphQLInputObjectType } from 'graphql';
+
+import { UserError } from '../UserError';
+import {
+  getRestoreMutationName,
+  getRestoreInputObjectTypeName,
+} from '../derivedNames';
+import ReindexID, { toReindexID } from '../builtins/ReindexID';
+import checkPermission from '../permissions/checkPermission';
+import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import {
+  getDeletableConnections,
+  getObjectKey,
+  getRelatedObjects,
+} from '../hooks/updateRelatedObjects';
+import clientMutationIdField from '../utilities/clientMutationIdField';
+import {
+  expectedVersionField,
+  checkVersion,
+  checkVersionedWrite,
+} from '../versions';
+import { isDeleted } from '../softDelete';
+import { recordRevision } from '../revisions';
+import formatMutationResult from './formatMutationResult';
+
+export function createTrashInputType(name, description) {
+  return new GraphQLInputObjectType({
+    name,
+    fields: {
+      clientMutationId: clientMutationIdField,
+      id: {
+        type: new GraphQLNonNull(ReindexID),
+        description,
+      },
+      expectedVersion: expectedVersionField,
+    },
+  });
+}
+
+// Checks that the object is in the trash and at the expected version and
+// checks the `delete` permission. Returns the object.
+export async function prepareTrashed(context, type, input) {
+  const db = context.db;
+  if (!db.isValidID(type.name, input.id)) {
+    throw new UserError(`input.id: Invalid ID for type ${type.name}`);
+  }
+  const object = await db.getByID(type.name, input.id);
+
+  if (!isDeleted(object)) {
+    throw new UserError(
+      `input.id: Can not find ${type.name} object in the trash with given ` +
+      `ID: ${toReindexID(input.id)}`
+    );
+  }
+
+  checkVersion(type.name, object, input.expectedVersion);
+
+  await checkPermission(
+    type.name,
+    'delete',
+    object,
+    {},
+    context
+  );
+
+  return object;
+}
+
+function isTrashedWith(object, trashedObject) {
+  return isDeleted(object) &&
+    object.deletedAt.getTime() === trashedObject.deletedAt.getTime();
+}
+
+// Returns the related objects of `CASCADE` connections that were moved to the
+// trash with the object, recursively, and checks that they can be restored.
+async function prepareRelatedTrashed(
+  context,
+  typeName,
+  object,
+  visited = new Set(),
+) {
+  const { db, typeRegistry } = context;
+  visited.add(getObjectKey(typeName, object));
+  const prepared = [];
+  for (const field of getDeletableConnections(typeName, typeRegistry)) {
+    const typeSet = typeRegistry.getTypeSet(field.type);
+    if (field.onDelete !== 'CASCADE' || !typeSet.softDelete) {
+      continue;
+    }
+    const relatedObjects = await getRelatedObjects(db, field, object);
+    for (const relatedObject of relatedObjects) {
+      if (
+        !visited.has(getObjectKey(field.type, relatedObject)) &&
+        isTrashedWith(relatedObject, object)
+      ) {
+        const trashed = await prepareTrashed(context, typeSet.type, {
+          id: relatedObject.id,
+        });
+        prepared.push(
+          { typeName: field.type, object: trashed },
+          ...await prepareRelatedTrashed(context, field.type, trashed, visited),
+        );
+      }
+    }
+  }
+  return prepared;
+}
+
+async function writeRestore(context, typeName, object, expectedVersion) {
+  const result = await context.db.update(
+    typeName,
+    object.id,
+    { deletedAt: null },
+    expectedVersion,
+  );
+  checkVersionedWrite(typeName, object.id, expectedVersion, result);
+  if (result) {
+    await recordRevision(context, typeName, 'update', object, result);
+  }
+  return result;
+}
+
+export default function createRestore(typeSet) {
+  const { type, payload } = typeSet;
+  if (!typeSet.softDelete) {
+    return [];
+  }
+
+  const inputType = createTrashInputType(
+    getRestoreInputObjectTypeName(type.name),
+    'The ID of the restored object.',
+  );
+  return {
+    name: getRestoreMutationName(type.name),
+    description:
+`Restores the given \`${type.name}\` object from the trash, together with the
+related objects of \`CASCADE\` connections that were moved to the trash with
+it. Requires the permission to delete the objects.
+`,
+    type: payload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(inputType),
+      },
+    },
+    async resolve(parent, { input }, context) {
+      const db = context.db;
+      const clientMutationId = input.clientMutationId;
+      const object = await prepareTrashed(context, type, input);
+      const related = await prepareRelatedTrashed(context, type.name, object);
+
+      const result = await writeRestore(
+        context,
+        type.name,
+        object,
+        input.expectedVersion,
+      );
+      for (const { typeName, object: relatedObject } of related) {
+        const restored = await writeRestore(context, typeName, relatedObject);
+        if (restored) {
+          checkAndEnqueueHooks(
+            db,
+            context.hooks,
+            typeName,
+            'afterUpdate',
+            null,
+            restored,
+          );
+        }
+      }
+
+      const formattedResult = formatMutationResult(
+        clientMutationId,
+        type.name,
+        result
+      );
+
+      checkAndEnqueueHooks(
+        db,
+        context.hooks,
+        type.name,
+        'afterUpdate',
+        clientMutationId,
+        result,
+      );
+
+      return formattedResult;
+    },
+  };
+}
@@ -0,0 +1,435 @@
+import { chain, mapValues, omit } from 'lodash';
+import {
+  GraphQLInputObjectType,
+  GraphQLObjectType,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLString,
+} from 'graphql';
+
+import { UserError, isUserError } from '../UserError';
+import ReindexID, { toReindexID } from '../builtins/ReindexID';
+import {
+  getCreateMutationName,
+  getUpdateMutationName,
+  getDeleteMutationName,
+} from '../derivedNames';
+import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import updateRelatedObjects from '../hooks/updateRelatedObjects';
+import clientMutationIdField from '../utilities/clientMutationIdField';
+import createCreate, {
+  getCreateInputType,
+  prepareCreate,
+} from './createCreate';
+import createUpdate, {
+  getUpdateInputType,
+  prepareUpdate,
+} from './createUpdate';
+import createDelete, {
+  getDeleteInputType,
+  prepareDelete,
+} from './createDelete';
+import {
+  checkVersion,
+  checkVersionedWrite,
+  getVersion,
+} from '../versions';
+import { moveToTrash } from '../softDelete';
+import { recordRevision } from '../revisions';
+import { MAX_BATCH_SIZE } from './performBatch';
+
+// Updates and soft deletes write only the version of the object they read, so
+// that the object before the write is exactly the state they revert to.
+function checkWrite(typeName, input, result) {
+  checkVersionedWrite(typeName, input.id, input.expectedVersion, result);
+  if (!result) {
+    throw new UserError(
+      `input.id: ${typeName} object ${toReindexID(input.id)} was changed ` +
+      'by a concurrent mutation.'
+    );
+  }
+}
+
+// Each operation prepares the input like the mutation of one object, writes
+// it and returns the object before the write and a function that reverts the
+// write. Reverts are conditional on the version the operation wrote, so that
+// concurrent changes are not overwritten, and return null if the object has
+// changed.
+const Operations = [
+  {
+    creator: createCreate,
+    getName: getCreateMutationName,
+    getInputType: getCreateInputType,
+    trigger: 'afterCreate',
+    revisionOperation: 'create',
+    async perform(context, options, input) {
+      const object = await prepareCreate(context, options, input);
+      const result = await context.db.create(options.type.name, object);
+      return {
+        result,
+        previous: null,
+        revert: () => context.db.deleteQuery(
+          options.type.name,
+          result.id,
+          getVersion(result),
+        ),
+      };
+    },
+  },
+  {
+    creator: createUpdate,
+    getName: getUpdateMutationName,
+    getInputType: getUpdateInputType,
+    trigger: 'afterUpdate',
+    revisionOperation: 'update',
+    async perform(context, options, input) {
+      const { db } = context;
+      const typeName = options.type.name;
+      const object = await prepareUpdate(context, options, input);
+      const existing = await db.getByID(typeName, input.id);
+      if (existing) {
+        checkVersion(typeName, existing, input.expectedVersion);
+      }
+      const result = await db.update(
+        typeName,
+        input.id,
+        object,
+        getVersion(existing),
+      );
+      checkWrite(typeName, input, result);
+      return {
+        result,
+        previous: existing,
+        revert: () => db.replace(
+          typeName,
+          input.id,
+          omit(existing, ['_id', 'id', '_version']),
+          result,
+          getVersion(result),
+        ),
+      };
+    },
+  },
+  {
+    creator: createDelete,
+    getName: getDeleteMutationName,
+    getInputType: getDeleteInputType,
+    trigger: 'afterDelete',
+    revisionOperation: 'delete',
+    async perform(context, options, input) {
+      const { db } = context;
+      const typeName = options.type.name;
+      const object = await prepareDelete(context, options, input);
+      if (options.typeRegistry.getTypeSet(typeName).softDelete) {
+        const result = await moveToTrash(
+          db,
+          typeName,
+          input.id,
+          getVersion(object),
+        );
+        checkWrite(typeName, input, result);
+        return {
+          result,
+          previous: object,
+          revert: () => db.replace(
+            typeName,
+            input.id,
+            omit(object, ['_id', 'id', '_version']),
+            result,
+            getVersion(result),
+          ),
+        };
+      }
+
+      const result = await db.deleteQuery(
+        typeName,
+        input.id,
+        input.expectedVersion,
+      );
+      checkVersionedWrite(typeName, input.id, input.expectedVersion, result);
+      return {
+        result,
+        previous: object,
+        revert: () => db.restore(typeName, result),
+      };
+    },
+  },
+];
+
+// Replaces `@ref:<name>` IDs in the input with the IDs of the objects of the
+// earlier operations.
+function resolveReferences(type, value, references, path) {
+  if (value === null || value === undefined) {
+    return value;
+  } else if (type instanceof GraphQLNonNull) {
+    return resolveReferences(type.ofType, value, references, path);
+  } else if (type instanceof GraphQLList) {
+    return value.map((item, index) =>
+      resolveReferences(type.ofType, item, references, `${path}[${index}]`)
+    );
+  } else if (type instanceof GraphQLInputObjectType) {
+    const fields = type.getFields();
+    return mapValues(value, (fieldValue, key) => (
+      fields[key] ?
+        resolveReferences(
+          fields[key].type,
+          fieldValue,
+          references,
+          `${path}.${key}`,
+        ) :
+        fieldValue
+    ));
+  } else if (type === ReindexID && value.ref) {
+    if (!references[value.ref]) {
+      throw new UserError(
+        `${path}: Unknown reference "${value.ref}", operations can only ` +
+        'refer to earlier operations.'
+      );
+    }
+    return references[value.ref];
+  } else {
+    return value;
+  }
+}
+
+// Reverts the performed operations in reverse order. Returns the paths of the
+// operations that could not be reverted.
+async function revertAll(performed) {
+  const failed = [];
+  for (const { path, revert } of [...performed].reverse()) {
+    let reverted = null;
+    try {
+      reverted = await revert();
+    } catch (error) {
+      console.error('Reverting a transaction operation failed', error);
+    }
+    if (!reverted) {
+      failed.unshift(path);
+    }
+  }
+  return failed;
+}
+
+function createIncompleteRollbackError(error, failedPaths) {
+  if (!isUserError(error)) {
+    console.error(error);
+  }
+  return new UserError(
+    `${isUserError(error) ? error.message : 'Transaction failed.'} ` +
+    'Rollback was incomplete, the changes of the operations ' +
+    `${failedPaths.join(', ')} were not reverted, because their objects ` +
+    'were changed by concurrent mutations or could not be restored.'
+  );
+}
+
+export default function createTransaction(typeRegistry) {
+  const node = typeRegistry.getInterface('Node');
+  const operationsByName = chain(typeRegistry.getTypeSets())
+    .filter((typeSet) => typeSet.type.getInterfaces().includes(node))
+    .map((typeSet) => Operations
+      .filter(({ creator }) =>
+        !typeSet.blacklistedRootFields.includes(creator)
+      )
+      .map((operation) => ({
+        ...operation,
+        name: operation.getName(typeSet.type.name),
+        type: typeSet.type,
+        inputType: operation.getInputType(typeSet, typeRegistry),
+      }))
+    )
+    .flatten()
+    .indexBy((operation) => operation.name)
+    .value();
+
+  const operationType = new GraphQLInputObjectType({
+    name: 'ReindexTransactionOperation',
+    description:
+`An operation of a transaction. Exactly one of the mutation fields must be
+given, it gets the same input as the mutation with the same name.
+`,
+    fields: () => ({
+      ref: {
+        type: GraphQLString,
+        description:
+`A name for the object of this operation. Later operations can use it in
+place of the object's ID as \`"@ref:<name>"\`.
+`,
+      },
+      ...mapValues(operationsByName, ({ inputType }) => ({
+        type: inputType,
+      })),
+    }),
+  });
+
+  const inputType = new GraphQLInputObjectType({
+    name: 'ReindexTransactionInput',
+    fields: {
+      clientMutationId: clientMutationIdField,
+      operations: {
+        type: new GraphQLNonNull(
+          new GraphQLList(new GraphQLNonNull(operationType))
+        ),
+        description: `The operations to perform in order, at most ` +
+          `${MAX_BATCH_SIZE}.`,
+      },
+    },
+  });
+
+  const resultType = new GraphQLObjectType({
+    name: 'ReindexTransactionResult',
+    description: 'The result of an operation of a transaction.',
+    fields: {
+      ref: {
+        type: GraphQLString,
+        description: 'The name given to the object of the operation.',
+      },
+      node: {
+        type: node,
+        description: 'The created, updated or deleted object.',
+      },
+    },
+  });
+
+  const payloadType = new GraphQLObjectType({
+    name: 'ReindexTransactionPayload',
+    description: 'The payload returned from `transaction`.',
+    fields: {
+      clientMutationId: clientMutationIdField,
+      results: {
+        type: new GraphQLList(resultType),
+        description: 'The results of the operations, in order.',
+      },
+    },
+  });
+
+  return {
+    name: 'transaction',
+    description:
+`Performs create, update and delete operations of any types in order. Each
+operation is checked the same way as in the mutation of one object. If any
+check or write fails, the earlier operations are reverted and the error is
+returned. Objects changed by concurrent mutations in the meantime are not
+reverted, the error then lists the operations that were not reverted. Objects
+of the related connections are updated and hooks are called only after all the
+operations have succeeded.
+`,
+    type: payloadType,
+    args: {
+      input: {
+        type: new GraphQLNonNull(inputType),
+      },
+    },
+    async resolve(
+      parent,
+      { input: { clientMutationId, operations } },
+      context,
+      { schema },
+    ) {
+      if (operations.length > MAX_BATCH_SIZE) {
+        throw new UserError(
+          `input.operations: Expected at most ${MAX_BATCH_SIZE} ` +
+          `operations, got ${operations.length}.`
+        );
+      }
+
+      const references = {};
+      const performed = [];
+      try {
+        for (let index = 0; index < operations.length; index++) {
+          const { ref, ...fields } = operations[index];
+          const path = `input.operations[${index}]`;
+          const names = Object.keys(fields)
+            .filter((name) =>
+              fields[name] !== undefined && fields[name] !== null
+            );
+          if (names.length !== 1) {
+            throw new UserError(
+              `${path}: Expected exactly one operation, got ${names.length}.`
+            );
+          }
+          if (ref && references[ref]) {
+            throw new UserError(`${path}.ref: Duplicate reference "${ref}".`);
+          }
+
+          const operation = operationsByName[names[0]];
+          const operationInput = resolveReferences(
+            operation.inputType,
+            fields[names[0]],
+            references,
+            `${path}.${names[0]}`,
+          );
+          const {
+            result,
+            previous,
+            revert,
+          } = await operation.perform(context, {
+            type: operation.type,
+            inputType: operation.inputType,
+            schema,
+            typeRegistry,
+          }, operationInput);
+
+          performed.push({
+            path,
+            operation,
+            clientMutationId: operationInput.clientMutationId,
+            ref,
+            result,
+            previous,
+            revert,
+          });
+          if (ref) {
+            references[ref] = result.id;
+          }
+        }
+      } catch (error) {
+        const failedPaths = await revertAll(performed);
+        if (failedPaths.length > 0) {
+          throw createIncompleteRollbackError(error, failedPaths);
+        }
+        throw error;
+      }
+
+      for (const { operation, result } of performed) {
+        if (operation.trigger === 'afterDelete') {
+          const typeSet = typeRegistry.getTypeSet(operation.type.name);
+          await updateRelatedObjects(
+            operation.type.name,
+            result,
+            context,
+            typeSet.softDelete ? result.deletedAt : null,
+          );
+        }
+      }
+
+      for (const { operation, result, previous } of performed) {
+        await recordRevision(
+          context,
+          operation.type.name,
+          operation.revisionOperation,
+          previous,
+          result,
+        );
+      }
+
+      for (const item of performed) {
+        checkAndEnqueueHooks(
+          context.db,
+          context.hooks,
+          item.operation.type.name,
+          item.operation.trigger,
+          item.clientMutationId,
+          item.result,
+        );
+      }
+
+      return {
+        clientMutationId,
+        results: performed.map(({ ref, result }) => ({
+          ref,
+          node: result,
+        })),
+      };
+    },
+  };
+}
@@ -10,30 +10,137 @@ import {
 import checkPermission from '../permissions/checkPermission';
 import validate from '../validation/validate';
 import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import performBeforeHooks from '../hooks/performBeforeHooks';
 import clientMutationIdField from '../utilities/clientMutationIdField';
 import createInputObjectFields from '../createInputObjectFields';
+import {
+  createUpdateOperatorsType,
+  getFieldOperations,
+} from '../updateOperators';
+import {
+  expectedVersionField,
+  checkVersion,
+  checkVersionedWrite,
+} from '../versions';
+import { isDeleted } from '../softDelete';
+import { getPreviousObject, recordRevision } from '../revisions';
+import { addTimestamps } from '../timestamps';
 import formatMutationResult from './formatMutationResult';
 
-export default function createUpdate(typeSet, typeRegistry) {
-  const type = typeSet.type;
-  const payload = typeSet.payload;
-  const objectFields = createInputObjectFields(
-    typeSet.getInputObjectFields(),
-    false,
-    typeRegistry,
-  );
+export function getUpdateInputType(typeSet, typeRegistry) {
+  return typeSet.getMutationInput('update', () => {
+    const objectFields = createInputObjectFields(
+      typeSet.getInputObjectFields(),
+      false,
+      typeRegistry,
+    );
+    const operatorsType = createUpdateOperatorsType(
+      typeSet.type.name,
+      objectFields,
+    );
+    const operatorsField = operatorsType && {
+      operators: {
+        type: operatorsType,
+        description:
+          'Atomic updates of number and list fields, based on their ' +
+          'current values.',
+      },
+    };
 
-  const inputType = new GraphQLInputObjectType({
-    name: getUpdateInputObjectTypeName(type.name),
-    fields: {
-      ...objectFields,
-      clientMutationId: clientMutationIdField,
-      id: {
-        type: new GraphQLNonNull(ReindexID),
-        description: 'The ID of the updated object.',
+    return new GraphQLInputObjectType({
+      name: getUpdateInputObjectTypeName(typeSet.type.name),
+      fields: {
+        ...objectFields,
+        ...operatorsField,
+        clientMutationId: clientMutationIdField,
+        id: {
+          type: new GraphQLNonNull(ReindexID),
+          description: 'The ID of the updated object.',
+        },
+        expectedVersion: expectedVersionField,
       },
-    },
+    });
   });
+}
+
+// Checks that the object exists and is at the expected version, checks
+// permissions, runs `beforeUpdate` hooks and validates the updated object.
+// Returns the fields to update, with `operators` converted to
+// `FieldOperation`s and timestamps if the type has them.
+export async function prepareUpdate(
+  context,
+  { type, inputType, schema, typeRegistry },
+  input,
+) {
+  const db = context.db;
+
+  if (!db.isValidID(type.name, input.id)) {
+    throw new UserError(`input.id: Invalid ID for type ${type.name}`);
+  }
+
+  const existing = await db.getByID(type.name, input.id);
+
+  if (!existing || isDeleted(existing)) {
+    throw new UserError(
+      `input.id: Can not find ${type.name} object with given ID: ` +
+      toReindexID(input.id)
+    );
+  }
+
+  checkVersion(type.name, existing, input.expectedVersion);
+
+  const checkInput = (checkedInput) => checkPermission(
+    type.name,
+    'update',
+    existing,
+    {
+      ...omit(checkedInput, [
+        'id',
+        'clientMutationId',
+        'expectedVersion',
+        'operators',
+      ]),
+      ...checkedInput.operators,
+    },
+    context
+  );
+
+  await checkInput(input);
+
+  const { operators, ...object } = omit(await performBeforeHooks(context, {
+    type: type.name,
+    trigger: 'beforeUpdate',
+    schema,
+    inputType,
+    input,
+    checkInput,
+  }), ['id', 'clientMutationId', 'expectedVersion']);
+  const operations = getFieldOperations(operators, object);
+
+  const checkObject = {
+    ...existing,
+    ...object,
+  };
+
+  await validate(
+    db,
+    context,
+    type,
+    checkObject,
+    existing,
+    typeRegistry,
+  );
+
+  return addTimestamps(typeRegistry.getTypeSet(type.name), {
+    ...object,
+    ...operations,
+  }, existing);
+}
+
+export default function createUpdate(typeSet, typeRegistry) {
+  const type = typeSet.type;
+  const payload = typeSet.payload;
+  const inputType = getUpdateInputType(typeSet, typeRegistry);
 
   return {
     name: getUpdateMutationName(type.name),
@@ -45,47 +152,26 @@ export default function createUpdate(typeSet, typeRegistry) {
         type: new GraphQLNonNull(inputType),
       },
     },
-    async resolve(parent, { input }, context) {
+    async resolve(parent, { input }, context, { schema }) {
       const db = context.db;
       const clientMutationId = input.clientMutationId;
-      const object = omit(input, ['id', 'clientMutationId']);
-
-      if (!db.isValidID(type.name, input.id)) {
-        throw new UserError(`input.id: Invalid ID for type ${type.name}`);
-      }
 
-      const existing = await db.getByID(type.name, input.id);
-
-      if (!existing) {
-        throw new UserError(
-          `input.id: Can not find ${type.name} object with given ID: ` +
-          toReindexID(input.id)
-        );
-      }
-
-      const checkObject = {
-        ...existing,
-        ...object,
-      };
+      const object = await prepareUpdate(context, {
+        type,
+        inputType,
+        schema,
+        typeRegistry,
+      }, input);
+      const previous = await getPreviousObject(context, type.name, input.id);
 
-      await checkPermission(
+      const result = await db.update(
         type.name,
-        'update',
-        existing,
+        input.id,
         object,
-        context
-      );
-
-      await validate(
-        db,
-        context,
-        type,
-        checkObject,
-        existing,
-        typeRegistry,
+        input.expectedVersion,
       );
-
-      const result = await db.update(type.name, input.id, object);
+      checkVersionedWrite(type.name, input.id, input.expectedVersion, result);
+      await recordRevision(context, type.name, 'update', previous, result);
       const formattedResult = formatMutationResult(
         clientMutationId,
         type.name,
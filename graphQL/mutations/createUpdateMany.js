@@ -0,0 +1,52 @@
+import { GraphQLNonNull } from 'graphql';
+
+import {
+  getUpdateManyMutationName,
+  getUpdateManyInputObjectTypeName,
+} from '../derivedNames';
+import { getUpdateInputType, prepareUpdate } from './createUpdate';
+import performBatch, { createBatchInputType } from './performBatch';
+
+export default function createUpdateMany(typeSet, typeRegistry) {
+  const type = typeSet.type;
+  const inputType = getUpdateInputType(typeSet, typeRegistry);
+  const batchInputType = createBatchInputType(
+    getUpdateManyInputObjectTypeName(type.name),
+    inputType,
+  );
+
+  return {
+    name: getUpdateManyMutationName(type.name),
+    description: `Updates the given \`${type.name}\` objects in one batch. ` +
+      'The given fields are merged to the existing objects.',
+    type: typeSet.batchPayload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(batchInputType),
+      },
+    },
+    resolve(parent, { input }, context, { schema }) {
+      return performBatch(context, {
+        type,
+        trigger: 'afterUpdate',
+        operation: 'update',
+        input,
+        validateUnique: true,
+        prepare: (item) => prepareUpdate(context, {
+          type,
+          inputType,
+          schema,
+          typeRegistry,
+        }, item),
+        write: (prepared) => context.db.updateMany(
+          type.name,
+          prepared.map(({ input: item, value }) => ({
+            id: item.id,
+            data: value,
+            expectedVersion: item.expectedVersion,
+          })),
+        ),
+      });
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import { get, omit, camelCase, isEmpty } from 'lodash';
+import {
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+} from 'graphql';
+
+import { UserError } from '../UserError';
+import {
+  getUpsertMutationName,
+  getUpsertInputObjectTypeName,
+  getUniqueFieldEnumName,
+} from '../derivedNames';
+import { extractUniqueFields } from '../query/createGetByField';
+import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import { recordRevision } from '../revisions';
+import { getVersion } from '../versions';
+import { getCreateInputType, prepareCreate } from './createCreate';
+import { getUpdateInputType, prepareUpdate } from './createUpdate';
+import formatMutationResult from './formatMutationResult';
+
+function createUniqueFieldEnum(type, uniqueFields) {
+  return new GraphQLEnumType({
+    name: getUniqueFieldEnumName(type.name),
+    description:
+      `A unique field of \`${type.name}\`, nested fields are camel cased.`,
+    values: uniqueFields.reduce((values, { name, prefix }) => {
+      const nameChain = prefix.concat([name]);
+      values[camelCase(nameChain.join(' '))] = {
+        value: nameChain,
+        description: `\`${nameChain.join('.')}\``,
+      };
+      return values;
+    }, {}),
+  });
+}
+
+const MAX_UPSERT_ATTEMPTS = 3;
+
+// Permissions, hooks and validation are the ones of the mutation that is
+// performed on the current state of the database. The write only succeeds if
+// the object is still in that state, that is, not created in the meantime or
+// still at the same version, otherwise the upsert is prepared again.
+//
+// Returns `{ created, existing, result }`.
+async function performUpsert(context, {
+  type,
+  schema,
+  typeRegistry,
+  createInputType,
+  updateInputType,
+  by,
+  value,
+  fields,
+}) {
+  const db = context.db;
+  for (let attempt = 0; attempt < MAX_UPSERT_ATTEMPTS; attempt++) {
+    const existing = await db.getByField(type.name, by, value);
+    if (existing) {
+      const object = await prepareUpdate(context, {
+        type,
+        inputType: updateInputType,
+        schema,
+        typeRegistry,
+      }, {
+        ...fields,
+        id: existing.id,
+      });
+      const result = await db.update(
+        type.name,
+        existing.id,
+        object,
+        getVersion(existing),
+      );
+      if (result) {
+        return { created: false, existing, result };
+      }
+    } else {
+      const object = await prepareCreate(context, {
+        type,
+        inputType: createInputType,
+        schema,
+        typeRegistry,
+      }, fields);
+      const { created, result } = await db.createIfMissing(
+        type.name,
+        by,
+        value,
+        object,
+      );
+      if (created) {
+        return { created, existing: null, result };
+      }
+    }
+  }
+  throw new UserError(
+    `input.${by.join('.')}: ${type.name} object was changed by concurrent ` +
+    'mutations, upsert was not performed.'
+  );
+}
+
+export default function createUpsert(typeSet, typeRegistry) {
+  const type = typeSet.type;
+  const uniqueFields = extractUniqueFields(type, typeRegistry).filter(
+    ({ name, prefix }) => prefix.length > 0 || name !== 'id'
+  );
+  if (isEmpty(uniqueFields)) {
+    return [];
+  }
+
+  const createInputType = getCreateInputType(typeSet, typeRegistry);
+  const updateInputType = getUpdateInputType(typeSet, typeRegistry);
+  const inputType = new GraphQLInputObjectType({
+    name: getUpsertInputObjectTypeName(type.name),
+    fields: () => ({
+      ...createInputType.getFields(),
+      by: {
+        type: new GraphQLNonNull(createUniqueFieldEnum(type, uniqueFields)),
+        description:
+          'The unique field that identifies the object. Its value must be ' +
+          'given in the input.',
+      },
+    }),
+  });
+
+  return {
+    name: getUpsertMutationName(type.name),
+    description:
+`Creates a new \`${type.name}\` object or, if an object with the same value of
+the unique field \`by\` exists, merges the given fields to it. Concurrent
+upserts with the same value create only one object.
+`,
+    type: typeSet.payload,
+    args: {
+      input: {
+        type: new GraphQLNonNull(inputType),
+      },
+    },
+    async resolve(parent, { input }, context, { schema }) {
+      const db = context.db;
+      const { clientMutationId, by } = input;
+      const value = get(input, by);
+      if (value === undefined || value === null) {
+        throw new UserError(
+          `input.${by.join('.')}: Value is required to upsert by it.`
+        );
+      }
+
+      const { created, existing, result } = await performUpsert(context, {
+        type,
+        schema,
+        typeRegistry,
+        createInputType,
+        updateInputType,
+        by,
+        value,
+        fields: omit(input, ['by']),
+      });
+      await recordRevision(
+        context,
+        type.name,
+        created ? 'create' : 'update',
+        existing,
+        result,
+      );
+      const formattedResult = formatMutationResult(
+        clientMutationId,
+        type.name,
+        result
+      );
+
+      checkAndEnqueueHooks(
+        db,
+        context.hooks,
+        type.name,
+        created ? 'afterCreate' : 'afterUpdate',
+        clientMutationId,
+        result,
+      );
+
+      return formattedResult;
+    },
+  };
+}
@@ -0,0 +1,159 @@
+import { sortBy } from 'lodash';
+import {
+  GraphQLInputObjectType,
+  GraphQLNonNull,
+  GraphQLList,
+} from 'graphql';
+
+import { UserError, isUserError } from '../UserError';
+import { toReindexID } from '../builtins/ReindexID';
+import clientMutationIdField from '../utilities/clientMutationIdField';
+import checkAndEnqueueHooks from '../hooks/checkAndEnqueueHooks';
+import { createVersionConflictError, hasExpectedVersion } from '../versions';
+import { getPreviousObject, recordRevision } from '../revisions';
+import { validateUniqueInBatch } from '../validation/validate';
+import formatMutationResult from './formatMutationResult';
+
+export const MAX_BATCH_SIZE = 1000;
+
+export function createBatchInputType(name, itemType) {
+  return new GraphQLInputObjectType({
+    name,
+    fields: {
+      clientMutationId: clientMutationIdField,
+      inputs: {
+        type: new GraphQLNonNull(
+          new GraphQLList(new GraphQLNonNull(itemType))
+        ),
+        description:
+          `The elements to mutate, at most ${MAX_BATCH_SIZE}. Each element ` +
+          'is checked the same way as in the mutation of one object.',
+      },
+    },
+  });
+}
+
+// Returns the error of an element that was not written, because its object
+// was concurrently changed or deleted.
+function getMissingResultError(type, input) {
+  if (hasExpectedVersion(input.expectedVersion)) {
+    return createVersionConflictError(
+      type.name,
+      input.id,
+      input.expectedVersion,
+    );
+  } else if (input.id) {
+    return new UserError(
+      `input.id: Can not find ${type.name} object with given ID: ` +
+      toReindexID(input.id)
+    );
+  }
+  return new UserError(`${type.name}: Write failed.`);
+}
+
+// Prepares every input in order with `prepare`, collecting user errors per
+// element, and then writes the prepared elements at once with `write`, which
+// gets a list of `{ input, value }` and returns the written objects in the
+// same order. A written object is null if the object was not found or, with
+// `expectedVersion`, was at another version, or an error if writing the element
+// failed. Written objects are recorded as revisions of `operation`.
+//
+// With `validateUnique`, prepared values that repeat a value of a unique field
+// of an earlier element fail.
+//
+// Returns the batch payload.
+export default async function performBatch(context, {
+  type,
+  trigger,
+  operation,
+  input: { clientMutationId, inputs },
+  prepare,
+  write,
+  validateUnique = false,
+}) {
+  if (inputs.length > MAX_BATCH_SIZE) {
+    throw new UserError(
+      `input.inputs: Expected at most ${MAX_BATCH_SIZE} elements, ` +
+      `got ${inputs.length}.`
+    );
+  }
+
+  let prepared = [];
+  const errors = [];
+  for (let index = 0; index < inputs.length; index++) {
+    try {
+      const value = await prepare(inputs[index]);
+      prepared.push({
+        index,
+        input: inputs[index],
+        value,
+        previous: inputs[index].id ?
+          await getPreviousObject(context, type.name, inputs[index].id) :
+          null,
+      });
+    } catch (error) {
+      if (!isUserError(error)) {
+        throw error;
+      }
+      errors.push({
+        index,
+        message: error.message,
+      });
+    }
+  }
+
+  if (validateUnique) {
+    const uniqueErrors = validateUniqueInBatch(
+      type,
+      prepared.map(({ value }) => value),
+    );
+    prepared = prepared.filter(({ index }, preparedIndex) => {
+      const error = uniqueErrors[preparedIndex];
+      if (error) {
+        errors.push({ index, message: error.message });
+      }
+      return !error;
+    });
+  }
+
+  const written = prepared.length > 0 ? await write(prepared) : [];
+
+  const results = inputs.map(() => null);
+  for (let writtenIndex = 0; writtenIndex < prepared.length; writtenIndex++) {
+    const { index, input, previous } = prepared[writtenIndex];
+    const result = written[writtenIndex];
+    if (result instanceof Error) {
+      errors.push({
+        index,
+        message: result.message,
+      });
+      continue;
+    } else if (!result) {
+      errors.push({
+        index,
+        message: getMissingResultError(type, input).message,
+      });
+      continue;
+    }
+    await recordRevision(context, type.name, operation, previous, result);
+    results[index] = formatMutationResult(
+      input.clientMutationId,
+      type.name,
+      result,
+    );
+    checkAndEnqueueHooks(
+      context.db,
+      context.hooks,
+      type.name,
+      trigger,
+      input.clientMutationId,
+      result,
+    );
+  }
+
+  return {
+    clientMutationId,
+    results,
+    errors: sortBy(errors, 'index'),
+  };
+}
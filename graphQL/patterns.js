@@ -0,0 +1,190 @@
+import { UserError } from './UserError';
+
+// Validation of `matches` filter patterns. Patterns are matched by the
+// database with a backtracking engine, so patterns where a repetition can
+// match the same string in more than one way take exponential time. Those are
+// repetitions nested inside repetitions, like `(a+)+`, and alternatives inside
+// a repetition that can start with the same character, like `(a|aa)+`.
+//
+// Every alternative inside a repetition must start with a literal character
+// and no two alternatives can start with the same one, so `(foo|bar)+` is
+// allowed, but `(\w|_)+` is not and has to be written as `[\w_]+`.
+
+const MAX_PATTERN_LENGTH = 256;
+
+// Parses a pattern, already checked to be a valid regular expression, to
+// alternatives of sequences of `{ kind, value, alternatives, min, max }`
+// terms.
+function parsePattern(pattern) {
+  let index = 0;
+
+  function parseClass() {
+    index++;
+    if (pattern[index] === '^') {
+      index++;
+    }
+    while (index < pattern.length && pattern[index] !== ']') {
+      index += pattern[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return { kind: 'class' };
+  }
+
+  function parseEscape() {
+    const escaped = pattern[index + 1];
+    index += 2;
+    if (escaped === 'b' || escaped === 'B') {
+      return { kind: 'anchor' };
+    } else if (/[a-zA-Z0-9]/.test(escaped)) {
+      // Character classes and character codes
+      return { kind: 'class' };
+    }
+    return { kind: 'char', value: escaped };
+  }
+
+  function parseGroup() {
+    index++;
+    if (pattern[index] === '?') {
+      index = pattern[index + 1] === '<' ?
+        pattern.indexOf('>', index) + 1 :
+        index + 2;
+    }
+    const alternatives = parseAlternatives();
+    index++;
+    return { kind: 'group', alternatives };
+  }
+
+  function parseAtom() {
+    const char = pattern[index];
+    if (char === '(') {
+      return parseGroup();
+    } else if (char === '[') {
+      return parseClass();
+    } else if (char === '\\') {
+      return parseEscape();
+    }
+    index++;
+    if (char === '^' || char === '$') {
+      return { kind: 'anchor' };
+    } else if (char === '.') {
+      return { kind: 'class' };
+    }
+    return { kind: 'char', value: char };
+  }
+
+  function parseQuantifier() {
+    let min = 1;
+    let max = 1;
+    const char = pattern[index];
+    const range = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (char === '*' || char === '+' || char === '?') {
+      min = char === '+' ? 1 : 0;
+      max = char === '?' ? 1 : Infinity;
+      index++;
+    } else if (range) {
+      min = Number(range[1]);
+      if (!range[2]) {
+        max = min;
+      } else {
+        max = range[3] ? Number(range[3]) : Infinity;
+      }
+      index += range[0].length;
+    }
+    if ((min !== 1 || max !== 1) && pattern[index] === '?') {
+      index++;
+    }
+    return { min, max };
+  }
+
+  function parseAlternatives() {
+    const alternatives = [[]];
+    while (index < pattern.length && pattern[index] !== ')') {
+      if (pattern[index] === '|') {
+        index++;
+        alternatives.push([]);
+      } else {
+        const atom = parseAtom();
+        alternatives[alternatives.length - 1].push({
+          ...atom,
+          ...parseQuantifier(),
+        });
+      }
+    }
+    return alternatives;
+  }
+
+  return parseAlternatives();
+}
+
+// Returns the literal character every match of the sequence starts with, or
+// null if it can start with different characters.
+function getFirstChar(terms) {
+  for (const term of terms) {
+    if (term.kind !== 'anchor') {
+      return term.kind === 'char' && term.min > 0 ? term.value : null;
+    }
+  }
+  return null;
+}
+
+function hasAmbiguousAlternatives(alternatives) {
+  if (alternatives.length < 2) {
+    return false;
+  }
+  const firstChars = alternatives.map(getFirstChar);
+  return firstChars.some((char, index) =>
+    char === null || firstChars.indexOf(char) !== index
+  );
+}
+
+// Returns the error of the first unsafe repetition in the alternatives.
+function findUnsafeRepetition(alternatives, isRepeated) {
+  if (isRepeated && hasAmbiguousAlternatives(alternatives)) {
+    return 'Alternatives inside a quantifier must start with different ' +
+      'characters.';
+  }
+  for (const terms of alternatives) {
+    for (const term of terms) {
+      const isTermRepeated = term.max > 1;
+      if (isRepeated && isTermRepeated) {
+        return 'Nested quantifiers are not supported.';
+      }
+      if (term.kind === 'group') {
+        const error = findUnsafeRepetition(
+          term.alternatives,
+          isRepeated || isTermRepeated,
+        );
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Throws a `UserError` for patterns that are invalid, too long, unsafe to
+// match or use backreferences or lookarounds, which are not supported by all
+// backends.
+export function validatePattern(filterName, pattern) {
+  const prefix = `${filterName}.matches`;
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new UserError(
+      `${prefix}: Pattern can be at most ${MAX_PATTERN_LENGTH} characters long.`
+    );
+  }
+  try {
+    RegExp(pattern);
+  } catch (error) {
+    throw new UserError(`${prefix}: Invalid pattern. ${error.message}`);
+  }
+  if (/\\[1-9]|\\k<|\(\?<?[=!]/.test(pattern)) {
+    throw new UserError(
+      `${prefix}: Backreferences and lookarounds are not supported.`
+    );
+  }
+  const error = findUnsafeRepetition(parsePattern(pattern), false);
+  if (error) {
+    throw new UserError(`${prefix}: ${error}`);
+  }
+}
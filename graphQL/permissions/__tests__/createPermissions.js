@@ -257,12 +257,14 @@ describe('extractRelatedPermissions', () => {
           name: 'author',
           reverseName: 'microposts',
           connectionType: 'ONE_TO_MANY',
+          onDelete: 'SET_NULL',
         },
         {
           name: 'favoritedBy',
           reverseName: 'favorites',
           type: 'User',
           connectionType: 'MANY_TO_MANY',
+          onDelete: 'SET_NULL',
         },
       ],
     );
@@ -275,12 +277,14 @@ describe('extractRelatedPermissions', () => {
           type: 'Micropost',
           reverseName: 'author',
           connectionType: 'MANY_TO_ONE',
+          onDelete: 'SET_NULL',
         },
         {
           name: 'favorites',
           reverseName: 'favoritedBy',
           type: 'Micropost',
           connectionType: 'MANY_TO_MANY',
+          onDelete: 'SET_NULL',
         },
       ],
     );
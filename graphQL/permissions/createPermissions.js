@@ -105,6 +105,7 @@ export function extractRelatedPermissions(typeSet) {
       type: field.metadata.ofType || field.metadata.type,
       reverseName: field.metadata.reverseName,
       connectionType: typeSet.connectionTypes[field.name],
+      onDelete: field.metadata.onDelete || 'SET_NULL',
     }))
     .value();
 }
@@ -0,0 +1,66 @@
+import Crypto from 'crypto';
+import { GraphQLError, parse, validate } from 'graphql';
+
+// Queries registered with `registerPersistedQuery` can be executed by sending
+// their hash as `queryHash` instead of the `query`.
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+export function hashQuery(query) {
+  return Crypto.createHash('sha256').update(query).digest('hex');
+}
+
+// Returns the syntax and validation errors of the query.
+export function validateQuery(schema, query) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return [error.message];
+  }
+  return validate(schema, document).map((error) => error.message);
+}
+
+// Returns the query to execute for the request payload and the errors if it
+// can't be executed. `queryHash` takes precedence over `query`. If the app
+// has `persistedQueriesOnly` set, non-admin requests must use `queryHash`.
+export async function getRequestQuery(db, app, credentials, payload) {
+  const { query, queryHash } = payload;
+  if (queryHash) {
+    // The hash is checked before the lookup, so that it can't be an object
+    // that the database interprets as a query operator.
+    if (typeof queryHash !== 'string' || !HASH_PATTERN.test(queryHash)) {
+      return {
+        query: null,
+        errors: [new GraphQLError(
+          '`queryHash` must be the SHA-256 hash of the query as 64 ' +
+          'lowercase hexadecimal characters.'
+        )],
+      };
+    }
+    const persistedQuery = await db.getByField(
+      'ReindexPersistedQuery', 'hash', queryHash
+    );
+    if (!persistedQuery) {
+      return {
+        query: null,
+        errors: [new GraphQLError(
+          `Unknown persisted query with hash ${queryHash}. Register it ` +
+          'with `registerPersistedQuery`.'
+        )],
+      };
+    }
+    return { query: persistedQuery.query, errors: [] };
+  }
+
+  if (app && app.persistedQueriesOnly && !credentials.isAdmin) {
+    return {
+      query: null,
+      errors: [new GraphQLError(
+        'Only persisted queries can be executed in this app. Send the ' +
+        'SHA-256 hash of a registered query as `queryHash`.'
+      )],
+    };
+  }
+  return { query, errors: [] };
+}
@@ -3,7 +3,8 @@ import {
 } from '../connections';
 import checkPermission from '../permissions/checkPermission';
 import { getAllQueryName } from '../derivedNames';
-import { processFilters } from '../filters';
+import { processFilters, getOrderBy } from '../filters';
+import { getDeletedFilters } from '../softDelete';
 
 export default function createAllNodes(typeSet, typeRegistry) {
   const { type, connection, pluralName } = typeSet;
@@ -16,8 +17,14 @@ export default function createAllNodes(typeSet, typeRegistry) {
       await checkPermission(type.name, 'read', {}, {}, context);
       return context.db.getConnectionQueries(
         type.name,
-        processFilters(typeSet, args),
-        args,
+        [
+          ...getDeletedFilters(typeSet, args, context),
+          ...processFilters(typeSet, args),
+        ],
+        {
+          ...args,
+          orderBy: getOrderBy(args),
+        },
         context,
       );
     },
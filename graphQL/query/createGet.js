@@ -4,8 +4,9 @@ import { GraphQLNonNull } from 'graphql';
 import { UserError } from '../UserError';
 import ReindexID from '../builtins/ReindexID';
 import checkPermission from '../permissions/checkPermission';
+import { includeDeletedArg, hideDeleted } from '../softDelete';
 
-export default function createGet({ type }) {
+export default function createGet({ type, softDelete }) {
   return {
     name: 'get' + type.name,
     description: `Get an object of type \`${type.name}\` by ID.`,
@@ -17,13 +18,19 @@ export default function createGet({ type }) {
         description: `id of ${type.name}`,
         type: new GraphQLNonNull(ReindexID),
       },
+      ...(softDelete ? { includeDeleted: includeDeletedArg } : {}),
     },
-    async resolve(parent, { id }, context) {
+    async resolve(parent, args, context) {
+      const { id } = args;
       const { db } = context;
       if (!db.isValidID(type.name, id)) {
         throw new UserError(`id: Invalid ID for type ${type.name}`);
       }
-      const result = await db.getByID(type.name, id);
+      const result = hideDeleted(
+        await db.getByID(type.name, id),
+        args,
+        context,
+      );
       await checkPermission(type.name, 'read', {}, result, context);
       return result;
     },
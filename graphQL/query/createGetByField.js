@@ -5,8 +5,9 @@ import { UserError } from '../UserError';
 import ReindexID from '../builtins/ReindexID';
 import checkPermission from '../permissions/checkPermission';
 import { getUniqueFieldQueryName } from '../derivedNames';
+import { includeDeletedArg, hideDeleted } from '../softDelete';
 
-export default function createGetByField({ type }, typeRegistry) {
+export default function createGetByField({ type, softDelete }, typeRegistry) {
   return extractUniqueFields(type, typeRegistry).map(({
     name: fieldName,
     type: fieldType,
@@ -24,6 +25,7 @@ export default function createGetByField({ type }, typeRegistry) {
           description: `\`${nameChain.join('.')}\` of \`${type.name}\``,
           type: new GraphQLNonNull(fieldType),
         },
+        ...(softDelete ? { includeDeleted: includeDeletedArg } : {}),
       },
       async resolve(parent, args, context) {
         const { db } = context;
@@ -31,11 +33,11 @@ export default function createGetByField({ type }, typeRegistry) {
         if (fieldType === ReindexID && !db.isValidID(type.name, value)) {
           throw new UserError(`id: Invalid ID for type ${type.name}`);
         }
-        const result = await db.getByField(
+        const result = hideDeleted(await db.getByField(
           type.name,
           nameChain,
           value,
-        );
+        ), args, context);
         await checkPermission(type.name, 'read', {}, result, context);
         return result;
       },
@@ -43,7 +45,7 @@ export default function createGetByField({ type }, typeRegistry) {
   });
 }
 
-function extractUniqueFields(type, typeRegistry, prefix = []) {
+export function extractUniqueFields(type, typeRegistry, prefix = []) {
   const node = typeRegistry.getInterface('Node');
   return chain(type.getFields())
     .map((field) => {
@@ -2,6 +2,7 @@ import { GraphQLNonNull } from 'graphql';
 import ReindexID from '../builtins/ReindexID';
 import { isViewerID } from '../builtins/createViewer';
 import checkPermission from '../permissions/checkPermission';
+import { hideDeleted } from '../softDelete';
 
 export default function createNode(typeRegistry) {
   return {
@@ -51,7 +52,11 @@ query NodeExample {
       ) {
         return null;
       }
-      const result = await context.db.getByID(type.name, id);
+      const result = hideDeleted(
+        await context.db.getByID(type.name, id),
+        {},
+        context,
+      );
       await checkPermission(type.name, 'read', {}, result, context);
       return result;
     },
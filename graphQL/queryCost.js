@@ -0,0 +1,235 @@
+import {
+  GraphQLError,
+  GraphQLInt,
+  Kind,
+  getNamedType,
+  isInputType,
+  parse,
+  typeFromAST,
+  valueFromAST,
+} from 'graphql';
+import { isNumber } from 'lodash';
+
+import Config from '../server/Config';
+
+// Static analysis of query documents before they are executed. Every field
+// costs one and the selections of a connection are counted once for every
+// edge it can return, so the cost of nested connections multiplies.
+// Connections are the fields with `first` and `last` arguments.
+
+// The estimated number of edges of a connection without `first` and `last`.
+export const DEFAULT_CONNECTION_SIZE = 100;
+
+// Returns the limits of an app. Limits in `queryLimits` of the admin `App`
+// override the defaults in the config. A limit of 0 disables the check.
+export function getQueryLimits(app) {
+  const limits = app && app.queryLimits || {};
+  return {
+    maxDepth: isNumber(limits.maxDepth) ?
+      limits.maxDepth :
+      Config.get('queryLimits.maxDepth'),
+    maxCost: isNumber(limits.maxCost) ?
+      limits.maxCost :
+      Config.get('queryLimits.maxCost'),
+  };
+}
+
+// Returns the depth and the estimated cost of a query string, or null if it
+// can't be parsed. Syntax errors are reported when the query is executed.
+export function getQueryCost(schema, query, variables, operationName) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return null;
+  }
+  return analyzeQuery(schema, document, variables, operationName);
+}
+
+// Returns the depth and the estimated cost of the operation with the given
+// name, or the maximum of all operations if no name is given.
+export function analyzeQuery(schema, document, variables = {}, operationName) {
+  const fragments = {};
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (
+      definition.kind === Kind.OPERATION_DEFINITION &&
+      (!operationName ||
+       (definition.name && definition.name.value === operationName))
+    ) {
+      operations.push(definition);
+    }
+  }
+
+  return operations.reduce((result, operation) => {
+    const context = {
+      schema,
+      fragments,
+      variables: getVariables(schema, operation, variables),
+      fragmentResults: {},
+    };
+    const { depth, cost } = analyzeSelectionSet(
+      context,
+      getRootType(schema, operation),
+      operation.selectionSet,
+      [],
+    );
+    return {
+      depth: Math.max(result.depth, depth),
+      cost: Math.max(result.cost, cost),
+    };
+  }, { depth: 0, cost: 0 });
+}
+
+// Returns the errors for an analyzed query that exceeds the limits.
+export function checkQueryLimits({ depth, cost }, { maxDepth, maxCost }) {
+  const errors = [];
+  if (maxDepth && depth > maxDepth) {
+    errors.push(new GraphQLError(
+      `Query is too deep: depth ${depth} exceeds the maximum depth of ` +
+      `${maxDepth}.`
+    ));
+  }
+  if (maxCost && cost > maxCost) {
+    errors.push(new GraphQLError(
+      `Query is too expensive: estimated cost ${cost} exceeds the maximum ` +
+      `cost of ${maxCost}. Every field costs 1 and the fields inside a ` +
+      'connection are counted once for every edge, as given by `first` or ' +
+      `\`last\` (${DEFAULT_CONNECTION_SIZE} if neither is given). Request ` +
+      'fewer edges or nest fewer connections.'
+    ));
+  }
+  return errors;
+}
+
+function getRootType(schema, operation) {
+  switch (operation.operation) {
+    case 'mutation':
+      return schema.getMutationType();
+    case 'subscription':
+      return schema.getSubscriptionType();
+    default:
+      return schema.getQueryType();
+  }
+}
+
+function getVariables(schema, operation, variables) {
+  const result = { ...variables };
+  for (const definition of operation.variableDefinitions || []) {
+    const name = definition.variable.name.value;
+    const type = typeFromAST(schema, definition.type);
+    if (
+      result[name] === undefined &&
+      definition.defaultValue &&
+      isInputType(type)
+    ) {
+      result[name] = valueFromAST(definition.defaultValue, type);
+    }
+  }
+  return result;
+}
+
+function analyzeSelectionSet(context, type, selectionSet, fragmentPath) {
+  return selectionSet.selections
+    .map((selection) =>
+      analyzeSelection(context, type, selection, fragmentPath)
+    )
+    .reduce((result, { depth, cost }) => ({
+      depth: Math.max(result.depth, depth),
+      cost: result.cost + cost,
+    }), { depth: 0, cost: 0 });
+}
+
+function analyzeSelection(context, type, selection, fragmentPath) {
+  switch (selection.kind) {
+    case Kind.FIELD:
+      return analyzeField(context, type, selection, fragmentPath);
+    case Kind.INLINE_FRAGMENT:
+      return analyzeSelectionSet(
+        context,
+        getConditionType(context, type, selection),
+        selection.selectionSet,
+        fragmentPath,
+      );
+    case Kind.FRAGMENT_SPREAD:
+      return analyzeFragmentSpread(context, type, selection, fragmentPath);
+    default:
+      return { depth: 0, cost: 0 };
+  }
+}
+
+// Results of fragments are reused, so that repeatedly spread fragments can't
+// make the analysis itself expensive. Unknown and cyclic fragments are
+// reported by the validation.
+function analyzeFragmentSpread(context, type, spread, fragmentPath) {
+  const name = spread.name.value;
+  const fragment = context.fragments[name];
+  if (!fragment || fragmentPath.includes(name)) {
+    return { depth: 0, cost: 0 };
+  }
+  const conditionType = getConditionType(context, type, fragment);
+  const key = `${name}:${conditionType ? conditionType.name : ''}`;
+  if (!context.fragmentResults[key]) {
+    context.fragmentResults[key] = analyzeSelectionSet(
+      context,
+      conditionType,
+      fragment.selectionSet,
+      [...fragmentPath, name],
+    );
+  }
+  return context.fragmentResults[key];
+}
+
+function analyzeField(context, parentType, field, fragmentPath) {
+  const fieldDefinition = getFieldDefinition(parentType, field.name.value);
+  if (!field.selectionSet) {
+    return { depth: 1, cost: 1 };
+  }
+  const { depth, cost } = analyzeSelectionSet(
+    context,
+    fieldDefinition && getNamedType(fieldDefinition.type),
+    field.selectionSet,
+    fragmentPath,
+  );
+  return {
+    depth: depth + 1,
+    cost: 1 + getConnectionSize(context, fieldDefinition, field) * cost,
+  };
+}
+
+function getConditionType(context, type, fragment) {
+  if (!fragment.typeCondition) {
+    return type;
+  }
+  return context.schema.getType(fragment.typeCondition.name.value);
+}
+
+function getFieldDefinition(type, name) {
+  return type && type.getFields && type.getFields()[name];
+}
+
+function getConnectionSize(context, fieldDefinition, field) {
+  const isConnection = fieldDefinition && fieldDefinition.args.some((arg) =>
+    arg.name === 'first' || arg.name === 'last'
+  );
+  if (!isConnection) {
+    return 1;
+  }
+  const sizes = ['first', 'last']
+    .map((name) => getIntArgument(context, field, name))
+    .filter((size) => size !== null);
+  return sizes.length > 0 ? Math.min(...sizes) : DEFAULT_CONNECTION_SIZE;
+}
+
+function getIntArgument(context, field, name) {
+  const argument = (field.arguments || []).find((arg) =>
+    arg.name.value === name
+  );
+  if (!argument) {
+    return null;
+  }
+  const value = valueFromAST(argument.value, GraphQLInt, context.variables);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
@@ -0,0 +1,79 @@
+import { isEqual, union } from 'lodash';
+
+import {
+  createConnectionArguments,
+  createConnectionFieldResolve,
+} from './connections';
+
+// Objects of types with `history` get a `ReindexRevision` for every mutation,
+// with the user who made it and the changed fields.
+
+const IGNORED_FIELDS = ['_id', 'id', '_version'];
+
+export function createRevisionsField(typeRegistry) {
+  return {
+    name: 'revisions',
+    type: typeRegistry.getTypeSet('ReindexRevision').connection,
+    args: createConnectionArguments('ReindexRevision', typeRegistry),
+    description: 'The revisions of the object. Admin only.',
+    resolve: createConnectionFieldResolve(
+      'ReindexRevision', 'node', { field: 'createdAt' }, typeRegistry
+    ),
+    metadata: {
+      computed: true,
+      readOnly: true,
+    },
+  };
+}
+
+function toJSON(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+export function getChanges(before, after) {
+  const oldObject = before || {};
+  const newObject = after || {};
+  return union(Object.keys(oldObject), Object.keys(newObject))
+    .filter((field) =>
+      !IGNORED_FIELDS.includes(field) &&
+      !isEqual(oldObject[field], newObject[field])
+    )
+    .map((field) => ({
+      field,
+      oldValue: toJSON(oldObject[field]),
+      newValue: toJSON(newObject[field]),
+    }));
+}
+
+// Returns the object before it is mutated, if its type has `history`.
+export function getPreviousObject(context, typeName, id) {
+  const typeSet = context.typeRegistry.getTypeSet(typeName);
+  if (!typeSet.history) {
+    return Promise.resolve(null);
+  }
+  return context.db.getByID(typeName, id);
+}
+
+// Records a revision of the object, if its type has `history`. `before` is
+// the object before the mutation, null if it was created, and `after` the
+// written object. A deleted object has no fields after the mutation, unless
+// it was moved to the trash.
+export async function recordRevision(
+  context, typeName, operation, before, after
+) {
+  const typeSet = context.typeRegistry.getTypeSet(typeName);
+  const object = after || before;
+  if (!typeSet.history || !object) {
+    return;
+  }
+  const current = operation === 'delete' && !typeSet.softDelete ?
+    null :
+    after;
+  await context.db.create('ReindexRevision', {
+    node: object.id,
+    operation,
+    user: context.credentials.userID || null,
+    createdAt: new Date(),
+    changes: getChanges(before, current),
+  });
+}
@@ -0,0 +1,61 @@
+import { GraphQLBoolean } from 'graphql';
+
+import { UserError } from './UserError';
+import { TIMESTAMP } from './builtins/DateTime';
+
+// Objects of types with `softDelete` are moved to the trash by setting
+// `deletedAt`. Objects in the trash are hidden from queries, unless an admin
+// asks for them with `includeDeleted`.
+
+export function isDeleted(object) {
+  return Boolean(object && object.deletedAt);
+}
+
+export const includeDeletedArg = {
+  name: 'includeDeleted',
+  description: 'If true, also returns objects in the trash. Admin only.',
+  type: GraphQLBoolean,
+};
+
+export function shouldIncludeDeleted(args, { credentials }) {
+  if (args.includeDeleted && !credentials.isAdmin) {
+    throw new UserError(
+      'includeDeleted: Only admin can include objects in the trash.'
+    );
+  }
+  return Boolean(args.includeDeleted);
+}
+
+// Returns null in place of an object in the trash.
+export function hideDeleted(object, args, context) {
+  if (isDeleted(object) && !shouldIncludeDeleted(args, context)) {
+    return null;
+  }
+  return object;
+}
+
+// Returns the filters that exclude objects in the trash from a connection.
+export function getDeletedFilters(typeSet, args, context) {
+  if (!typeSet.softDelete || shouldIncludeDeleted(args, context)) {
+    return [];
+  }
+  return [
+    {
+      field: 'deletedAt',
+      op: 'isNull',
+      value: true,
+    },
+  ];
+}
+
+// Moves the object to the trash. Returns the updated object or null if the
+// object is not at `expectedVersion`.
+export function moveToTrash(
+  db,
+  typeName,
+  id,
+  expectedVersion,
+  deletedAt = TIMESTAMP,
+) {
+  return db.update(typeName, id, { deletedAt }, expectedVersion);
+}
@@ -0,0 +1,126 @@
+import { execute, formatError, parse, validate } from 'graphql';
+
+import { UserError, isUserError } from '../UserError';
+import Monitoring from '../../Monitoring';
+import hasPermission from '../permissions/hasPermission';
+
+// A single subscription operation of a connected client.
+//
+// Parses and validates the operation on creation and then, for every change
+// event of the app, executes it with the event as the root value if the event
+// matches the subscribed field and the subscriber can read the object.
+export default class Subscription {
+  constructor({
+    schema,
+    context,
+    query,
+    variables,
+    operationName,
+    onResult,
+  }) {
+    this._schema = schema;
+    this._context = context;
+    this._variables = variables || {};
+    this._operationName = operationName;
+    this._onResult = onResult;
+
+    this._document = parse(query);
+    const errors = validate(schema, this._document);
+    if (errors.length > 0) {
+      throw new UserError(errors.map((error) => error.message).join('\n'));
+    }
+
+    const field = getSubscribedField(
+      schema,
+      this._document,
+      operationName
+    );
+    this.type = field.metadata.type;
+    this.trigger = field.metadata.trigger;
+  }
+
+  matches(event) {
+    return event.type === this.type && event.trigger === this.trigger;
+  }
+
+  async handleEvent(event) {
+    if (!this.matches(event)) {
+      return;
+    }
+
+    const context = this._context;
+    if (context.db.clearCache) {
+      context.db.clearCache();
+    }
+
+    const permission = await hasPermission(
+      this.type,
+      'read',
+      {},
+      event.object,
+      context,
+    );
+    if (!permission.hasPermission) {
+      return;
+    }
+
+    const result = await execute(
+      this._schema,
+      this._document,
+      event,
+      context,
+      this._variables,
+      this._operationName,
+    );
+
+    if (result.errors) {
+      result.errors = result.errors.map((error) => {
+        if (error.originalError && !isUserError(error.originalError)) {
+          Monitoring.noticeError(error.originalError, {
+            tags: {
+              type: 'subscription',
+            },
+          });
+          return {
+            message: 'Internal Server Error',
+          };
+        } else {
+          return formatError(error);
+        }
+      });
+    }
+
+    this._onResult(result);
+  }
+}
+
+function getSubscribedField(schema, document, operationName) {
+  const operations = document.definitions.filter((definition) =>
+    definition.kind === 'OperationDefinition' && (
+      !operationName ||
+      (definition.name && definition.name.value === operationName)
+    )
+  );
+
+  if (operations.length !== 1) {
+    throw new UserError(
+      'Expected exactly one operation. Pass `operationName` to pick one.'
+    );
+  }
+
+  const operation = operations[0];
+  if (operation.operation !== 'subscription') {
+    throw new UserError(
+      `Expected a subscription operation, got ${operation.operation}.`
+    );
+  }
+
+  const selections = operation.selectionSet.selections;
+  if (selections.length !== 1 || selections[0].kind !== 'Field') {
+    throw new UserError(
+      'Expected a subscription to select exactly one root field.'
+    );
+  }
+
+  return schema.getSubscriptionType().getFields()[selections[0].name.value];
+}
@@ -0,0 +1,20 @@
+import { EventEmitter } from 'events';
+
+// In-process bus of object changes, keyed by app hostname. Mutations publish
+// here through `checkAndEnqueueHooks`, open subscriptions listen. Changes of
+// mutations handled by other server processes are not delivered.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export function publishEvent(hostname, event) {
+  emitter.emit(hostname, event);
+}
+
+export function listenToEvents(hostname, listener) {
+  emitter.on(hostname, listener);
+  return () => emitter.removeListener(hostname, listener);
+}
+
+export function countListeners(hostname) {
+  return emitter.listenerCount(hostname);
+}
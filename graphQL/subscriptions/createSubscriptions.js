@@ -0,0 +1,37 @@
+import { map } from 'lodash';
+
+import { getSubscriptionName } from '../derivedNames';
+import checkPermission from '../permissions/checkPermission';
+import formatMutationResult from '../mutations/formatMutationResult';
+
+// Maps hook triggers to the event part of the subscription field name
+export const SUBSCRIPTION_EVENTS = {
+  afterCreate: 'Created',
+  afterUpdate: 'Updated',
+  afterDelete: 'Deleted',
+};
+
+export default function createSubscriptions(typeSet) {
+  const { type, payload } = typeSet;
+  return map(SUBSCRIPTION_EVENTS, (eventName, trigger) => ({
+    name: getSubscriptionName(type.name, eventName),
+    description:
+`Subscribes to \`${type.name}\` objects being ${eventName.toLowerCase()}. The
+selection is resolved against the payload of every matching change. Only
+changes made through the same server process are delivered.
+`,
+    type: payload,
+    metadata: {
+      type: type.name,
+      trigger,
+    },
+    async resolve(event, args, context) {
+      await checkPermission(type.name, 'read', {}, event.object, context);
+      return formatMutationResult(
+        event.clientMutationId,
+        type.name,
+        event.object,
+      );
+    },
+  }));
+}
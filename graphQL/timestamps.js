@@ -0,0 +1,19 @@
+import { TIMESTAMP } from './builtins/DateTime';
+
+// Objects of types with `timestamps` have `createdAt` and `updatedAt`, which
+// are set to the time of the write by the mutations that create, update or
+// replace objects.
+
+// Returns `object` with the timestamps to write. `existing` is the object
+// before the write, null if it is created.
+export function addTimestamps(typeSet, object, existing) {
+  if (!typeSet.timestamps) {
+    return object;
+  }
+  const createdAt = existing ? existing.createdAt : TIMESTAMP;
+  return {
+    ...object,
+    ...(createdAt ? { createdAt } : {}),
+    updatedAt: TIMESTAMP,
+  };
+}
@@ -58,6 +58,7 @@ function toReindexField(field) {
     reverseName: metadata.reverseName,
     grantPermissions: metadata.grantPermissions,
     defaultOrdreing: metadata.defaultOrdering,
+    onDelete: metadata.onDelete,
     unique: metadata.unique,
     orderable: metadata.orderable,
   };
@@ -0,0 +1,109 @@
+import { chain, isEmpty } from 'lodash';
+import {
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLInt,
+  GraphQLFloat,
+} from 'graphql';
+
+import { UserError } from './UserError';
+import {
+  getUpdateOperatorsName,
+  getUpdateOperatorName,
+} from './derivedNames';
+
+// An update of a field relative to its current value. Database backends
+// translate it to their own atomic update operation.
+export class FieldOperation {
+  constructor(operator, value) {
+    this.operator = operator;
+    this.value = value;
+  }
+}
+
+function getOperatorFields(type) {
+  if (type === GraphQLInt || type === GraphQLFloat) {
+    return {
+      increment: {
+        type,
+        description: 'Adds the value to the field, missing field is 0.',
+      },
+      multiply: {
+        type,
+        description: 'Multiplies the field by the value, missing field is 0.',
+      },
+    };
+  } else if (type instanceof GraphQLList) {
+    return {
+      push: {
+        type,
+        description: 'Appends the values to the list.',
+      },
+      pull: {
+        type,
+        description: 'Removes all occurrences of the values from the list.',
+      },
+      addToSet: {
+        type,
+        description: 'Appends the values that are not already in the list.',
+      },
+    };
+  } else {
+    return null;
+  }
+}
+
+// Creates the input object of the operators for Int, Float and List fields of
+// an update input. Returns null if there are no such fields.
+export function createUpdateOperatorsType(typeName, inputFields) {
+  const fields = chain(inputFields)
+    .mapValues((field, fieldName) => {
+      const operatorFields = getOperatorFields(field.type);
+      return operatorFields && {
+        type: new GraphQLInputObjectType({
+          name: getUpdateOperatorName(typeName, fieldName),
+          description:
+            `An atomic update of \`${typeName}.${fieldName}\`. Exactly one ` +
+            'operator must be given.',
+          fields: operatorFields,
+        }),
+      };
+    })
+    .pick(Boolean)
+    .value();
+
+  if (isEmpty(fields)) {
+    return null;
+  }
+
+  return new GraphQLInputObjectType({
+    name: getUpdateOperatorsName(typeName),
+    description:
+`Atomic updates of the fields of \`${typeName}\`, based on the current values.
+Concurrent updates with operators are never lost.
+`,
+    fields,
+  });
+}
+
+// Converts the `operators` of an update input to `FieldOperation`s by field.
+// `fields` are the other fields to update.
+export function getFieldOperations(operators, fields) {
+  return chain(operators).pick(Boolean).mapValues((operator, fieldName) => {
+    const path = `input.operators.${fieldName}`;
+    const names = Object.keys(operator).filter((name) =>
+      operator[name] !== undefined && operator[name] !== null
+    );
+    if (fields[fieldName] !== undefined) {
+      throw new UserError(
+        `${path}: Can not both set the field and update it with an operator.`
+      );
+    }
+    if (names.length !== 1) {
+      throw new UserError(
+        `${path}: Expected exactly one operator, got ${names.length}.`
+      );
+    }
+    return new FieldOperation(names[0], operator[names[0]]);
+  }).value();
+}
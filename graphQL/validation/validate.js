@@ -2,6 +2,8 @@ import { filter } from 'lodash';
 
 import { UserError } from '../UserError';
 import { toReindexID } from '../builtins/ReindexID';
+import { isDeleted } from '../softDelete';
+import { FieldOperation } from '../updateOperators';
 
 export default async function validate(
   db,
@@ -15,6 +17,45 @@ export default async function validate(
   await validateNodesExist(db, typeRegistry, type, newObject, existingObject);
 }
 
+function getUniqueError(type, field, value) {
+  return new UserError(
+    `${type.name}.${field.name}: value must be unique, got ` +
+    `${JSON.stringify(value)}`
+  );
+}
+
+// Objects of a batch are validated against the database before any of them is
+// written, so they are also checked against each other. Returns the
+// uniqueness errors by index for objects that have the same value of a unique
+// field as an earlier object in `objects`.
+export function validateUniqueInBatch(type, objects) {
+  const uniqueFields = filter(type.getFields(), (field) =>
+    field.name !== 'id' && field.metadata && field.metadata.unique
+  );
+  const seenValues = uniqueFields.map(() => new Set());
+  const errors = {};
+  objects.forEach((object, index) => {
+    const keys = uniqueFields.map((field) => {
+      const value = object[field.name];
+      // Values changed by update operators depend on the existing object
+      return value === null || value === undefined ||
+        value instanceof FieldOperation ?
+        null :
+        JSON.stringify(value);
+    });
+    const fieldIndex = keys.findIndex((key, i) =>
+      key !== null && seenValues[i].has(key)
+    );
+    if (fieldIndex !== -1) {
+      const field = uniqueFields[fieldIndex];
+      errors[index] = getUniqueError(type, field, object[field.name]);
+    } else {
+      keys.forEach((key, i) => key !== null && seenValues[i].add(key));
+    }
+  });
+  return errors;
+}
+
 async function validateUnique(
   db,
   context,
@@ -42,10 +83,7 @@ async function validateUnique(
     const field = uniqueFields[index];
     const check = uniqueChecks[index];
     if (check) {
-      throw new UserError(
-        `${type.name}.${field.name}: value must be unique, got ` +
-        `${JSON.stringify(newObject[field.name])}`
-      );
+      throw getUniqueError(type, field, newObject[field.name]);
     }
   }
 }
@@ -75,7 +113,7 @@ async function validateNodesExist(
     return db.getByID(field.type.name, id);
   }));
   nodeFields.forEach((field, index) => {
-    if (!nodes[index]) {
+    if (!nodes[index] || isDeleted(nodes[index])) {
       const reindexID = toReindexID(newObject[field.name]);
       throw new UserError(
         `${type.name}.${field.name}: ${field.type.name} with ID ` +
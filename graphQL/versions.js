@@ -0,0 +1,57 @@
+import { GraphQLInt, GraphQLNonNull } from 'graphql';
+
+import { UserError } from './UserError';
+import { toReindexID } from './builtins/ReindexID';
+
+// Objects created before versioning have no `_version`, they are at version 0.
+export function getVersion(object) {
+  return (object && object._version) || 0;
+}
+
+export function hasExpectedVersion(expectedVersion) {
+  return expectedVersion !== undefined && expectedVersion !== null;
+}
+
+export const versionField = {
+  name: '_version',
+  type: new GraphQLNonNull(GraphQLInt),
+  description:
+    'The version of the object, incremented by every update. Give it as ' +
+    '`expectedVersion` of a mutation to only mutate this version.',
+  resolve: getVersion,
+  metadata: {
+    computed: true,
+    readOnly: true,
+  },
+};
+
+export const expectedVersionField = {
+  type: GraphQLInt,
+  description:
+    'If given, the mutation fails with a conflict error unless the object ' +
+    'is at this `_version`.',
+};
+
+export function createVersionConflictError(typeName, id, expectedVersion) {
+  return new UserError(
+    `input.expectedVersion: Version conflict, ${typeName} object ` +
+    `${toReindexID(id)} has changed since version ${expectedVersion}.`
+  );
+}
+
+// Throws a version conflict error if `expectedVersion` is given and `object`
+// is at another version.
+export function checkVersion(typeName, object, expectedVersion) {
+  if (hasExpectedVersion(expectedVersion) &&
+      getVersion(object) !== expectedVersion) {
+    throw createVersionConflictError(typeName, object.id, expectedVersion);
+  }
+}
+
+// Throws a version conflict error if a write with `expectedVersion` returned
+// no object, because the object was at another version.
+export function checkVersionedWrite(typeName, id, expectedVersion, result) {
+  if (!result && hasExpectedVersion(expectedVersion)) {
+    throw createVersionConflictError(typeName, id, expectedVersion);
+  }
+}
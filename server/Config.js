@@ -65,6 +65,135 @@ const Config = convict({
       env: 'DEFAULT_DATABASE_TYPE',
       format: String,
     },
+    patternQueryTimeout: {
+      default: 5000,
+      doc: 'Time limit in ms of MongoDB queries with a `matches` filter. ' +
+        '0 disables the limit.',
+      env: 'PATTERN_QUERY_TIMEOUT',
+      format: 'nat',
+    },
+  },
+  cursors: {
+    secret: {
+      default: undefined,
+      doc: 'A random secret used to sign connection cursors. Must be the ' +
+        'same in all processes. Derived from `app.key` if not set.',
+      env: 'CURSOR_SECRET',
+      format: String,
+    },
+  },
+  hooks: {
+    maxAttempts: {
+      default: 5,
+      doc: 'Default maximum number of delivery attempts for a hook.',
+      env: 'HOOK_MAX_ATTEMPTS',
+      format: 'nat',
+    },
+    retryBaseDelay: {
+      default: 10000,
+      doc: 'Delay in ms before the first retry of a failed hook delivery. ' +
+        'Doubles with every further attempt.',
+      env: 'HOOK_RETRY_BASE_DELAY',
+      format: 'nat',
+    },
+    workerInterval: {
+      default: 5000,
+      doc: 'Interval in ms in which the in-process worker retries queued ' +
+        'hook deliveries. 0 disables the worker.',
+      env: 'HOOK_WORKER_INTERVAL',
+      format: 'nat',
+    },
+    beforeTimeout: {
+      default: 5000,
+      doc: 'Default timeout in ms of synchronous `before*` hooks.',
+      env: 'HOOK_BEFORE_TIMEOUT',
+      format: 'nat',
+    },
+    beforeFailurePolicy: {
+      default: 'failClosed',
+      doc: 'Default policy when a `before*` hook times out or fails. ' +
+        '`failClosed` rejects the mutation, `failOpen` lets it proceed.',
+      env: 'HOOK_BEFORE_FAILURE_POLICY',
+      format: ['failClosed', 'failOpen'],
+    },
+  },
+  appCache: {
+    ttl: {
+      default: 60,
+      doc: 'Seconds the admin `App` of a hostname is cached in the process. ' +
+        'Changes to the app, like its limits, take effect after it. 0 ' +
+        'disables the cache.',
+      env: 'APP_CACHE_TTL',
+      format: 'nat',
+    },
+  },
+  schemaCache: {
+    maxSize: {
+      default: 100,
+      doc: 'Maximum number of apps whose built schema is cached in the ' +
+        'process. 0 disables the cache.',
+      env: 'SCHEMA_CACHE_MAX_SIZE',
+      format: 'nat',
+    },
+  },
+  queryLimits: {
+    maxDepth: {
+      default: 20,
+      doc: 'Default maximum nesting depth of a GraphQL query. Can be ' +
+        'overridden in `queryLimits` of the admin `App`. 0 disables the limit.',
+      env: 'QUERY_MAX_DEPTH',
+      format: 'nat',
+    },
+    maxCost: {
+      default: 10000,
+      doc: 'Default maximum estimated cost of a GraphQL query. Can be ' +
+        'overridden in `queryLimits` of the admin `App`. 0 disables the limit.',
+      env: 'QUERY_MAX_COST',
+      format: 'nat',
+    },
+  },
+  rateLimits: {
+    app: {
+      requests: {
+        default: 6000,
+        doc: 'Default number of requests an app can make in `period`. Can ' +
+          'be overridden in `appRateLimit` of the admin `App`. 0 disables ' +
+          'the limit.',
+        env: 'RATE_LIMIT_APP_REQUESTS',
+        format: 'nat',
+      },
+      period: {
+        default: 60,
+        doc: 'Default period in seconds of the app rate limit.',
+        env: 'RATE_LIMIT_APP_PERIOD',
+        format: 'nat',
+      },
+    },
+    user: {
+      requests: {
+        default: 600,
+        doc: 'Default number of requests a user, or a client address ' +
+          'without a user, can make in `period`. Can be overridden in ' +
+          '`userRateLimit` of the admin `App`. 0 disables the limit.',
+        env: 'RATE_LIMIT_USER_REQUESTS',
+        format: 'nat',
+      },
+      period: {
+        default: 60,
+        doc: 'Default period in seconds of the user rate limit.',
+        env: 'RATE_LIMIT_USER_PERIOD',
+        format: 'nat',
+      },
+    },
+    trustProxy: {
+      default: false,
+      doc: 'If true, the client address of requests without a user is the ' +
+        'last address in the `X-Forwarded-For` header added by a proxy. ' +
+        'Only enable it if the server is only reachable through a proxy ' +
+        'that adds the header, otherwise clients can set their address.',
+      env: 'RATE_LIMIT_TRUST_PROXY',
+      format: Boolean,
+    },
   },
   Intercom: {
     appId: {
@@ -106,6 +235,22 @@ Config.resetTestConfig = function() {
     'database.adminDatabaseSettings',
     'database.clusters',
     'database.defaultDatabaseType',
+    'database.patternQueryTimeout',
+    'cursors.secret',
+    'hooks.maxAttempts',
+    'hooks.retryBaseDelay',
+    'hooks.workerInterval',
+    'hooks.beforeTimeout',
+    'hooks.beforeFailurePolicy',
+    'appCache.ttl',
+    'schemaCache.maxSize',
+    'queryLimits.maxDepth',
+    'queryLimits.maxCost',
+    'rateLimits.app.requests',
+    'rateLimits.app.period',
+    'rateLimits.user.requests',
+    'rateLimits.user.period',
+    'rateLimits.trustProxy',
     'Intercom.appId',
     'Intercom.appApiKey',
     'Intercom.secretKey',
@@ -113,6 +258,7 @@ Config.resetTestConfig = function() {
   ].forEach((key) => {
     Config.set(key, Config.default(key));
   });
+  Config.set('cursors.secret', 'test-cursor-secret');
   Config.validate();
 };
 
@@ -1,6 +1,13 @@
 
 import Boom from 'boom';
-import getDB from '../db/getDB';
+import getDB, { getCachedApp } from '../db/getDB';
+
+function toBoomError(error) {
+  if (error && error.name === 'AppNotFound') {
+    return Boom.notFound();
+  }
+  return Boom.wrap(error || new Error('Unknown error'));
+}
 
 async function onRequest(request, reply) {
   request.getDB = async () => {
@@ -8,10 +15,14 @@ async function onRequest(request, reply) {
       request._db = await getDB(request.info.hostname);
       return request._db;
     } catch (error) {
-      if (error && error.name === 'AppNotFound') {
-        throw Boom.notFound();
-      }
-      throw Boom.wrap(error || new Error('Unknown error'));
+      throw toBoomError(error);
+    }
+  };
+  request.getApp = async () => {
+    try {
+      return await getCachedApp(request.info.hostname);
+    } catch (error) {
+      throw toBoomError(error);
     }
   };
   reply.continue();
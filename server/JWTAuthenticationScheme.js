@@ -21,10 +21,9 @@ function verifyToken(token, secrets) {
   return null;
 }
 
-async function authenticateAsync(request) {
-  const hostname = request.info.hostname;
-  const { authorization } = request.headers;
-
+// Resolves credentials from an `Authorization` header value. `getDB` is
+// called lazily, as anonymous requests need no database.
+export async function authenticateAsync({ hostname, authorization, getDB }) {
   if (!authorization) {
     return {
       hostname,
@@ -39,7 +38,7 @@ async function authenticateAsync(request) {
   }
   const token = match[1];
 
-  const db = await request.getDB();
+  const db = await getDB();
   const secrets = await db.getSecrets();
 
   let verifiedToken;
@@ -76,7 +75,11 @@ async function authenticateAsync(request) {
 
 async function authenticate(request, reply) {
   try {
-    const credentials = await authenticateAsync(request);
+    const credentials = await authenticateAsync({
+      hostname: request.info.hostname,
+      authorization: request.headers.authorization,
+      getDB: request.getDB,
+    });
     return reply.continue({ credentials });
   } catch (error) {
     return reply(error);
@@ -0,0 +1,70 @@
+// Token buckets for rate limiting. A bucket holds up to `requests` tokens and
+// is refilled with `requests` tokens every `period` seconds. Every request
+// takes a token and is rejected if there is none.
+//
+// Stores keep the buckets by key and implement
+// `take(key, { requests, period })`, which returns a promise of
+// `{ allowed, remaining, resetAt, retryAfter }`. `resetAt` is the time in ms
+// when the bucket is full again and `retryAfter` the delay in ms until the
+// next token is available. Stores shared by several processes must take
+// tokens atomically.
+
+const SWEEP_INTERVAL = 60000;
+
+// Takes a token from the bucket at `now`. Returns the result and the new
+// state of the bucket. A missing bucket is full.
+export function takeToken(bucket, { requests, period }, now) {
+  // The time in ms to refill one token
+  const interval = period * 1000 / requests;
+  const tokens = bucket ?
+    Math.min(requests, bucket.tokens + (now - bucket.updatedAt) / interval) :
+    requests;
+  const allowed = tokens >= 1;
+  const remaining = allowed ? tokens - 1 : tokens;
+  return {
+    bucket: {
+      tokens: remaining,
+      updatedAt: now,
+    },
+    allowed,
+    remaining: Math.floor(remaining),
+    resetAt: now + Math.ceil((requests - remaining) * interval),
+    retryAfter: allowed ? 0 : Math.ceil((1 - remaining) * interval),
+  };
+}
+
+// Keeps the buckets in the memory of the process. Full buckets are the same
+// as missing ones, so they are removed periodically.
+export default class MemoryRateLimitStore {
+  constructor() {
+    this._buckets = new Map();
+    this._lastSweep = Date.now();
+  }
+
+  take(key, limit) {
+    const now = Date.now();
+    this._sweep(now);
+    const { bucket, ...result } = takeToken(
+      this._buckets.get(key),
+      limit,
+      now,
+    );
+    this._buckets.set(key, {
+      ...bucket,
+      resetAt: result.resetAt,
+    });
+    return Promise.resolve(result);
+  }
+
+  _sweep(now) {
+    if (now - this._lastSweep < SWEEP_INTERVAL) {
+      return;
+    }
+    this._lastSweep = now;
+    for (const [key, bucket] of this._buckets) {
+      if (bucket.resetAt <= now) {
+        this._buckets.delete(key);
+      }
+    }
+  }
+}
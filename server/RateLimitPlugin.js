@@ -0,0 +1,135 @@
+import Boom from 'boom';
+import { isNumber } from 'lodash';
+
+import Config from './Config';
+import Metrics from './Metrics';
+import MemoryRateLimitStore from './MemoryRateLimitStore';
+
+// Rate limits the routes with `plugins: { RateLimitPlugin: { enabled: true } }`
+// in their config. Every request takes a token from the bucket of the app and
+// from the bucket of the user, or of the client address for requests without
+// a user. The limits are `appRateLimit` and `userRateLimit` of the admin `App`
+// or the defaults in the config. A limit of 0 requests disables it.
+//
+// The `store` option replaces the in-memory store of the buckets, see
+// `MemoryRateLimitStore` for the interface.
+
+function getRateLimit(app, name) {
+  const limit = app && app[`${name}RateLimit`] || {};
+  return {
+    requests: isNumber(limit.requests) ?
+      limit.requests :
+      Config.get(`rateLimits.${name}.requests`),
+    period: isNumber(limit.period) && limit.period > 0 ?
+      limit.period :
+      Config.get(`rateLimits.${name}.period`),
+  };
+}
+
+// Behind a proxy, the last forwarded address is added by the proxy and the
+// others can be set by the client. The header is only trusted if
+// `rateLimits.trustProxy` is set.
+function getClientAddress(request) {
+  const forwardedFor = request.headers['x-forwarded-for'];
+  if (Config.get('rateLimits.trustProxy') && forwardedFor) {
+    return forwardedFor.split(',').pop().trim();
+  }
+  return request.info.remoteAddress;
+}
+
+function getClientKey(request) {
+  const credentials = request.auth.credentials || {};
+  if (credentials.userID) {
+    return `user:${credentials.userID.value}`;
+  }
+  return `address:${getClientAddress(request)}`;
+}
+
+function isRateLimited(request) {
+  const settings = request.route.settings.plugins.RateLimitPlugin;
+  return Boolean(settings && settings.enabled);
+}
+
+function getHeaders({ limit, remaining, resetAt, retryAfter, allowed }) {
+  const headers = {
+    'X-RateLimit-Limit': `${limit.requests}`,
+    'X-RateLimit-Remaining': `${remaining}`,
+    'X-RateLimit-Reset': `${Math.ceil(resetAt / 1000)}`,
+  };
+  if (!allowed) {
+    headers['Retry-After'] = `${Math.ceil(retryAfter / 1000)}`;
+  }
+  return headers;
+}
+
+function register(server, { store = new MemoryRateLimitStore() }, next) {
+  server.ext('onPreHandler', async (request, reply) => {
+    if (!isRateLimited(request)) {
+      return reply.continue();
+    }
+    try {
+      const hostname = request.info.hostname;
+      const app = await request.getApp();
+      const buckets = [
+        {
+          key: `${hostname}:${getClientKey(request)}`,
+          limit: getRateLimit(app, 'user'),
+        },
+        {
+          key: hostname,
+          limit: getRateLimit(app, 'app'),
+        },
+      ].filter(({ limit }) => limit.requests > 0);
+
+      // The headers describe the bucket closest to its limit.
+      let state = null;
+      for (const { key, limit } of buckets) {
+        const result = await store.take(key, limit);
+        if (!state || !result.allowed || result.remaining < state.remaining) {
+          state = { ...result, limit };
+        }
+        if (!result.allowed) {
+          break;
+        }
+      }
+      request.plugins.RateLimitPlugin = state;
+
+      if (state && !state.allowed) {
+        Metrics.increment('reindex.rateLimit.rejectedCount', 1, hostname);
+        return reply(Boom.tooManyRequests(
+          `Rate limit of ${state.limit.requests} requests per ` +
+          `${state.limit.period} seconds exceeded. Retry after ` +
+          `${Math.ceil(state.retryAfter / 1000)} seconds.`
+        ));
+      }
+      return reply.continue();
+    } catch (error) {
+      return reply(error);
+    }
+  });
+
+  server.ext('onPreResponse', (request, reply) => {
+    const state = request.plugins.RateLimitPlugin;
+    const response = request.response;
+    if (state) {
+      const headers = getHeaders(state);
+      if (response.isBoom) {
+        Object.assign(response.output.headers, headers);
+      } else {
+        Object.keys(headers).forEach((name) => {
+          response.header(name, headers[name]);
+        });
+      }
+    }
+    reply.continue();
+  });
+
+  next();
+}
+
+register.attributes = {
+  name: 'RateLimitPlugin',
+};
+
+const RateLimitPlugin = { register };
+export default RateLimitPlugin;
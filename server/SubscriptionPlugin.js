@@ -0,0 +1,229 @@
+import Url from 'url';
+import { Server as WebSocketServer } from 'ws';
+
+import Monitoring from '../Monitoring';
+import Metrics from './Metrics';
+import getDB from '../db/getDB';
+import createReindex from '../graphQL/createReindex';
+import Subscription from '../graphQL/subscriptions/Subscription';
+import { isUserError } from '../graphQL/UserError';
+import { listenToEvents } from '../graphQL/subscriptions/SubscriptionEvents';
+import { authenticateAsync } from './JWTAuthenticationScheme';
+
+// GraphQL subscriptions over WebSocket.
+//
+// Clients connect to `/graphql` with the token either in the `Authorization`
+// header or in the `token` query string parameter, and then exchange JSON
+// messages:
+//
+// * `{ type: 'subscription_start', id, query, variables, operationName }`
+//   starts a subscription, answered with `subscription_success` or
+//   `subscription_fail`
+// * `{ type: 'subscription_end', id }` stops it
+//
+// Matching changes are delivered as `{ type: 'subscription_data', id,
+// payload }`, where `payload` is the GraphQL result.
+//
+// The schema is built when the client connects, so clients need to reconnect
+// to see schema changes.
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function errorMessage(error) {
+  if (
+    isUserError(error) ||
+    error.isBoom ||
+    error.name === 'GraphQLError' ||
+    error.name === 'AppNotFound'
+  ) {
+    return error.message;
+  } else {
+    Monitoring.noticeError(error, {
+      tags: {
+        type: 'subscription',
+      },
+    });
+    return 'Internal Server Error';
+  }
+}
+
+function getHostname(upgradeRequest) {
+  return (upgradeRequest.headers.host || '').split(':')[0];
+}
+
+function getAuthorization(upgradeRequest) {
+  const { query } = Url.parse(upgradeRequest.url, true);
+  if (upgradeRequest.headers.authorization) {
+    return upgradeRequest.headers.authorization;
+  } else if (query.token) {
+    return `Bearer ${query.token}`;
+  } else {
+    return null;
+  }
+}
+
+async function connect(reindex, hostname, authorization) {
+  const db = await getDB(hostname);
+  try {
+    const credentials = await authenticateAsync({
+      hostname,
+      authorization,
+      getDB: () => db,
+    });
+    return await reindex.getOptions({ db, credentials });
+  } catch (error) {
+    await db.close();
+    throw error;
+  }
+}
+
+function handleConnection(reindex, socket) {
+  const hostname = getHostname(socket.upgradeReq);
+  const subscriptions = {};
+  let stopListening = null;
+
+  const ready = connect(
+    reindex,
+    hostname,
+    getAuthorization(socket.upgradeReq),
+  ).then((options) => {
+    stopListening = listenToEvents(hostname, (event) => {
+      for (const id in subscriptions) {
+        subscriptions[id].handleEvent(event).catch((error) => {
+          send(socket, {
+            type: 'subscription_fail',
+            id,
+            payload: {
+              errors: [{ message: errorMessage(error) }],
+            },
+          });
+        });
+      }
+    });
+    Metrics.increment('reindex.subscriptions.connectionCount', 1, hostname);
+    return options;
+  });
+
+  ready.catch((error) => {
+    send(socket, {
+      type: 'connection_error',
+      payload: {
+        errors: [{ message: errorMessage(error) }],
+      },
+    });
+    socket.close();
+  });
+
+  socket.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      send(socket, {
+        type: 'connection_error',
+        payload: {
+          errors: [{ message: 'Invalid JSON message.' }],
+        },
+      });
+      return;
+    }
+
+    const { id, type } = message;
+    if (type === 'subscription_end') {
+      delete subscriptions[id];
+      return;
+    } else if (type !== 'subscription_start') {
+      send(socket, {
+        type: 'subscription_fail',
+        id,
+        payload: {
+          errors: [{ message: `Unknown message type: ${type}` }],
+        },
+      });
+      return;
+    }
+
+    try {
+      const { schema, context } = await ready;
+      subscriptions[id] = new Subscription({
+        schema,
+        context,
+        query: message.query,
+        variables: message.variables,
+        operationName: message.operationName,
+        onResult: (result) => {
+          Metrics.increment('reindex.subscriptions.eventCount', 1, hostname);
+          send(socket, {
+            type: 'subscription_data',
+            id,
+            payload: result,
+          });
+        },
+      });
+      send(socket, {
+        type: 'subscription_success',
+        id,
+      });
+    } catch (error) {
+      send(socket, {
+        type: 'subscription_fail',
+        id,
+        payload: {
+          errors: [{ message: errorMessage(error) }],
+        },
+      });
+    }
+  });
+
+  // The socket can close before the connection is set up, so the listener is
+  // only removed once `ready` has settled.
+  socket.on('close', async () => {
+    for (const id in subscriptions) {
+      delete subscriptions[id];
+    }
+    try {
+      const { context } = await ready;
+      stopListening();
+      await context.db.close();
+    } catch (error) {
+      // Connection was never set up, nothing to release
+    }
+  });
+}
+
+function register(server, options, next) {
+  const reindex = createReindex();
+  let webSocketServer = null;
+
+  server.ext('onPostStart', (startedServer, done) => {
+    webSocketServer = new WebSocketServer({
+      server: server.listener,
+      path: '/graphql',
+    });
+    webSocketServer.on('connection', (socket) =>
+      handleConnection(reindex, socket)
+    );
+    done();
+  });
+
+  server.ext('onPreStop', (stoppingServer, done) => {
+    if (webSocketServer) {
+      webSocketServer.close();
+      webSocketServer = null;
+    }
+    done();
+  });
+
+  next();
+}
+
+register.attributes = {
+  name: 'SubscriptionPlugin',
+};
+
+const SubscriptionPlugin = { register };
+export default SubscriptionPlugin;
@@ -0,0 +1,47 @@
+import MemoryRateLimitStore, { takeToken } from '../MemoryRateLimitStore';
+import assert from '../../test/assert';
+
+describe('MemoryRateLimitStore', () => {
+  const limit = { requests: 2, period: 8 };
+
+  it('takes tokens until the bucket is empty', () => {
+    let result = takeToken(null, limit, 0);
+    assert.deepEqual(result, {
+      bucket: { tokens: 1, updatedAt: 0 },
+      allowed: true,
+      remaining: 1,
+      resetAt: 4000,
+      retryAfter: 0,
+    });
+    result = takeToken(result.bucket, limit, 1000);
+    assert.deepEqual(result, {
+      bucket: { tokens: 0.25, updatedAt: 1000 },
+      allowed: true,
+      remaining: 0,
+      resetAt: 8000,
+      retryAfter: 0,
+    });
+    result = takeToken(result.bucket, limit, 2000);
+    assert.deepEqual(result, {
+      bucket: { tokens: 0.5, updatedAt: 2000 },
+      allowed: false,
+      remaining: 0,
+      resetAt: 8000,
+      retryAfter: 2000,
+    });
+  });
+
+  it('refills buckets up to the number of requests', () => {
+    const result = takeToken({ tokens: 0, updatedAt: 0 }, limit, 60000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 1);
+  });
+
+  it('keeps buckets by key', async () => {
+    const store = new MemoryRateLimitStore();
+    assert.equal((await store.take('a', limit)).remaining, 1);
+    assert.equal((await store.take('a', limit)).remaining, 0);
+    assert.equal((await store.take('a', limit)).allowed, false);
+    assert.equal((await store.take('b', limit)).remaining, 1);
+  });
+});
@@ -9,8 +9,11 @@ import {
 } from '../../test/testAppUtils';
 import createApp from '../../apps/createApp';
 import deleteApp from '../../apps/deleteApp';
-import getDB from '../../db/getDB';
+import getAdminDB from '../../db/getAdminDB';
+import getDB, { clearCachedApp } from '../../db/getDB';
+import Config from '../Config';
 import createServer from '../createServer';
+import { hashQuery } from '../../graphQL/persistedQueries';
 import assert from '../../test/assert';
 import { simulate } from '../SocialLoginPlugin';
 
@@ -34,6 +37,17 @@ describe('Server', () => {
     return new Promise((resolve) => server.inject(options, resolve));
   }
 
+  function queryCostExtensions(depth, cost) {
+    return {
+      queryCost: {
+        depth,
+        cost,
+        maxDepth: Config.get('queryLimits.maxDepth'),
+        maxCost: Config.get('queryLimits.maxCost'),
+      },
+    };
+  }
+
   before(async function () {
     server = await createServer({
       reporters: [],
@@ -77,7 +91,7 @@ describe('Server', () => {
     assert.deepEqual(response.result, {
       statusCode: 400,
       error: 'Bad Request',
-      message: 'Missing `query` in POST body.',
+      message: 'Missing `query` or `queryHash` in POST body.',
       validation: {
         keys: [],
         source: 'payload',
@@ -106,9 +120,309 @@ describe('Server', () => {
           },
         },
       },
+      extensions: queryCostExtensions(3, 3),
+    });
+  });
+
+  it('executes read-only queries with GET', async function () {
+    const headers = {
+      authorization: `Bearer ${token}`,
+      host: hostname,
+    };
+    let response = await makeRequest({
+      method: 'GET',
+      url: `/graphql?query=${encodeURIComponent(testQuery)}`,
+      headers,
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.result).data, {
+      viewer: {
+        user: {
+          id: userID,
+        },
+      },
+    });
+    const etag = response.headers.etag;
+    assert.match(etag, /^"[0-9a-f]{40}"$/);
+
+    response = await makeRequest({
+      method: 'GET',
+      url: `/graphql?query=${encodeURIComponent(testQuery)}`,
+      headers: {
+        ...headers,
+        'if-none-match': etag,
+      },
+    });
+    assert.strictEqual(response.statusCode, 304, 'not modified');
+
+    const query = `
+      query user($id: ID!) {
+        userById(id: $id) {
+          id
+        }
+      }
+      mutation createUser {
+        createUser(input: {}) {
+          id
+        }
+      }
+    `;
+    response = await makeRequest({
+      method: 'GET',
+      url: `/graphql?query=${encodeURIComponent(query)}` +
+        `&variables=${encodeURIComponent(JSON.stringify({ id: userID }))}` +
+        '&operationName=user',
+      headers,
+    });
+    assert.strictEqual(response.statusCode, 200, 'operation name');
+    assert.deepEqual(JSON.parse(response.result).data, {
+      userById: {
+        id: userID,
+      },
+    }, 'operation name');
+
+    response = await makeRequest({
+      method: 'GET',
+      url: `/graphql?query=${encodeURIComponent(query)}` +
+        '&operationName=createUser',
+      headers,
+    });
+    assert.strictEqual(response.statusCode, 405, 'mutation');
+    assert.strictEqual(response.headers.allow, 'POST', 'mutation');
+  });
+
+  it('executes persisted queries by hash', async function () {
+    const registerResult = await runQuery(`
+      mutation register($input: _RegisterPersistedQueryInput!) {
+        registerPersistedQuery(input: $input) {
+          changedReindexPersistedQuery {
+            id
+            hash
+          }
+        }
+      }
+    `, { input: { query: testQuery } });
+    const { id, hash } =
+      registerResult.data.registerPersistedQuery.changedReindexPersistedQuery;
+
+    let response = await makeRequest({
+      method: 'POST',
+      url: '/graphql',
+      payload: {
+        queryHash: hash,
+      },
+      headers: {
+        authorization: `Bearer ${token}`,
+        host: hostname,
+      },
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.result).data, {
+      viewer: {
+        user: {
+          id: userID,
+        },
+      },
+    });
+
+    const unknownHash = hashQuery('{ unknown }');
+    response = await makeRequest({
+      method: 'POST',
+      url: '/graphql',
+      payload: {
+        queryHash: unknownHash,
+      },
+      headers: {
+        authorization: `Bearer ${token}`,
+        host: hostname,
+      },
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.result), {
+      errors: [
+        {
+          message: `Unknown persisted query with hash ${unknownHash}. ` +
+            'Register it with `registerPersistedQuery`.',
+        },
+      ],
+    });
+
+    response = await makeRequest({
+      method: 'POST',
+      url: '/graphql',
+      payload: {
+        queryHash: { $gt: '' },
+      },
+      headers: {
+        authorization: `Bearer ${token}`,
+        host: hostname,
+      },
     });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.result), {
+      errors: [
+        {
+          message: '`queryHash` must be the SHA-256 hash of the query as 64 ' +
+            'lowercase hexadecimal characters.',
+        },
+      ],
+    }, 'object hashes are not used as database queries');
+
+    await deleteFixture(runQuery, 'ReindexPersistedQuery', id);
   });
 
+  it('rejects queries over the query limits', async function () {
+    Config.set('queryLimits.maxCost', 2);
+    try {
+      const response = await makeRequest({
+        method: 'POST',
+        url: '/graphql',
+        payload: {
+          query: testQuery,
+        },
+        headers: {
+          authorization: `Bearer ${token}`,
+          host: hostname,
+        },
+      });
+      assert.strictEqual(response.statusCode, 200);
+      const result = JSON.parse(response.result);
+      assert.notProperty(result, 'data');
+      assert.match(
+        result.errors[0].message,
+        /^Query is too expensive: estimated cost 3 exceeds the maximum cost/
+      );
+      assert.deepEqual(result.extensions, queryCostExtensions(3, 3));
+    } finally {
+      Config.resetTestConfig();
+    }
+  });
+
+  it('applies changed app limits after the app cache expires',
+    async function () {
+      Config.set('appCache.ttl', 1);
+      clearCachedApp(hostname);
+      const adminDB = getAdminDB(hostname);
+      let domain;
+      try {
+        const request = {
+          method: 'POST',
+          url: '/graphql',
+          payload: {
+            query: testQuery,
+          },
+          headers: {
+            authorization: `Bearer ${token}`,
+            host: hostname,
+          },
+        };
+        let response = await makeRequest(request);
+        assert.notProperty(JSON.parse(response.result), 'errors');
+
+        domain = await adminDB.getByField('Domain', 'hostname', hostname);
+        await adminDB.update('App', domain.app, {
+          queryLimits: { maxCost: 2 },
+        });
+        response = await makeRequest(request);
+        assert.notProperty(
+          JSON.parse(response.result),
+          'errors',
+          'app is cached'
+        );
+
+        await Promise.delay(1100);
+        response = await makeRequest(request);
+        assert.match(
+          JSON.parse(response.result).errors[0].message,
+          /^Query is too expensive: estimated cost 3 exceeds the maximum cost/
+        );
+      } finally {
+        if (domain) {
+          await adminDB.update('App', domain.app, { queryLimits: null });
+        }
+        await adminDB.close();
+        clearCachedApp(hostname);
+        Config.resetTestConfig();
+      }
+    });
+
+  it('limits the rate of requests', async function () {
+    Config.set('rateLimits.user.requests', 1);
+    Config.set('rateLimits.user.period', 3600);
+    try {
+      const request = {
+        method: 'POST',
+        url: '/graphql',
+        payload: {
+          query: testQuery,
+        },
+        headers: {
+          host: hostname,
+        },
+        remoteAddress: '192.0.2.1',
+      };
+      let response = await makeRequest(request);
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.headers['x-ratelimit-limit'], '1');
+      assert.strictEqual(response.headers['x-ratelimit-remaining'], '0');
+      assert.isAbove(
+        Number(response.headers['x-ratelimit-reset']),
+        Date.now() / 1000
+      );
+
+      response = await makeRequest(request);
+      assert.strictEqual(response.statusCode, 429);
+      assert.strictEqual(response.headers['x-ratelimit-remaining'], '0');
+      assert.isAbove(Number(response.headers['retry-after']), 0);
+      assert.match(
+        response.result.message,
+        /^Rate limit of 1 requests per 3600 seconds exceeded/
+      );
+    } finally {
+      Config.resetTestConfig();
+    }
+  });
+
+  it('uses forwarded client addresses only from a trusted proxy',
+    async function () {
+      Config.set('rateLimits.user.requests', 1);
+      Config.set('rateLimits.user.period', 3600);
+      try {
+        const request = (forwardedFor) => ({
+          method: 'POST',
+          url: '/graphql',
+          payload: {
+            query: testQuery,
+          },
+          headers: {
+            host: hostname,
+            'x-forwarded-for': forwardedFor,
+          },
+          remoteAddress: '192.0.2.2',
+        });
+        let response = await makeRequest(request('192.0.2.3'));
+        assert.strictEqual(response.statusCode, 200);
+        response = await makeRequest(request('192.0.2.4'));
+        assert.strictEqual(
+          response.statusCode,
+          429,
+          'forwarded address is ignored'
+        );
+
+        Config.set('rateLimits.trustProxy', true);
+        response = await makeRequest(request('192.0.2.5'));
+        assert.strictEqual(response.statusCode, 200);
+        response = await makeRequest(request('192.0.2.6, 192.0.2.5'));
+        assert.strictEqual(
+          response.statusCode,
+          429,
+          'last forwarded address is used'
+        );
+      } finally {
+        Config.resetTestConfig();
+      }
+    });
+
   it('returns correct errors', async function () {
     let response = await makeRequest({
       method: 'POST',
@@ -137,6 +451,7 @@ describe('Server', () => {
           ),
         },
       ],
+      extensions: queryCostExtensions(2, 2),
     }, 'syntax error');
 
     response = await makeRequest({
@@ -172,6 +487,7 @@ describe('Server', () => {
           message: 'id: Invalid ID for type User',
         },
       ],
+      extensions: queryCostExtensions(2, 2),
     }, 'user error');
 
     response = await makeRequest({
@@ -199,6 +515,7 @@ describe('Server', () => {
           message: 'Internal Server Error',
         },
       ],
+      extensions: queryCostExtensions(1, 1),
     }, 'internal error');
   });
 
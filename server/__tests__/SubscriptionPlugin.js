@@ -0,0 +1,71 @@
+import Promise from 'bluebird';
+import uuid from 'uuid';
+import WebSocket from 'ws';
+
+import createApp from '../../apps/createApp';
+import deleteApp from '../../apps/deleteApp';
+import Config from '../Config';
+import createServer from '../createServer';
+import { countListeners } from '../../graphQL/subscriptions/SubscriptionEvents';
+import assert from '../../test/assert';
+
+describe('SubscriptionPlugin', () => {
+  const hostname = `test.${uuid.v4()}.example.com`;
+  let server;
+
+  before(async function () {
+    Config.set('connection.port', 0);
+    server = await createServer({
+      reporters: [],
+    });
+    await server.start();
+    await createApp(hostname);
+  });
+
+  after(async function () {
+    await server.stop();
+    await deleteApp(hostname);
+    Config.resetTestConfig();
+  });
+
+  function connect() {
+    return new WebSocket(`ws://localhost:${server.info.port}/graphql`, {
+      headers: {
+        host: hostname,
+      },
+    });
+  }
+
+  it('stops listening when the socket closes before it is ready', async () => {
+    const socket = connect();
+    await new Promise((resolve) => socket.on('open', resolve));
+    const closed = new Promise((resolve) => socket.on('close', resolve));
+    socket.close();
+    await closed;
+
+    // Give the server time to finish setting up the connection
+    await Promise.delay(1000);
+    assert.equal(countListeners(hostname), 0);
+  });
+
+  it('listens to events while the socket is open', async () => {
+    const socket = connect();
+    const messages = [];
+    socket.on('message', (data) => messages.push(JSON.parse(data)));
+    await new Promise((resolve) => socket.on('open', resolve));
+    socket.send(JSON.stringify({
+      type: 'subscription_start',
+      id: 'users',
+      query: 'subscription { subscribeToUserCreated { id } }',
+    }));
+    await Promise.delay(1000);
+    assert.deepEqual(messages, [
+      { type: 'subscription_success', id: 'users' },
+    ]);
+    assert.equal(countListeners(hostname), 1);
+
+    socket.close();
+    await Promise.delay(1000);
+    assert.equal(countListeners(hostname), 0);
+  });
+});
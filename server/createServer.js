@@ -1,4 +1,5 @@
 import Bassmaster from 'bassmaster';
+import Crypto from 'crypto';
 import Hapi from 'hapi';
 import Inert from 'inert';
 import Promise from 'bluebird';
@@ -12,7 +13,9 @@ import GraphiQLHandler from './handlers/GraphiQLHandler';
 import AppPlugin from './AppPlugin';
 import JWTAuthenticationScheme from './JWTAuthenticationScheme';
 import DBPlugin from './DBPlugin';
+import RateLimitPlugin from './RateLimitPlugin';
 import SocialLoginPlugin from './SocialLoginPlugin';
+import SubscriptionPlugin from './SubscriptionPlugin';
 import createReindex from '../graphQL/createReindex';
 
 const DEFAULT_LOGGING_OPTIONS = {
@@ -48,7 +51,9 @@ export default async function createServer(
   await server.register(JWTAuthenticationScheme);
   server.auth.strategy('token', 'jwt');
 
+  await server.register(RateLimitPlugin);
   await server.register(AppPlugin);
+  await server.register(SubscriptionPlugin);
 
   server.on('request-error', (request, e) => {
     Monitoring.noticeError(e, {
@@ -57,30 +62,61 @@ export default async function createServer(
   });
 
   const reindex = createReindex();
+  const graphQLHandler = async (request, reply) => {
+    try {
+      const result = await reindex.processRequest(request);
+      const body = JSON.stringify(result);
+      const response = reply(body).type('application/json');
+      // Responses to GET can be cached and revalidated with `If-None-Match`
+      if (request.method === 'get') {
+        response
+          .etag(Crypto.createHash('sha1').update(body).digest('hex'))
+          .vary('authorization');
+      }
+      return response;
+    } catch (error) {
+      return reply(error);
+    }
+  };
+  const validateGraphQLParameters = (location) =>
+    (value, options, next) => {
+      if (!value || !(value.query || value.queryHash)) {
+        return next(
+          new Error(`Missing \`query\` or \`queryHash\` in ${location}.`)
+        );
+      } else {
+        return next(null, value);
+      }
+    };
+  const graphQLPlugins = {
+    RateLimitPlugin: {
+      enabled: true,
+    },
+  };
   server.route({
     config: {
       auth: 'token',
+      plugins: graphQLPlugins,
       validate: {
-        payload: (value, options, next) => {
-          if (!value || !value.query) {
-            return next(new Error('Missing `query` in POST body.'));
-          } else {
-            return next(null, value);
-          }
-        },
+        payload: validateGraphQLParameters('POST body'),
       },
     },
-    handler: async (request, reply) => {
-      try {
-        const result = await reindex.processRequest(request);
-        return reply(JSON.stringify(result)).type('application/json');
-      } catch (error) {
-        return reply(error);
-      }
-    },
+    handler: graphQLHandler,
     method: 'POST',
     path: '/graphql',
   });
+  server.route({
+    config: {
+      auth: 'token',
+      plugins: graphQLPlugins,
+      validate: {
+        query: validateGraphQLParameters('query string'),
+      },
+    },
+    handler: graphQLHandler,
+    method: 'GET',
+    path: '/graphql',
+  });
 
   server.route(GraphiQLHandler);
   server.route({
@@ -99,5 +135,16 @@ export default async function createServer(
     options: loggingOptions,
   });
 
+  if (!Config.get('cursors.secret')) {
+    server.log(['warning'], Config.get('app.key') ?
+      'WARNING: Config `cursors.secret` is not set, connection cursors are ' +
+      'signed with a secret derived from `app.key`. Set CURSOR_SECRET to a ' +
+      'random secret, cursors of the derived secret become invalid then.' :
+      'WARNING: Neither `cursors.secret` nor `app.key` is set, connection ' +
+      'cursors are only valid in this process. Set CURSOR_SECRET to the same ' +
+      'random secret in all processes.'
+    );
+  }
+
   return server;
 }
@@ -1,10 +1,12 @@
 import createServer from './createServer';
+import { startHookQueueWorker } from '../graphQL/hooks/hookQueue';
 
 export default async function main() {
   let server;
   try {
     server = await createServer();
     await server.start();
+    startHookQueueWorker();
   } catch (ex) {
     console.error(ex, 'Failed to start');
   }